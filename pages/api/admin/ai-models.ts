@@ -0,0 +1,66 @@
+// Admin API endpoint for the AI model registry: list and register models
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getAIModels, createAIModel } from '@/lib/database';
+import { verifyAdmin } from '@/lib/admin-auth';
+import { validateAIModelEntry } from '@/lib/validation';
+import { logger } from '@/utils/logger';
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🗂️ [${new Date().toISOString()}] ${req.method} /api/admin/ai-models`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = verifyAdmin(req);
+  if (!auth.valid) {
+    logger.log('❌ Admin auth failed:', auth.error);
+    return res.status(auth.status!).json({ error: auth.error });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ models: await getAIModels() });
+    }
+
+    const validation = validateAIModelEntry(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { slug, display_name, provider, version, release_date, notes } = req.body;
+    const model = await createAIModel(slug, { display_name: display_name.trim(), provider, version, release_date, notes });
+    if (!model) {
+      return res.status(409).json({ error: `Model ${slug} is already registered` });
+    }
+
+    logger.log('✅ Registered AI model:', slug);
+    return res.status(200).json({ success: true, model });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/admin/ai-models:', error);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
@@ -0,0 +1,94 @@
+// Admin API endpoint for one AI model registry entry: read, edit or delete it
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getAIModel, updateAIModel, deleteAIModel } from '@/lib/database';
+import { verifyAdmin } from '@/lib/admin-auth';
+import { validateAIModelEntry, AI_MODEL_SLUG_PATTERN } from '@/lib/validation';
+import { logger } from '@/utils/logger';
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🗂️ [${new Date().toISOString()}] ${req.method} /api/admin/ai-models/${req.query.slug}`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PATCH' && req.method !== 'DELETE') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = verifyAdmin(req);
+  if (!auth.valid) {
+    logger.log('❌ Admin auth failed:', auth.error);
+    return res.status(auth.status!).json({ error: auth.error });
+  }
+
+  const { slug } = req.query;
+  if (typeof slug !== 'string' || !AI_MODEL_SLUG_PATTERN.test(slug)) {
+    return res.status(400).json({ error: 'Invalid model slug' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const model = await getAIModel(slug);
+      if (!model) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+      return res.status(200).json({ model });
+    }
+
+    if (req.method === 'PATCH') {
+      const validation = validateAIModelEntry(req.body, { partial: true });
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      const { display_name, provider, version, release_date, notes } = req.body;
+      const fields = { display_name: display_name?.trim(), provider, version, release_date, notes };
+      if (Object.values(fields).every(value => value === undefined)) {
+        return res.status(400).json({ error: 'Nothing to update' });
+      }
+
+      const model = await updateAIModel(slug, fields);
+      if (!model) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+      logger.log('✅ Updated AI model:', slug);
+      return res.status(200).json({ success: true, model });
+    }
+
+    // Runs keep their model: only unused entries can go
+    const model = await getAIModel(slug);
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    if (model.runs) {
+      return res.status(409).json({ error: `Model ${slug} has ${model.runs} runs and cannot be deleted` });
+    }
+
+    await deleteAIModel(slug);
+    logger.log('✅ Deleted AI model:', slug);
+    return res.status(200).json({ success: true, slug });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/admin/ai-models/[slug]:', error);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
@@ -0,0 +1,77 @@
+// Admin API endpoint for blocking IP hashes from submitting runs
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getBlockedIPs, blockIP, unblockIP } from '@/lib/database';
+import { verifyAdmin } from '@/lib/admin-auth';
+import { logger } from '@/utils/logger';
+
+// IP hashes as stored on runs (see hashIP in src/lib/validation.ts)
+const IP_HASH_PATTERN = /^[0-9a-f]{16,64}$/;
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`⛔ [${new Date().toISOString()}] ${req.method} /api/admin/blocked-ips`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST' && req.method !== 'DELETE') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = verifyAdmin(req);
+  if (!auth.valid) {
+    logger.log('❌ Admin auth failed:', auth.error);
+    return res.status(auth.status!).json({ error: auth.error });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ blocked: await getBlockedIPs() });
+    }
+
+    // POST takes the hash in the body, DELETE in the query string
+    const ipHash = req.method === 'POST' ? req.body?.ip_hash : req.query.ip_hash;
+    if (typeof ipHash !== 'string' || !IP_HASH_PATTERN.test(ipHash)) {
+      return res.status(400).json({ error: 'Invalid ip_hash' });
+    }
+
+    if (req.method === 'POST') {
+      const reason = req.body?.reason;
+      if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+        return res.status(400).json({ error: 'reason must be a string of at most 500 characters' });
+      }
+
+      await blockIP(ipHash, reason || null);
+      logger.log('✅ Blocked IP hash:', ipHash);
+      return res.status(200).json({ success: true, ip_hash: ipHash, blocked: true });
+    }
+
+    if (!(await unblockIP(ipHash))) {
+      return res.status(404).json({ error: 'IP hash is not blocked' });
+    }
+    logger.log('✅ Unblocked IP hash:', ipHash);
+    return res.status(200).json({ success: true, ip_hash: ipHash, blocked: false });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/admin/blocked-ips:', error);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
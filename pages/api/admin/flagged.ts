@@ -0,0 +1,66 @@
+// Admin API endpoint for the review queue: runs the bot detection flagged
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getFlaggedRuns } from '@/lib/database';
+import { verifyAdmin } from '@/lib/admin-auth';
+import { getSuspicionThreshold } from '@/lib/bot-detection';
+import { logger } from '@/utils/logger';
+
+const MAX_LIMIT = 500;
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🚩 [${new Date().toISOString()}] ${req.method} /api/admin/flagged`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = verifyAdmin(req);
+  if (!auth.valid) {
+    logger.log('❌ Admin auth failed:', auth.error);
+    return res.status(auth.status!).json({ error: auth.error });
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  // Reviewed runs (approved or hidden) are left out unless asked for
+  const includeReviewed = req.query.include_reviewed === 'true';
+
+  try {
+    const runs = await getFlaggedRuns({ includeReviewed, limit });
+
+    return res.status(200).json({
+      threshold: getSuspicionThreshold(),
+      runs
+    });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/admin/flagged:', error);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
@@ -0,0 +1,86 @@
+// Admin API endpoint for querying the run audit trail (renames, moderation, deletions)
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getRunEvents, RUN_EVENT_TYPES } from '@/lib/database';
+import { verifyAdmin } from '@/lib/admin-auth';
+import { logger } from '@/utils/logger';
+
+const MAX_LIMIT = 500;
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+// Optional positive integer query parameter: undefined if absent, null if malformed
+function parseIdParam(value: string | string[] | undefined): number | undefined | null {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+  const parsed = parseInt(value);
+  return parsed > 0 ? parsed : null;
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`📜 [${new Date().toISOString()}] ${req.method} /api/admin/run-events`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = verifyAdmin(req);
+  if (!auth.valid) {
+    logger.log('❌ Admin auth failed:', auth.error);
+    return res.status(auth.status!).json({ error: auth.error });
+  }
+
+  const runId = parseIdParam(req.query.run_id);
+  if (runId === null) {
+    return res.status(400).json({ error: 'Invalid run_id' });
+  }
+
+  const before = parseIdParam(req.query.before);
+  if (before === null) {
+    return res.status(400).json({ error: 'Invalid before' });
+  }
+
+  const limit = parseIdParam(req.query.limit);
+  if (limit === null || (limit !== undefined && limit > MAX_LIMIT)) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  const eventType = typeof req.query.type === 'string' && req.query.type ? req.query.type : undefined;
+  if (eventType !== undefined && !RUN_EVENT_TYPES.includes(eventType)) {
+    return res.status(400).json({ error: `Unknown event type: ${eventType}` });
+  }
+
+  try {
+    const events = await getRunEvents({ runId, eventType, before, limit });
+
+    return res.status(200).json({
+      events,
+      // Pass as `before` to get the next page
+      next_before: events.length > 0 ? events[events.length - 1].id : null
+    });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/admin/run-events:', error);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
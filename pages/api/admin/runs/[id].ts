@@ -0,0 +1,109 @@
+// Admin API endpoint for moderating one run: hide, unhide, approve or reset its username
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  getRunForModeration,
+  setRunHidden,
+  markRunReviewed,
+  resetRunUsername,
+  recordRunEvent
+} from '@/lib/database';
+import { verifyAdmin } from '@/lib/admin-auth';
+import { logger } from '@/utils/logger';
+
+// Moderation actions and the audit trail event each one records
+const ACTIONS: Record<string, string> = {
+  hide: 'run_hidden',
+  unhide: 'run_unhidden',
+  approve: 'run_approved',    // clears a flagged run for the hall of fame
+  reset_username: 'username_reset'
+};
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🛡️ [${new Date().toISOString()}] ${req.method} /api/admin/runs/${req.query.id}`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = verifyAdmin(req);
+  if (!auth.valid) {
+    logger.log('❌ Admin auth failed:', auth.error);
+    return res.status(auth.status!).json({ error: auth.error });
+  }
+
+  const runId = Number(req.query.id);
+  if (!Number.isInteger(runId) || runId < 1) {
+    return res.status(400).json({ error: 'Invalid run ID' });
+  }
+
+  const { action } = req.body || {};
+  if (typeof action !== 'string' || !Object.prototype.hasOwnProperty.call(ACTIONS, action)) {
+    return res.status(400).json({ error: `action must be one of: ${Object.keys(ACTIONS).join(', ')}` });
+  }
+
+  try {
+    const run = await getRunForModeration(runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    // Old and new values for the audit trail
+    let oldValue: string | null = null;
+    let newValue: string | null = null;
+
+    switch (action) {
+      case 'hide':
+      case 'unhide':
+        await setRunHidden(runId, action === 'hide');
+        oldValue = String(run.hidden);
+        newValue = String(action === 'hide');
+        break;
+      case 'approve':
+        await markRunReviewed(runId);
+        break;
+      case 'reset_username':
+        await resetRunUsername(runId);
+        oldValue = run.username;
+        break;
+    }
+
+    await recordRunEvent({
+      run_id: runId,
+      event_type: ACTIONS[action],
+      actor_type: 'admin',
+      old_value: oldValue,
+      new_value: newValue
+    });
+
+    logger.log('✅ Moderation action applied:', { runId, action });
+
+    return res.status(200).json({ success: true, runId, action });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/admin/runs/[id]:', error);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
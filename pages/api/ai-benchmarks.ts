@@ -0,0 +1,88 @@
+// API endpoint for per-model AI benchmark statistics over all of each model's runs
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getAIRunScores } from '@/lib/database';
+import { calculateAIModelStats } from '@/utils/scoring';
+import { logger } from '@/utils/logger';
+import { DEFAULT_MODE, isValidMode } from '../../public/js/modes.js';
+import { BOOTSTRAP_RESAMPLES, CONFIDENCE_LEVEL } from '../../public/js/benchmark-stats.js';
+
+// Bootstrapping every model's runs isn't free, so results are cached per game mode
+const cache = new Map<string, { data: any; timestamp: number }>();
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🤖 [${new Date().toISOString()}] ${req.method} /api/ai-benchmarks`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Statistics are per game mode (defaults to classic)
+  const mode = typeof req.query.mode === 'string' && req.query.mode ? req.query.mode : DEFAULT_MODE;
+  if (!isValidMode(mode)) {
+    logger.log(`❌ Unknown game mode: ${mode}`);
+    return res.status(400).json({ error: `Unknown game mode: ${mode}` });
+  }
+
+  const cached = cache.get(mode);
+  const now = Date.now();
+  if (cached && now - cached.timestamp < CACHE_DURATION) {
+    logger.log(`💰 Serving ${mode} AI benchmarks from cache`);
+    return res.status(200).json(cached.data);
+  }
+
+  try {
+    const runs = await getAIRunScores(mode);
+    const models = calculateAIModelStats(runs);
+
+    const data = {
+      mode,
+      models,
+      total_runs: runs.length,
+      confidence_level: CONFIDENCE_LEVEL,
+      bootstrap_resamples: BOOTSTRAP_RESAMPLES,
+      cache_timestamp: new Date(now).toISOString()
+    };
+
+    logger.log(`✅ Aggregated ${runs.length} AI runs into ${models.length} models`);
+    cache.set(mode, { data, timestamp: now });
+
+    return res.status(200).json(data);
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/ai-benchmarks:', error);
+
+    // If we have cached data, serve it even if it's stale
+    if (cached) {
+      logger.log('⚠️  Serving stale cache due to database error');
+      return res.status(200).json({
+        ...cached.data,
+        warning: 'Data may be outdated due to temporary service issues'
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
@@ -0,0 +1,163 @@
+// API endpoint for submitting runs played by AI agents (needs an API key)
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  insertRun,
+  consumeRunToken,
+  getAIModel,
+  findOrCreateAIModel,
+  calculatePercentile,
+  getCurrentRank
+} from '@/lib/database';
+import { validateAIModel, sanitizeUserAgent } from '@/lib/validation';
+import { scoreRunSubmission } from '@/lib/run-submission';
+import { verifyApiKey } from '@/lib/api-keys';
+import { isRunTokenConfigured, RUN_TOKENS_NOT_CONFIGURED } from '@/lib/run-token';
+import { logger } from '@/utils/logger';
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🤖 [${new Date().toISOString()}] ${req.method} /api/ai-runs`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = verifyApiKey(req);
+  if (!auth.valid) {
+    logger.log('❌ API key rejected:', auth.error);
+    return res.status(auth.status!).json({ error: auth.error });
+  }
+
+  if (!isRunTokenConfigured()) {
+    logger.log('❌ RUN_TOKEN_SECRET is not set');
+    return res.status(503).json({ error: RUN_TOKENS_NOT_CONFIGURED });
+  }
+
+  try {
+    const { model } = req.body || {};
+    logger.log('📊 Received AI run:', {
+      apiKey: auth.keyName,
+      model: model?.name,
+      provider: model?.provider,
+      harness: model?.harness,
+      mode: req.body?.mode,
+      clickLogsCount: req.body?.click_logs?.length
+    });
+
+    const modelValidation = validateAIModel(model);
+    if (!modelValidation.valid) {
+      return res.status(400).json({ error: modelValidation.error });
+    }
+
+    // Exactly the checks a player's run goes through, run token included
+    const submission = scoreRunSubmission(req.body);
+    if (!submission.valid) {
+      return res.status(submission.status).json({ error: submission.error });
+    }
+    const {
+      mode: runMode, runToken, computed, speedScore, performanceScore,
+      fitts, tracking, movement, timing, badges
+    } = submission.run;
+
+    // File the run under its registry entry: the one named by slug, or the one its
+    // name and version map to (registered on first use)
+    const registered = model.slug ? await getAIModel(model.slug) : await findOrCreateAIModel(model);
+    if (!registered) {
+      logger.log('❌ Unknown model slug:', model.slug);
+      return res.status(400).json({ error: `Unknown model slug: ${model.slug}` });
+    }
+
+    // Each token submits one run
+    if (!(await consumeRunToken(runToken.id))) {
+      logger.log('❌ Run token already used:', runToken.id);
+      return res.status(409).json({ error: 'Run token already used' });
+    }
+
+    logger.log('💾 Inserting AI run into database...');
+    const runId = await insertRun({
+      ...submission.run.record,
+      is_ai: true,
+      ai_model: model.name,
+      ai_model_id: registered.id,
+      ai_provider: model.provider,
+      ai_model_version: model.version || null,
+      ai_harness: model.harness,
+      screenshot_width: model.screenshot?.width ?? null,
+      screenshot_height: model.screenshot?.height ?? null,
+      api_key_name: auth.keyName,
+      user_agent: sanitizeUserAgent(req.headers['user-agent'])
+    });
+    logger.log(`✅ AI run inserted with ID: ${runId}`);
+
+    // Where the run would place among human players in its mode
+    const [speedRank, performanceRank, speedPercentile, performancePercentile] = await Promise.all([
+      getCurrentRank(speedScore, 'speed', runMode),
+      getCurrentRank(performanceScore, 'performance', runMode),
+      calculatePercentile(speedScore, 'speed', runMode),
+      calculatePercentile(performanceScore, 'performance', runMode)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      id: runId,
+      mode: runMode,
+      model: {
+        slug: registered.slug,
+        display_name: registered.display_name,
+        provider: model.provider,
+        name: model.name,
+        version: model.version || null,
+        harness: model.harness,
+        screenshot: model.screenshot || null
+      },
+      stats: {
+        totalHits: computed.totalHits,
+        avgAccuracy: computed.avgAccuracy,
+        bestAccuracy: computed.bestAccuracy,
+        finalRadius: computed.finalRadius,
+        durationMs: computed.durationMs
+      },
+      scores: {
+        speed: speedScore,
+        performance: performanceScore
+      },
+      vs_humans: {
+        speed: { rank: speedRank, percentile: speedPercentile },
+        performance: { rank: performanceRank, percentile: performancePercentile }
+      },
+      fitts: fitts,
+      tracking: tracking,
+      movement: movement,
+      timing: timing,
+      badges: badges
+    });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/ai-runs:', error);
+    logger.error('Stack trace:', (error as Error).stack);
+
+    // Don't expose internal errors to client
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
@@ -0,0 +1,90 @@
+// API endpoint for the daily challenge (shared course + its own leaderboard)
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getDailyLeaderboard } from '@/lib/database';
+import { DailyChallenge } from '@/types/database';
+import { logger } from '@/utils/logger';
+import { dailySeed, utcDateKey } from '../../public/js/random.js';
+
+// Short-lived cache, reset whenever the UTC day rolls over
+let cachedData: any = null;
+let cacheTimestamp = 0;
+const CACHE_DURATION = 60 * 1000; // 1 minute
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+// Build challenge metadata for a UTC day
+export function getDailyChallenge(now: Date = new Date()): DailyChallenge {
+  const date = utcDateKey(now);
+  const startsAt = new Date(`${date}T00:00:00.000Z`);
+  const endsAt = new Date(startsAt.getTime() + 24 * 60 * 60 * 1000);
+  
+  return {
+    date,
+    seed: dailySeed(date),
+    starts_at: startsAt.toISOString(),
+    ends_at: endsAt.toISOString()
+  };
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+  
+  // Log incoming request
+  logger.log(`📅 [${new Date().toISOString()}] ${req.method} /api/daily`);
+  
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+  
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  try {
+    const now = Date.now();
+    const challenge = getDailyChallenge(new Date(now));
+    
+    // Check cache first (only valid for the same challenge day)
+    const cacheAge = now - cacheTimestamp;
+    if (cachedData && cachedData.challenge.date === challenge.date && cacheAge < CACHE_DURATION) {
+      logger.log(`💰 Serving daily challenge from cache (age: ${Math.round(cacheAge / 1000)}s)`);
+      return res.status(200).json(cachedData);
+    }
+    
+    logger.log('🔄 Fetching daily leaderboard from database...', { date: challenge.date });
+    const leaderboard = await getDailyLeaderboard(challenge.date);
+    
+    const dailyData = {
+      challenge,
+      leaderboard,
+      cache_timestamp: new Date(now).toISOString(),
+      total_entries: leaderboard.length
+    };
+    
+    // Update cache
+    cachedData = dailyData;
+    cacheTimestamp = now;
+    
+    return res.status(200).json(dailyData);
+    
+  } catch (error) {
+    logger.error('💥 API Error in /api/daily:', error);
+    logger.error('Stack trace:', (error as Error).stack);
+    
+    // Don't expose internal errors to client
+    return res.status(500).json({ 
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
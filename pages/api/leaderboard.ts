@@ -5,13 +5,14 @@ import {
   getHallOfFame, 
   getTodaysBest, 
   getAIBenchmarks, 
-  getScatterData 
+  getScatterData,
+  LEADERBOARD_SORTS 
 } from '@/lib/database';
 import { logger } from '@/utils/logger';
+import { DEFAULT_MODE, isValidMode } from '../../public/js/modes.js';
 
-// Simple in-memory cache for leaderboard data
-let cachedData: any = null;
-let cacheTimestamp = 0;
+// Simple in-memory cache for leaderboard data, one entry per game mode and sort order
+const cache = new Map<string, { data: any; timestamp: number }>();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 // Set CORS headers
@@ -39,26 +40,45 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
+  // Leaderboards are per game mode (defaults to classic)
+  const mode = typeof req.query.mode === 'string' && req.query.mode ? req.query.mode : DEFAULT_MODE;
+  if (!isValidMode(mode)) {
+    logger.log(`❌ Unknown game mode: ${mode}`);
+    return res.status(400).json({ error: `Unknown game mode: ${mode}` });
+  }
+  
+  // Optional re-sort by reaction or movement time (defaults to the mode's ranking)
+  const sort = typeof req.query.sort === 'string' && req.query.sort ? req.query.sort : null;
+  if (sort !== null && !Object.prototype.hasOwnProperty.call(LEADERBOARD_SORTS, sort)) {
+    logger.log(`❌ Unknown sort order: ${sort}`);
+    return res.status(400).json({ error: `Unknown sort order: ${sort}` });
+  }
+  
+  const cacheKey = sort ? `${mode}:${sort}` : mode;
+  const cached = cache.get(cacheKey);
+  
   try {
     // Check cache first
     const now = Date.now();
-    const cacheAge = now - cacheTimestamp;
-    if (cachedData && cacheAge < CACHE_DURATION) {
-      logger.log(`💰 Serving leaderboard from cache (age: ${Math.round(cacheAge / 1000)}s)`);
-      return res.status(200).json(cachedData);
+    if (cached && now - cached.timestamp < CACHE_DURATION) {
+      const cacheAge = now - cached.timestamp;
+      logger.log(`💰 Serving ${mode} leaderboard from cache (age: ${Math.round(cacheAge / 1000)}s)`);
+      return res.status(200).json(cached.data);
     }
     
     // Fetch fresh data from database
-    logger.log('🔄 Fetching fresh leaderboard data from database...');
+    logger.log(`🔄 Fetching fresh ${mode} leaderboard data from database...`);
     const [hallOfFame, todaysBest, aiBenchmarks, scatterData] = await Promise.all([
-      getHallOfFame(),
-      getTodaysBest(),
-      getAIBenchmarks(),
-      getScatterData(1000) // Get 150 recent runs for scatter plot
+      getHallOfFame(mode, sort || undefined),
+      getTodaysBest(mode, sort || undefined),
+      getAIBenchmarks(mode),
+      getScatterData(1000, mode) // Get 150 recent runs for scatter plot
     ]);
     
     // Build response
     const leaderboardData = {
+      mode,
+      sort,
       hall_of_fame: hallOfFame,
       todays_best: todaysBest,
       ai_benchmarks: aiBenchmarks,
@@ -80,8 +100,7 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     });
     
     // Update cache
-    cachedData = leaderboardData;
-    cacheTimestamp = now;
+    cache.set(cacheKey, { data: leaderboardData, timestamp: now });
     
     return res.status(200).json(leaderboardData);
     
@@ -90,10 +109,10 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     logger.error('Stack trace:', (error as Error).stack);
     
     // If we have cached data, serve it even if it's stale
-    if (cachedData) {
+    if (cached) {
       logger.log('⚠️  Serving stale cache due to database error');
       return res.status(200).json({
-        ...cachedData,
+        ...cached.data,
         warning: 'Data may be outdated due to temporary service issues'
       });
     }
@@ -108,6 +127,5 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
 
 // Helper function to clear cache (useful for testing)
 export function clearLeaderboardCache() {
-  cachedData = null;
-  cacheTimestamp = 0;
+  cache.clear();
 }
\ No newline at end of file
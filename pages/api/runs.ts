@@ -3,27 +3,25 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import { 
   insertRun, 
+  consumeRunToken, 
+  isIPBlocked, 
   calculatePercentile, 
   getCurrentRank, 
+  getDailyRank,
   getAIComparisons 
 } from '@/lib/database';
 import { 
   validateUsername,
-  validateGameStats,
-  validateGameConsistency,
-  validateClickLog,
-  validateBadges,
-  hashIP,
+  getClientIPHash,
   sanitizeUserAgent
 } from '@/lib/validation';
-// Import centralized scoring utilities
-import { calculateSpeedScore, calculatePerformanceScore } from '@/utils/scoring';
+import { scoreRunSubmission } from '@/lib/run-submission';
+import { calculateSuspicion, isSuspicious } from '@/lib/bot-detection';
+import { enforceRateLimit } from '@/lib/rate-limit';
+import { generateEditToken } from '@/lib/edit-token';
+import { isRunTokenConfigured, RUN_TOKENS_NOT_CONFIGURED } from '@/lib/run-token';
 import { logger } from '@/utils/logger';
-
-function getAverageTimePerHit(durationMs: number, totalHits: number): number {
-  if (totalHits === 0) return 0;
-  return Math.round(durationMs / totalHits);
-}
+import { DEFAULT_MODE } from '../../public/js/modes.js';
 
 // Set CORS headers
 function setCorsHeaders(res: NextApiResponse) {
@@ -55,103 +53,101 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
+  // Runs can't be checked against their token without the signing secret
+  if (!isRunTokenConfigured()) {
+    logger.log('❌ RUN_TOKEN_SECRET is not set');
+    return res.status(503).json({ error: RUN_TOKENS_NOT_CONFIGURED });
+  }
+  
+  // Throttle bursts of submissions from one source
+  if (!(await enforceRateLimit(req, res, 'runs'))) {
+    return;
+  }
+  
   try {
-    const { username, stats, click_logs, badges } = req.body;
+    // Sources blocked by a moderator can't submit
+    const ipHash = getClientIPHash(req);
+    if (await isIPBlocked(ipHash)) {
+      logger.log('❌ Submission from blocked IP hash:', ipHash);
+      return res.status(403).json({ error: 'Submissions from this address are blocked' });
+    }
+    
+    const { username, seed, container_size, challenge_date, mode, stats, click_logs, badges, run_token } = req.body;
     logger.log('📊 Received game data:', {
       username: username || 'Anonymous',
       totalHits: stats?.totalHits,
       avgAccuracy: stats?.avgAccuracy,
       durationMs: stats?.durationMs,
+      seed,
+      challengeDate: challenge_date,
+      mode: mode || DEFAULT_MODE,
       clickLogsCount: click_logs?.length,
       badges: badges?.length || 0
     });
     
-    // Validate input structure
-    if (!stats || !click_logs) {
-      logger.log('❌ Validation failed: Missing required fields');
-      return res.status(400).json({ error: 'Missing required fields: stats, click_logs' });
-    }
-    
     // Validate username
     const usernameValidation = validateUsername(username);
     if (!usernameValidation.valid) {
-      return res.status(400).json({ error: usernameValidation.error });
+      return res.status(400).json({ error: usernameValidation.error, code: usernameValidation.code });
     }
     
-    // Validate game statistics
-    const statsValidation = validateGameStats(stats);
-    if (!statsValidation.valid) {
-      return res.status(400).json({ error: statsValidation.error });
+    // Validate and score the run itself (same checks as AI runs)
+    const submission = scoreRunSubmission(req.body);
+    if (!submission.valid) {
+      return res.status(submission.status).json({ error: submission.error });
     }
-    
-    // Validate click logs
-    if (!Array.isArray(click_logs)) {
-      return res.status(400).json({ error: 'click_logs must be an array' });
+    const { 
+      mode: runMode, runToken, computed, speedScore, performanceScore, 
+      fitts, tracking, movement, timing, badges: earnedBadges 
+    } = submission.run;
+    
+    // Bot detection: suspicious runs are stored but held off the hall of fame for review
+    const suspicion = calculateSuspicion(click_logs);
+    const heldForReview = isSuspicious(suspicion.score);
+    if (heldForReview) {
+      logger.log('🤖 Run flagged for review:', suspicion);
     }
     
-    for (const log of click_logs) {
-      const logValidation = validateClickLog(log);
-      if (!logValidation.valid) {
-        return res.status(400).json({ error: `Invalid click log: ${logValidation.error}` });
-      }
-    }
-    
-    // Cross-validate consistency between stats and logs
-    const consistencyValidation = validateGameConsistency(stats, click_logs);
-    if (!consistencyValidation.valid) {
-      return res.status(400).json({ error: consistencyValidation.error });
-    }
-    
-    // Validate badges if provided
-    if (badges) {
-      const badgesValidation = validateBadges(badges);
-      if (!badgesValidation.valid) {
-        return res.status(400).json({ error: badgesValidation.error });
-      }
-    }
-    
-    // Calculate enhanced scores
-    const speedScore = calculateSpeedScore(stats.durationMs, stats.totalHits);
-    const performanceScore = calculatePerformanceScore(stats.avgAccuracy, stats.totalHits);
-    const avgTimePerHit = getAverageTimePerHit(stats.durationMs, stats.totalHits);
-    
     // Get client information for tracking (privacy-compliant)
-    const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-    const ipHash = hashIP(Array.isArray(clientIP) ? clientIP[0] : clientIP);
     const userAgent = sanitizeUserAgent(req.headers['user-agent']);
     
+    // Only the submitter gets the edit token; the database keeps its hash
+    const editToken = generateEditToken();
+    
     // Store in database
     const runRecord = {
+      ...submission.run.record,
       username: username || null,
-      speed_score: speedScore,
-      performance_score: performanceScore,
-      total_hits: stats.totalHits,
-      avg_accuracy: stats.avgAccuracy,
-      best_accuracy: stats.bestAccuracy,
-      final_radius: stats.finalRadius,
-      duration_ms: stats.durationMs,
-      avg_time_per_hit_ms: avgTimePerHit,
-      click_logs: click_logs,
-      badges: badges || [],
+      suspicion_score: suspicion.score,
+      edit_token_hash: editToken.hash,
       is_ai: false,
       ip_hash: ipHash,
       user_agent: userAgent
     };
     
+    // Each token submits one run
+    if (!(await consumeRunToken(runToken.id))) {
+      logger.log('❌ Run token already used:', runToken.id);
+      return res.status(409).json({ error: 'Run token already used' });
+    }
+    
     logger.log('💾 Inserting run into database...');
     const runId = await insertRun(runRecord);
     logger.log(`✅ Run inserted with ID: ${runId}`);
     
     logger.log('📈 Calculating rankings and comparisons...');
-    // Calculate rank and percentile
+    // Calculate rank and percentile within the run's mode
     const [speedRank, performanceRank, speedPercentile, performancePercentile, aiComparisons] = await Promise.all([
-      getCurrentRank(speedScore, 'speed'),
-      getCurrentRank(performanceScore, 'performance'),
-      calculatePercentile(speedScore, 'speed'),
-      calculatePercentile(performanceScore, 'performance'),
-      getAIComparisons(speedScore, performanceScore)
+      getCurrentRank(speedScore, 'speed', runMode),
+      getCurrentRank(performanceScore, 'performance', runMode),
+      calculatePercentile(speedScore, 'speed', runMode),
+      calculatePercentile(performanceScore, 'performance', runMode),
+      getAIComparisons(speedScore, performanceScore, runMode)
     ]);
     
+    // Rank within the daily challenge, if this was one
+    const dailyRank = challenge_date ? await getDailyRank(performanceScore, challenge_date) : null;
+    
     logger.log('🏆 Final results:', {
       runId,
       speedScore,
@@ -159,13 +155,23 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
       speedRank,
       performanceRank,
       speedPercentile,
-      performancePercentile
+      performancePercentile,
+      dailyRank
     });
     
     // Return results
     return res.status(200).json({
       success: true,
       id: runId,
+      edit_token: editToken.token,
+      mode: runMode,
+      stats: {
+        totalHits: computed.totalHits,
+        avgAccuracy: computed.avgAccuracy,
+        bestAccuracy: computed.bestAccuracy,
+        finalRadius: computed.finalRadius,
+        durationMs: computed.durationMs
+      },
       scores: {
         speed: speedScore,
         performance: performanceScore
@@ -180,6 +186,13 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
           percentile: performancePercentile
         }
       },
+      fitts: fitts,
+      tracking: tracking,
+      movement: movement,
+      timing: timing,
+      badges: earnedBadges,
+      held_for_review: heldForReview,
+      daily: challenge_date ? { date: challenge_date, rank: dailyRank } : null,
       vs_ai: aiComparisons
     });
     
@@ -0,0 +1,97 @@
+// API endpoint for deleting a run by its owner (needs the run's edit token)
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { sql } from '@vercel/postgres';
+import { getBearerToken, verifyEditToken } from '@/lib/edit-token';
+import { getClientIPHash } from '@/lib/validation';
+import { recordRunEvent } from '@/lib/database';
+import { logger } from '@/utils/logger';
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🗑️ [${new Date().toISOString()}] ${req.method} /api/runs/${req.query.id}`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  // Only allow DELETE requests
+  if (req.method !== 'DELETE') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const runId = req.query.id as string;
+
+    // Validate run ID
+    if (!runId || isNaN(Number(runId))) {
+      logger.log('❌ Invalid run ID');
+      return res.status(400).json({ error: 'Invalid run ID' });
+    }
+
+    // Only the submitter has the edit token
+    const editToken = getBearerToken(req);
+    if (!editToken) {
+      logger.log('❌ Missing edit token');
+      return res.status(401).json({ error: 'Edit token required' });
+    }
+
+    const existingRun = await sql`
+      SELECT id, username, edit_token_hash
+      FROM runs
+      WHERE id = ${runId}
+    `;
+
+    if (existingRun.rows.length === 0) {
+      logger.log('❌ Run not found');
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const tokenValidation = verifyEditToken(editToken, existingRun.rows[0].edit_token_hash);
+    if (!tokenValidation.valid) {
+      logger.log('❌ Edit token rejected:', tokenValidation.error);
+      return res.status(tokenValidation.status!).json({ error: tokenValidation.error });
+    }
+
+    logger.log('💾 Deleting run from database...');
+    await sql`DELETE FROM runs WHERE id = ${runId}`;
+
+    // The audit trail outlives the run, so the name it had stays on record
+    await recordRunEvent({
+      run_id: Number(runId),
+      event_type: 'run_deleted',
+      actor_type: 'owner',
+      old_value: existingRun.rows[0].username,
+      new_value: null,
+      ip_hash: getClientIPHash(req)
+    });
+
+    logger.log('✅ Run deleted:', runId);
+
+    return res.status(200).json({
+      success: true,
+      runId: Number(runId)
+    });
+
+  } catch (error) {
+    logger.error('💥 API Error in run deletion:', error);
+    logger.error('Stack trace:', (error as Error).stack);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
@@ -1,8 +1,11 @@
-// API endpoint for updating username on existing runs
+// API endpoint for updating username on existing runs (needs the run's edit token)
 
 import { NextApiRequest, NextApiResponse } from 'next';
 import { sql } from '@vercel/postgres';
-import { validateUsername } from '@/lib/validation';
+import { validateUsername, getClientIPHash } from '@/lib/validation';
+import { recordRunEvent } from '@/lib/database';
+import { enforceRateLimit } from '@/lib/rate-limit';
+import { getBearerToken, verifyEditToken } from '@/lib/edit-token';
 import { logger } from '@/utils/logger';
 
 // Set CORS headers
@@ -30,6 +33,10 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
+  if (!(await enforceRateLimit(req, res, 'username'))) {
+    return;
+  }
+  
   try {
     const runId = req.query.id as string;
     const { username } = req.body;
@@ -42,17 +49,24 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
       return res.status(400).json({ error: 'Invalid run ID' });
     }
     
+    // Only the submitter has the edit token
+    const editToken = getBearerToken(req);
+    if (!editToken) {
+      logger.log('❌ Missing edit token');
+      return res.status(401).json({ error: 'Edit token required' });
+    }
+    
     // Validate username
     const usernameValidation = validateUsername(username);
     if (!usernameValidation.valid) {
       logger.log('❌ Username validation failed:', usernameValidation.error);
-      return res.status(400).json({ error: usernameValidation.error });
+      return res.status(400).json({ error: usernameValidation.error, code: usernameValidation.code });
     }
     
     // Check if run exists and get current data
     logger.log('🔍 Checking if run exists...');
     const existingRun = await sql`
-      SELECT id, username, created_at 
+      SELECT id, username, created_at, edit_token_hash 
       FROM runs 
       WHERE id = ${runId}
     `;
@@ -65,6 +79,12 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     const run = existingRun.rows[0];
     logger.log('✅ Run found:', { id: run.id, currentUsername: run.username });
     
+    const tokenValidation = verifyEditToken(editToken, run.edit_token_hash);
+    if (!tokenValidation.valid) {
+      logger.log('❌ Edit token rejected:', tokenValidation.error);
+      return res.status(tokenValidation.status!).json({ error: tokenValidation.error });
+    }
+    
     // Check if run is recent (within last 24 hours for security)
     const now = new Date();
     const runCreated = new Date(run.created_at);
@@ -83,6 +103,16 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
       WHERE id = ${runId}
     `;
     
+    // Keep the old name in the audit trail
+    await recordRunEvent({
+      run_id: Number(runId),
+      event_type: 'username_changed',
+      actor_type: 'owner',
+      old_value: run.username,
+      new_value: username || null,
+      ip_hash: getClientIPHash(req)
+    });
+    
     logger.log('✅ Username updated successfully');
     
     return res.status(200).json({
@@ -0,0 +1,77 @@
+// API endpoint for starting a run: issues the signed run token POST /api/runs requires
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { validateMode } from '@/lib/validation';
+import { issueRunToken, isRunTokenConfigured, RUN_TOKENS_NOT_CONFIGURED, RUN_TOKEN_MAX_AGE_MS } from '@/lib/run-token';
+import { logger } from '@/utils/logger';
+import { dailySeed, generateSeed, utcDateKey } from '../../../public/js/random.js';
+import { DEFAULT_MODE } from '../../../public/js/modes.js';
+
+// Set CORS headers
+function setCorsHeaders(res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setCorsHeaders(res);
+
+  // Log incoming request
+  logger.log(`🎫 [${new Date().toISOString()}] ${req.method} /api/runs/start`);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    logger.log('✅ Handled CORS preflight request');
+    return res.status(200).end();
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    logger.log(`❌ Method ${req.method} not allowed`);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isRunTokenConfigured()) {
+    logger.log('❌ RUN_TOKEN_SECRET is not set');
+    return res.status(503).json({ error: RUN_TOKENS_NOT_CONFIGURED });
+  }
+
+  try {
+    const { mode, daily } = req.body || {};
+
+    // Validate game mode (defaults to classic when omitted)
+    const modeValidation = validateMode(mode);
+    if (!modeValidation.valid) {
+      return res.status(400).json({ error: modeValidation.error });
+    }
+
+    // The server picks the course: today's shared seed for the daily challenge
+    // (always classic rules), otherwise a fresh one
+    const now = Date.now();
+    const challengeDate = daily ? utcDateKey(new Date(now)) : null;
+    const runMode = daily ? DEFAULT_MODE : (mode || DEFAULT_MODE);
+    const seed = challengeDate ? dailySeed(challengeDate) : generateSeed();
+
+    const { token, payload } = issueRunToken({ seed, mode: runMode, challengeDate }, now);
+    logger.log('✅ Issued run token:', { id: payload.id, mode: runMode, seed, challengeDate });
+
+    return res.status(200).json({
+      token,
+      seed,
+      mode: runMode,
+      challenge_date: challengeDate,
+      issued_at: new Date(now).toISOString(),
+      expires_at: new Date(now + RUN_TOKEN_MAX_AGE_MS).toISOString()
+    });
+
+  } catch (error) {
+    logger.error('💥 API Error in /api/runs/start:', error);
+
+    // Don't expose internal errors to client
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? (error as Error).message : undefined
+    });
+  }
+}
@@ -0,0 +1,168 @@
+// Click Accuracy Game - Agent Control API
+//
+// window.ClickAccuracy lets an agent harness drive the game without synthesizing
+// OS input: read the state, start/restart runs, click or move the pointer at page
+// coordinates and subscribe to events. Runs touched through it are tagged
+// inputSource 'agent' and submitted as such.
+//
+//   const ca = window.ClickAccuracy;
+//   ca.on('hit', ({ log }) => console.log(log.a));
+//   await ca.start({ mode: 'classic' });
+//   const { target } = ca.getState();
+//   ca.click(target.x, target.y);
+//
+// Events (listeners get the payload):
+//   start  { mode, seed, challengeDate, inputSource }
+//   hit    { log: ClickEventLog, decoy: false }
+//   miss   { log: ClickEventLog, decoy }          decoy: the click landed on a decoy
+//   end    { mode, inputSource, hits, misses, avgAccuracy, bestAccuracy, finalRadius, durationMs, logs }
+// hit/miss fire before the game moves on to the next target; read getState() afterwards.
+
+import { CONFIG } from './config.js';
+import { INPUT_SOURCE_AGENT } from './models.js';
+
+export const AGENT_API_VERSION = 1;
+export const AGENT_EVENT_TYPES = ['start', 'hit', 'miss', 'end'];
+
+const listeners = new Map(AGENT_EVENT_TYPES.map(type => [type, new Set()]));
+
+// Called by the game (events.js); a throwing listener doesn't break the run
+export function emitAgentEvent(type, payload) {
+    for (const listener of listeners.get(type) || []) {
+        try {
+            listener(payload);
+        } catch (error) {
+            logger.error(`ClickAccuracy '${type}' listener failed:`, error);
+        }
+    }
+}
+
+// The game area's rect in page coordinates
+function getContainerRect(gameArea) {
+    const rect = gameArea.getBoundingClientRect();
+    return {
+        left: rect.left + window.scrollX,
+        top: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height
+    };
+}
+
+// Game area point -> page point
+function toPage(container, x, y) {
+    return {
+        x: container.left + x,
+        y: container.top + y
+    };
+}
+
+// Event-like object for the game's handlers, at a page point, timed now. The game
+// shifts pointer input by the cursor offset (relCoords), so the event is placed that
+// far the other way to register exactly at the page point
+function createSyntheticEvent(pageX, pageY) {
+    return {
+        clientX: pageX - window.scrollX + CONFIG.CURSOR_OFFSET_X,
+        clientY: pageY - window.scrollY + CONFIG.CURSOR_OFFSET_Y,
+        timeStamp: performance.now()
+    };
+}
+
+// Install window.ClickAccuracy. handlers are the game's own (see app.js):
+// { start, dailyStart, restart, click, pointerMove }
+export function installAgentApi(gameArea, runState, handlers) {
+    function getState() {
+        const container = getContainerRect(gameArea);
+        const hasTarget = runState.phase !== 'idle';
+        const mode = runState.getMode();
+        const elapsedMs = hasTarget ? runState.getDuration() : 0;
+        const targetAt = hasTarget ? mode.targetPosition(runState, elapsedMs) : null;
+
+        return {
+            phase: runState.phase,
+            mode: runState.mode,
+            inputSource: runState.inputSource,
+            seed: runState.seed,
+            challengeDate: runState.challengeDate,
+            elapsedMs,
+            hits: runState.hits,
+            misses: runState.misses,
+            lives: runState.lives,
+            target: targetAt && {
+                id: runState.target.id,
+                ...toPage(container, targetAt.x, targetAt.y),
+                r: runState.currentR,
+                spawnMs: runState.target.spawnMs
+            },
+            decoys: hasTarget ? runState.decoys.map(decoy => ({
+                id: decoy.id,
+                ...toPage(container, decoy.x, decoy.y),
+                r: runState.currentR
+            })) : [],
+            container,
+            devicePixelRatio: window.devicePixelRatio || 1
+        };
+    }
+
+    // Start a run from the start screen; resolves with the state once it is playing
+    async function start({ mode = null, daily = false } = {}) {
+        if (runState.phase !== 'idle') {
+            throw new Error(`Cannot start while ${runState.phase}; use restart()`);
+        }
+        const handleStart = daily ? handlers.dailyStart : handlers.start;
+        await handleStart(null, { mode, inputSource: INPUT_SOURCE_AGENT });
+        return getState();
+    }
+
+    // Abandon or close the current run and start a new one
+    async function restart(options = {}) {
+        handlers.restart();
+        return start(options);
+    }
+
+    // Click at a page point. Returns the ClickEventLog it produced, or null if the
+    // click didn't count (no run playing, or clicks don't count in the mode)
+    function click(x, y) {
+        if (runState.phase !== 'playing') return null;
+
+        runState.inputSource = INPUT_SOURCE_AGENT;
+        const logCount = runState.logs.length;
+        handlers.click(createSyntheticEvent(x, y));
+        const log = runState.logs[runState.logs.length - 1];
+        return runState.logs.length > logCount && !log.type ? log : null;
+    }
+
+    // Move the pointer to a page point (pointer paths, reaction time, the tracking task)
+    function moveTo(x, y) {
+        if (runState.phase !== 'playing') return;
+
+        runState.inputSource = INPUT_SOURCE_AGENT;
+        handlers.pointerMove(createSyntheticEvent(x, y));
+    }
+
+    // Subscribe to an event type; returns the unsubscribe function
+    function on(type, listener) {
+        if (!listeners.has(type)) {
+            throw new Error(`Unknown event type: ${type} (expected ${AGENT_EVENT_TYPES.join(', ')})`);
+        }
+        listeners.get(type).add(listener);
+        return () => off(type, listener);
+    }
+
+    function off(type, listener) {
+        listeners.get(type)?.delete(listener);
+    }
+
+    window.ClickAccuracy = Object.freeze({
+        version: AGENT_API_VERSION,
+        eventTypes: AGENT_EVENT_TYPES,
+        getState,
+        start,
+        restart,
+        click,
+        moveTo,
+        on,
+        off
+    });
+
+    return window.ClickAccuracy;
+}
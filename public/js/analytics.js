@@ -1,13 +1,20 @@
 // Click Accuracy Game - Analytics and Visualization
 
 import { formatPercentage, formatTime } from './game-logic.js';
+import { calculateFittsMetrics } from './fitts.js';
+import { calculateTrackingMetrics, isTrackingSample } from './tracking.js';
+import { calculateTrajectoryMetrics } from './trajectory.js';
+import { calculateReactionMetrics } from './reaction.js';
+import { getBadgeById } from './badges.js';
+import { speedScore as calculateSpeedScore, performanceScore as calculatePerformanceScore } from './scoring.js';
 
 // Import scoring utilities (will be loaded as ES modules in the browser)
 let scoringUtils = null;
 
-// Leaderboard data cache
+// Leaderboard data cache (for one mode at a time)
 let leaderboardDataCache = {
     data: null,
+    mode: null,
     timestamp: 0,
     isLoading: false
 };
@@ -16,27 +23,10 @@ let leaderboardDataCache = {
 async function loadScoringUtils() {
     if (!scoringUtils) {
         try {
-            // Use centralized scoring from the API by creating a scoring helper
+            // Same score implementation the API uses (scoring.js)
             scoringUtils = {
-                calculateSpeedScore: (durationMs, totalHits) => {
-                    if (totalHits === 0) return 0;
-                    const avgTimePerHit = durationMs / totalHits / 1000;
-                    
-                    // Perfect speed gets 100
-                    if (avgTimePerHit <= 0.1) return 100;
-                    
-                    // Exponential decay: score = 100 * e^(-t/3.5)  
-                    // This gives roughly: 0.1s=97%, 1s=75%, 2s=57%, 3s=42%, 5s=24%
-                    const score = 100 * Math.exp(-avgTimePerHit / 3.5);
-                    
-                    return Math.max(0, Math.round(score * 10) / 10);
-                },
-                calculatePerformanceScore: (avgAccuracy, totalHits) => {
-                    if (totalHits === 0) return 0;
-                    const distanceMultiplier = Math.min(1.0, totalHits / 20);
-                    const score = avgAccuracy * distanceMultiplier * 100;
-                    return Math.round(score * 10) / 10;
-                },
+                calculateSpeedScore,
+                calculatePerformanceScore,
                 formatScore: (score) => {
                     return score % 1 === 0 ? score.toString() : score.toFixed(1);
                 }
@@ -152,13 +142,21 @@ export async function showGameOverModal(runState, liveStats, gameOverModal, shoo
     
     // Calculate enhanced scores
     const speedScore = scoring.calculateSpeedScore(runState.getDuration(), runState.hits);
-    const performanceScore = scoring.calculatePerformanceScore(runState.getAverageAccuracy(), runState.hits);
+    // (the tracking task is scored by time on target instead of click accuracy)
+    const tracking = runState.getMode().tracksPointer ? calculateTrackingMetrics(runState.logs) : null;
+    const performanceScore = runState.getMode().tracksPointer
+        ? (tracking ? tracking.score : 0)
+        : scoring.calculatePerformanceScore(
+            runState.getAverageAccuracy(),
+            runState.hits,
+            runState.getMode().scoring.fullScoreHits
+        );
     
     // Update main final statistics  
     updateMainStatistics(gameOverModal, performanceScore, speedScore, scoring, runState);
     
     // Create scatter plot below main stats
-    await createScatterPlotVisualization(gameOverModal, speedScore, performanceScore);
+    await createScatterPlotVisualization(gameOverModal, speedScore, performanceScore, runState.mode);
     
     // Add username input section above buttons (at the bottom)
     addUsernameSection(gameOverModal);
@@ -169,25 +167,31 @@ export async function showGameOverModal(runState, liveStats, gameOverModal, shoo
     // Submit game data to API (anonymously first)
     const submissionResult = await submitGameData(runState, speedScore, performanceScore);
     
+    // Badges come back from the server, which awards them from its own recomputation
+    if (submissionResult) {
+        showEarnedBadges(gameOverModal, submissionResult.badges);
+    }
+    
     gameOverModal.classList.remove('hidden');
     
     // Setup username functionality after modal is shown
     if (submissionResult && submissionResult.runId) {
-        setupUsernameInput(submissionResult.runId);
+        setupUsernameInput(submissionResult.runId, submissionResult.edit_token);
     }
     
     logger.log('Game Over Modal displayed with', runState.logs.length, 'clicks visualized');
     logger.log('Enhanced Scores - Speed:', speedScore, 'Performance:', performanceScore);
 }
 
-// Preload leaderboard data in background (call when game starts)
-export async function preloadLeaderboardData() {
-    // Don't reload if data is fresh (less than 2 minutes old) or currently loading
+// Preload leaderboard data for a mode in background (call when game starts)
+export async function preloadLeaderboardData(mode) {
+    // Don't reload if data for this mode is fresh (less than 2 minutes old) or currently loading
     const now = Date.now();
     const cacheAge = now - leaderboardDataCache.timestamp;
     const cacheMaxAge = 2 * 60 * 1000; // 2 minutes
+    const isCachedMode = leaderboardDataCache.mode === mode;
     
-    if (leaderboardDataCache.isLoading || (leaderboardDataCache.data && cacheAge < cacheMaxAge)) {
+    if (leaderboardDataCache.isLoading || (leaderboardDataCache.data && isCachedMode && cacheAge < cacheMaxAge)) {
         logger.log('🏆 Leaderboard data already fresh or loading');
         return;
     }
@@ -196,9 +200,10 @@ export async function preloadLeaderboardData() {
     leaderboardDataCache.isLoading = true;
     
     try {
-        const response = await fetch('/api/leaderboard');
+        const response = await fetch(`/api/leaderboard?mode=${encodeURIComponent(mode)}`);
         if (response.ok) {
             leaderboardDataCache.data = await response.json();
+            leaderboardDataCache.mode = mode;
             leaderboardDataCache.timestamp = now;
             logger.log('✅ Leaderboard data preloaded successfully:', {
                 hallOfFameCount: leaderboardDataCache.data.hall_of_fame?.length || 0,
@@ -233,9 +238,12 @@ function updateMainStatistics(modal, performanceScore, speedScore, scoring, runS
     }
     
     // Update main statistics content (Performance Score first, then Speed Score)
+    const modePanel = createFittsPanel(runState) || createTrackingPanel(runState);
+    const movementPanel = createMovementPanel(runState);
+    const timingPanel = createTimingPanel(runState);
     mainStatsSection.innerHTML = `
         <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
-            <h3 class="text-base font-bold text-blue-800 mb-2 text-center">Your Performance</h3>
+            <h3 class="text-base font-bold text-blue-800 mb-2 text-center">${runState.challengeDate ? `Daily Challenge ${runState.challengeDate}` : `Your Performance · ${runState.getMode().name}`}</h3>
             <div class="grid grid-cols-2 gap-2 mb-2">
                 <div class="bg-white p-2 rounded-lg shadow-sm border border-blue-100 text-center">
                     <div class="text-xs text-blue-600 font-medium mb-1">Performance Score</div>
@@ -270,10 +278,135 @@ function updateMainStatistics(modal, performanceScore, speedScore, scoring, runS
                     <div class="text-xs sm:text-sm font-semibold text-gray-700">${formatTime(runState.getDuration())}</div>
                 </div>
             </div>
+            ${modePanel}
+            ${movementPanel}
+            ${timingPanel}
         </div>
     `;
 }
 
+// Badges earned in the run, with icon and what earned them
+function showEarnedBadges(modal, badgeIds) {
+    const panel = modal.querySelector('#main-stats-section > div');
+    const badges = (badgeIds || []).map(getBadgeById).filter(Boolean);
+    if (!panel || badges.length === 0) return;
+    
+    const section = document.createElement('div');
+    section.id = 'badges-section';
+    section.className = 'mt-2';
+    section.innerHTML = `
+            <div class="text-xs text-blue-600 font-medium mb-1 text-center">Badges Earned</div>
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                ${badges.map(badge => `
+                <div class="bg-white p-1.5 rounded shadow-sm flex items-center gap-2">
+                    <span class="text-lg">${badge.icon}</span>
+                    <div>
+                        <div class="text-xs sm:text-sm font-semibold text-gray-700">${badge.name}</div>
+                        <div class="text-xs text-gray-500">${badge.description}</div>
+                    </div>
+                </div>`).join('')}
+            </div>`;
+    panel.appendChild(section);
+}
+
+// Reaction time (target appears -> pointer moves) and movement time (moves -> click)
+function createTimingPanel(runState) {
+    const timing = calculateReactionMetrics(runState.logs);
+    if (!timing) return '';
+    
+    const row = (label, summary) => `
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">${label}</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${summary.median}ms</div>
+                    <div class="text-xs text-gray-400">IQR ${summary.p25}-${summary.p75} · SD ${summary.sd}</div>
+                </div>`;
+    
+    return `
+            <div class="grid grid-cols-2 gap-1 mt-2">
+                ${row('Reaction Time (median)', timing.reactionTime)}
+                ${row('Movement Time (median)', timing.movementTime)}
+            </div>`;
+}
+
+// Pointer movement between clicks (path length, efficiency, overshoots)
+function createMovementPanel(runState) {
+    const movement = calculateTrajectoryMetrics(runState.logs.filter(log => !isTrackingSample(log)));
+    if (!movement) return '';
+    
+    return `
+            <div class="grid grid-cols-3 gap-1 mt-2">
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Path / Click</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${movement.meanPathLength}px</div>
+                </div>
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Path Efficiency</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${formatPercentage(movement.pathEfficiency)}</div>
+                </div>
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Overshoots</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${movement.overshoots}</div>
+                </div>
+            </div>`;
+}
+
+// Tracking task results (time on target and distance from the center)
+function createTrackingPanel(runState) {
+    if (!runState.getMode().tracksPointer) return '';
+    
+    const tracking = calculateTrackingMetrics(runState.logs);
+    if (!tracking) {
+        return `<div class="mt-2 text-xs text-gray-500 text-center">No pointer movement was recorded.</div>`;
+    }
+    
+    return `
+            <div class="grid grid-cols-3 gap-1 mt-2">
+                <div class="bg-white p-1.5 rounded shadow-sm text-center border border-indigo-100">
+                    <div class="text-xs text-indigo-600">Time on Target</div>
+                    <div class="text-xs sm:text-sm font-bold text-indigo-800">${formatPercentage(tracking.timeOnTarget)}</div>
+                </div>
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Mean Distance</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${tracking.meanDistance.toFixed(1)}px</div>
+                </div>
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Samples</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${tracking.samples}</div>
+                </div>
+            </div>`;
+}
+
+// Fitts's law results (throughput, effective width and ID) for block-based modes
+function createFittsPanel(runState) {
+    const mode = runState.getMode();
+    if (!mode.trialsPerBlock) return '';
+    
+    const fitts = calculateFittsMetrics(runState.logs, mode.trialsPerBlock);
+    if (!fitts) {
+        return `<div class="mt-2 text-xs text-gray-500 text-center">Not enough trials to compute throughput.</div>`;
+    }
+    
+    return `
+            <div class="grid grid-cols-2 sm:grid-cols-4 gap-1 mt-2">
+                <div class="bg-white p-1.5 rounded shadow-sm text-center border border-indigo-100">
+                    <div class="text-xs text-indigo-600">Throughput</div>
+                    <div class="text-xs sm:text-sm font-bold text-indigo-800">${fitts.throughput.toFixed(2)} bits/s</div>
+                </div>
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Effective ID</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${fitts.effectiveId.toFixed(2)} bits</div>
+                </div>
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Effective Width</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${fitts.effectiveWidth.toFixed(1)}px</div>
+                </div>
+                <div class="bg-white p-1.5 rounded shadow-sm text-center">
+                    <div class="text-xs text-gray-500">Error Rate</div>
+                    <div class="text-xs sm:text-sm font-semibold text-gray-700">${formatPercentage(fitts.errorRate)}</div>
+                </div>
+            </div>`;
+}
+
 
 // Add username input section to modal (simplified)
 function addUsernameSection(modal) {
@@ -326,6 +459,12 @@ function addUsernameSection(modal) {
 // Submit game data to API
 async function submitGameData(runState, speedScore, performanceScore) {
     try {
+        // The API only takes runs started with a run token
+        if (!runState.runToken) {
+            logger.warn('⚠️ Run has no run token, not submitting');
+            return null;
+        }
+        
         logger.log('🚀 Submitting game data to API...');
         
         // Prepare game stats
@@ -334,11 +473,11 @@ async function submitGameData(runState, speedScore, performanceScore) {
             avgAccuracy: runState.getAverageAccuracy(),
             bestAccuracy: runState.bestAccuracy,
             finalRadius: runState.finalRadius,
-            durationMs: runState.getDuration()
+            durationMs: Math.round(runState.getDuration())
         };
         
-        // Prepare click logs (convert to API format)
-        const clickLogs = runState.logs.map(log => ({
+        // Prepare click logs (convert to API format; tracking samples are sent as recorded)
+        const clickLogs = runState.logs.map(log => isTrackingSample(log) ? { ...log } : ({
             t: log.t,      // timestamp
             cx: log.cx,    // click x
             cy: log.cy,    // click y
@@ -347,21 +486,34 @@ async function submitGameData(runState, speedScore, performanceScore) {
             r: log.r,      // target radius
             d: log.d,      // distance
             hit: log.hit,  // hit boolean
-            a: log.a       // accuracy
+            a: log.a,      // accuracy
+            ...(log.vx !== null && { vx: log.vx, vy: log.vy }), // target velocity (moving targets only)
+            ...(log.tid !== null && { tid: log.tid }),          // clicked target or decoy id
+            ...(log.p !== null && { p: log.p }),                // pointer path since the previous click
+            ...(log.ts !== null && { ts: log.ts }),             // target spawn time
+            ...(log.tm !== null && { tm: log.tm }),             // first pointer movement after spawn
+            ...(log.l !== null && { l: log.l })                 // input-to-handler latency
         }));
         
         // Prepare request payload
         const payload = {
             username: null, // Anonymous for now
+            seed: runState.seed,                     // course seed for reproducing target positions
+            container_size: runState.containerSize,  // game area side length in px
+            device_pixel_ratio: window.devicePixelRatio || 1, // screen pixels per CSS pixel
+            challenge_date: runState.challengeDate,  // 'YYYY-MM-DD' for daily challenge runs
+            mode: runState.mode,                     // game mode id (see modes.js)
+            run_token: runState.runToken,            // from POST /api/runs/start
+            input_source: runState.inputSource,      // 'agent' if driven through window.ClickAccuracy
             stats: stats,
-            click_logs: clickLogs,
-            badges: []      // Badge calculation could be added here
+            click_logs: clickLogs     // badges are awarded by the server
         };
         
         logger.log('📊 Payload prepared:', {
             totalHits: stats.totalHits,
             avgAccuracy: (stats.avgAccuracy * 100).toFixed(1) + '%',
             durationMs: stats.durationMs,
+            seed: payload.seed,
             clickLogsCount: clickLogs.length
         });
         
@@ -405,8 +557,15 @@ async function submitGameData(runState, speedScore, performanceScore) {
     }
 }
 
-// Setup username input functionality
-function setupUsernameInput(runId) {
+// Explanations for the names the server refuses (by error code)
+const USERNAME_ERROR_MESSAGES = {
+    username_inappropriate: 'That name isn\'t allowed. Please choose another.',
+    username_reserved: 'That name is reserved for the AI benchmarks. Please choose another.'
+};
+
+// Setup username input functionality. editToken is the run's secret from the
+// submission response; only whoever holds it can rename the run
+function setupUsernameInput(runId, editToken) {
     const usernameInput = document.getElementById('username-input');
     const saveButton = document.getElementById('save-username-btn');
     const statusDiv = document.getElementById('username-status');
@@ -447,6 +606,7 @@ function setupUsernameInput(runId) {
                 method: 'PATCH',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${editToken}`
                 },
                 body: JSON.stringify({ username: username })
             });
@@ -457,8 +617,9 @@ function setupUsernameInput(runId) {
                 usernameInput.disabled = true;
                 saveButton.style.display = 'none';
             } else {
-                const error = await response.text();
-                statusDiv.textContent = `❌ Failed to save name: ${error}`;
+                const error = await response.json().catch(() => ({}));
+                const message = USERNAME_ERROR_MESSAGES[error.code] || `Failed to save name: ${error.error || response.status}`;
+                statusDiv.textContent = `❌ ${message}`;
                 statusDiv.className = 'text-xs text-red-500';
                 saveButton.disabled = false;
                 saveButton.textContent = 'Save';
@@ -481,7 +642,7 @@ function setupUsernameInput(runId) {
 }
 
 // Create scatter plot visualization in the modal
-async function createScatterPlotVisualization(modal, speedScore, performanceScore) {
+async function createScatterPlotVisualization(modal, speedScore, performanceScore, mode) {
     // Check if scatter plot section already exists
     let scatterSection = modal.querySelector('#scatter-plot-section');
     
@@ -519,17 +680,18 @@ async function createScatterPlotVisualization(modal, speedScore, performanceScor
     // Use cached leaderboard data or fallback to fresh fetch
     let leaderboardData;
     
-    if (leaderboardDataCache.data) {
+    if (leaderboardDataCache.data && leaderboardDataCache.mode === mode) {
         logger.log('🚀 Using cached leaderboard data for scatter plot');
         leaderboardData = leaderboardDataCache.data;
     } else {
         logger.log('🔄 No cached data, fetching leaderboard data...');
         try {
-            const response = await fetch('/api/leaderboard');
+            const response = await fetch(`/api/leaderboard?mode=${encodeURIComponent(mode)}`);
             if (response.ok) {
                 leaderboardData = await response.json();
                 // Cache this data for future use
                 leaderboardDataCache.data = leaderboardData;
+                leaderboardDataCache.mode = mode;
                 leaderboardDataCache.timestamp = Date.now();
                 logger.log('✅ Leaderboard data fetched and cached:', {
                     scatterPointsCount: leaderboardData.scatter_data?.length || 0
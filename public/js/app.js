@@ -2,13 +2,16 @@
 
 import { CONFIG } from './config.js';
 import { RunState } from './models.js';
+import { GAME_MODES, DEFAULT_MODE } from './modes.js';
 import { setupDemoAnimation } from './animations.js';
 import { handleShare } from './analytics.js';
 import {
     createClickHandler,
+    createPointerMoveHandler,
     createStartHandler,
     createRestartHandler
 } from './events.js';
+import { installAgentApi } from './agent-api.js';
 
 // Initialize the game when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
@@ -26,6 +29,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Get DOM elements
     const modal = document.getElementById('modal');
     const startBtn = document.getElementById('start-btn');
+    const dailyBtn = document.getElementById('daily-btn');
+    const modeSelect = document.getElementById('mode-select');
+    const modeDescription = document.getElementById('mode-description');
     const restartBtn = document.getElementById('restart-btn');
     const gameArea = document.getElementById('game-area');
     const clicksLeft = document.getElementById('clicks-left');
@@ -77,19 +83,44 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initial setup - disable game area until start is clicked
     gameArea.style.pointerEvents = 'none';
     
+    // Populate the mode picker from the mode registry
+    if (modeSelect) {
+        modeSelect.innerHTML = Object.values(GAME_MODES)
+            .map(mode => `<option value="${mode.id}">${mode.name}</option>`)
+            .join('');
+        modeSelect.value = DEFAULT_MODE;
+        
+        const showModeDescription = () => {
+            if (modeDescription) {
+                modeDescription.textContent = GAME_MODES[modeSelect.value].description;
+            }
+        };
+        modeSelect.addEventListener('change', showModeDescription);
+        showModeDescription();
+    }
+    
     // Create event handlers
     const handleGameClick = createClickHandler(gameArea, runState, statElements, timerRef, gameOverElements);
-    const handleStart = createStartHandler(gameArea, runState, modal, liveStats, statElements, timerRef);
+    const handlePointerMove = createPointerMoveHandler(gameArea, runState);
+    const handleStart = createStartHandler(gameArea, runState, modal, liveStats, statElements, timerRef, gameOverElements, { modeSelect });
+    const handleDailyStart = createStartHandler(gameArea, runState, modal, liveStats, statElements, timerRef, gameOverElements, { daily: true });
     const handleRestart = createRestartHandler(gameArea, runState, modal, gameOverModal, scorecard, liveStats, timerRef, statElements);
     
     // Add click listener to game area
     gameArea.addEventListener('click', handleGameClick);
     
+    // Pointer position for the tracking task
+    gameArea.addEventListener('pointermove', handlePointerMove);
+    
     // Add event listeners for buttons
     if (startBtn) {
         startBtn.addEventListener('click', handleStart);
     }
     
+    if (dailyBtn) {
+        dailyBtn.addEventListener('click', handleDailyStart);
+    }
+    
     if (restartBtn) {
         restartBtn.addEventListener('click', handleRestart);
     }
@@ -102,6 +133,15 @@ document.addEventListener('DOMContentLoaded', () => {
         shareBtn.addEventListener('click', handleShare);
     }
     
+    // Programmatic control for agent harnesses (window.ClickAccuracy)
+    installAgentApi(gameArea, runState, {
+        start: handleStart,
+        dailyStart: handleDailyStart,
+        restart: handleRestart,
+        click: handleGameClick,
+        pointerMove: handlePointerMove
+    });
+    
     // Instrumentation hook for external monitoring
     if (window.CA_EVENTS) {
         window.CA_EVENTS.push({ 
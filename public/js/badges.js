@@ -0,0 +1,80 @@
+// Click Accuracy Game - Badges
+//
+// Badge definitions and the criteria for earning them. The API awards badges
+// from the recomputed run stats; the game-over modal and the leaderboard look
+// up icons and descriptions here.
+//
+// Criteria get { totalHits, avgAccuracy, bestAccuracy, speedScore, performanceScore, clickLogs }
+
+export const BADGES = [
+    {
+        id: 'sharpshooter',
+        name: 'Sharpshooter',
+        description: 'Average accuracy > 90%',
+        icon: '🎯',
+        criteria: (stats) => stats.avgAccuracy > 0.9
+    },
+    {
+        id: 'circus_shot',
+        name: 'Circus Shot',
+        description: 'Single hit with 99%+ accuracy',
+        icon: '🎪',
+        criteria: (stats) => stats.bestAccuracy >= 0.99
+    },
+    {
+        id: 'speed_demon',
+        name: 'Speed Demon',
+        description: 'Speed score > 85',
+        icon: '⚡',
+        criteria: (stats) => stats.speedScore > 85
+    },
+    {
+        id: 'perfectionist',
+        name: 'Perfectionist',
+        description: 'Performance score > 90',
+        icon: '👑',
+        criteria: (stats) => stats.performanceScore > 90
+    },
+    {
+        id: 'marathon_runner',
+        name: 'Marathon Runner',
+        description: 'Complete 25+ hits in one run',
+        icon: '🏃',
+        criteria: (stats) => stats.totalHits >= 25
+    },
+    {
+        id: 'consistency',
+        name: 'Consistency King',
+        description: 'All hits within 80% accuracy',
+        icon: '🔄',
+        criteria: (stats) => {
+            const hitLogs = stats.clickLogs.filter(log => log.hit);
+            return hitLogs.length > 5 && hitLogs.every(log => typeof log.a === 'number' && log.a >= 0.8);
+        }
+    },
+    {
+        id: 'bullseye_master',
+        name: 'Bullseye Master',
+        description: '5+ perfect bullseye hits (100% accuracy)',
+        icon: '🏹',
+        criteria: (stats) => {
+            const perfectHits = stats.clickLogs.filter(log => log.hit && log.a === 1.0);
+            return perfectHits.length >= 5;
+        }
+    },
+    {
+        id: 'steady_hands',
+        name: 'Steady Hands',
+        description: 'Complete 15+ hits with no misses',
+        icon: '🤝',
+        criteria: (stats) => {
+            const hits = stats.clickLogs.filter(log => log.hit).length;
+            const misses = stats.clickLogs.filter(log => !log.hit).length;
+            return hits >= 15 && misses === 0;
+        }
+    }
+];
+
+export function getBadgeById(id) {
+    return BADGES.find(badge => badge.id === id);
+}
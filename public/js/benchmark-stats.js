@@ -0,0 +1,106 @@
+// Click Accuracy Game - AI Benchmark Statistics
+//
+// Per-model summaries over many runs: mean, median, standard deviation and a
+// bootstrap 95% confidence interval of the mean. The bootstrap uses a fixed seed,
+// so the same runs always give the same interval.
+
+import { createRng } from './random.js';
+
+export const BOOTSTRAP_RESAMPLES = 2000;
+export const CONFIDENCE_LEVEL = 0.95;
+const BOOTSTRAP_SEED = 0x5eed;
+
+// Metrics summarized per model (run columns)
+export const BENCHMARK_METRICS = ['speed_score', 'performance_score', 'total_hits'];
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function roundTo(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Percentile bootstrap interval of the mean: resample with replacement, take the
+// middle CONFIDENCE_LEVEL of the resampled means. [lower, upper]
+export function bootstrapMeanInterval(values, { resamples = BOOTSTRAP_RESAMPLES, seed = BOOTSTRAP_SEED } = {}) {
+    const rng = createRng(seed);
+    const means = new Array(resamples);
+    for (let i = 0; i < resamples; i++) {
+        let sum = 0;
+        for (let j = 0; j < values.length; j++) {
+            sum += values[Math.floor(rng() * values.length)];
+        }
+        means[i] = sum / values.length;
+    }
+    means.sort((a, b) => a - b);
+
+    const tail = (1 - CONFIDENCE_LEVEL) / 2;
+    return [quantile(means, tail), quantile(means, 1 - tail)];
+}
+
+// { n, mean, median, sd, ci95 } of a sample; sd and ci95 are null below two values
+// (one run says nothing about the spread). Null for an empty sample
+export function summarizeSample(values, options = {}) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const m = mean(sorted);
+    const spread = sorted.length > 1;
+    const sd = spread
+        ? Math.sqrt(sorted.reduce((sum, v) => sum + (v - m) ** 2, 0) / (sorted.length - 1))
+        : null;
+    const ci95 = spread ? bootstrapMeanInterval(sorted, options) : null;
+
+    return {
+        n: sorted.length,
+        mean: roundTo(m),
+        median: roundTo(quantile(sorted, 0.5)),
+        sd: sd === null ? null : roundTo(sd),
+        ci95: ci95 && ci95.map(bound => roundTo(bound))
+    };
+}
+
+// Runs grouped per model (registry slug, or provider, name and version for runs not
+// linked to the registry), best mean performance first.
+// runs: [{ ai_model_slug, ai_provider, ai_model, ai_model_version, ai_model_release_date,
+//          ai_harness, speed_score, performance_score, total_hits }]
+export function aggregateModelRuns(runs, options = {}) {
+    const groups = new Map();
+    for (const run of runs) {
+        const key = run.ai_model_slug
+            ? run.ai_model_slug
+            : JSON.stringify([run.ai_provider ?? null, run.ai_model ?? null, run.ai_model_version ?? null]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(run);
+    }
+
+    return [...groups.values()]
+        .map(group => {
+            const { ai_model_slug, ai_provider, ai_model, ai_model_version, ai_model_release_date } = group[0];
+            const harnesses = [...new Set(group.map(run => run.ai_harness).filter(Boolean))].sort();
+            const stats = Object.fromEntries(BENCHMARK_METRICS.map(metric =>
+                [metric, summarizeSample(group.map(run => Number(run[metric])), options)]
+            ));
+
+            return {
+                ai_model_slug: ai_model_slug ?? null,
+                ai_model: ai_model || 'AI',
+                ai_provider: ai_provider ?? null,
+                ai_model_version: ai_model_version ?? null,
+                ai_model_release_date: ai_model_release_date ?? null,
+                harnesses,
+                runs: group.length,
+                ...stats
+            };
+        })
+        .sort((a, b) => b.performance_score.mean - a.performance_score.mean);
+}
@@ -0,0 +1,57 @@
+// Click Accuracy Game - Course Replay
+//
+// Plays a run's logs back through the game's own RunState and mode hooks to find
+// where the seeded course put each target, so submitted target positions can be
+// checked against the run's seed.
+
+import { RunState } from './models.js';
+import { isTrackingSample } from './tracking.js';
+
+// Expected target for every log, in log order: { x, y, vx, vy, r, spawnKnown } at the
+// log's time, or null if the run was already over by then (nothing can be logged after
+// the end). Click logs must already be scored, as their hit flags decide what comes next.
+// Moving targets start moving when they appear, which only the client saw: ts says
+// when, and without it the previous click's time is used (spawnKnown = false).
+export function replayCourse(runLogs, { mode, containerSize, seed }) {
+    const runState = new RunState();
+    runState.startGame(containerSize, { seed, mode });
+    const gameMode = runState.getMode();
+    runState.setTarget({ ...gameMode.nextTarget(runState), spawnMs: 0 });
+
+    return runLogs.map(log => {
+        if (runState.phase !== 'playing' || gameMode.isOver(runState, log.t)) {
+            runState.phase = 'ended';
+            return null;
+        }
+
+        if (isTrackingSample(log)) {
+            const position = gameMode.targetPosition(runState, log.t);
+            runState.recordSample(log);
+            return { ...position, r: runState.currentR, spawnKnown: true };
+        }
+
+        const spawnKnown = typeof log.ts === 'number';
+        if (spawnKnown) {
+            runState.target.spawnMs = log.ts;
+        }
+        const expected = { ...gameMode.targetPosition(runState, log.t), r: runState.currentR, spawnKnown };
+
+        // Same transitions as the click handler in events.js
+        const clickLog = { ...log, tid: log.tid ?? null };
+        if (log.hit) {
+            runState.recordHit(clickLog);
+            gameMode.onHit(runState);
+        } else {
+            runState.recordMiss(clickLog);
+            gameMode.onMiss(runState, clickLog);
+        }
+
+        if (gameMode.isOver(runState, log.t)) {
+            runState.phase = 'ended';
+        } else if (log.hit || gameMode.advanceOnMiss) {
+            runState.setTarget({ ...gameMode.nextTarget(runState), spawnMs: log.t });
+        }
+
+        return expected;
+    });
+}
@@ -1,71 +1,146 @@
 // Click Accuracy Game - Event Handlers
 
 import { CONFIG } from './config.js';
-import { ClickEventLog } from './models.js';
+import { ClickEventLog, TrackingSampleLog, INPUT_SOURCE_POINTER } from './models.js';
 import { 
     calculateDistance, 
-    accuracyUnweighted, 
-    weight, 
-    nextRadius, 
     relCoords,
-    showClickDebug,
-    randomTarget
+    showClickDebug
 } from './game-logic.js';
-import { renderTarget, removeTarget, updateLiveStats, startTimer, stopTimer } from './renderer.js';
+import { scoreClick } from './scoring.js';
+import { 
+    renderTargets, 
+    removeTargets, 
+    updateLiveStats, 
+    startTimer, 
+    stopTimer, 
+    startTargetAnimation, 
+    stopTargetAnimation 
+} from './renderer.js';
 import { createGameConfetti, createFloatingAccuracy } from './animations.js';
+import { dailySeed, utcDateKey } from './random.js';
+import { DEFAULT_MODE, TRACKING_SAMPLE_MS } from './modes.js';
 import { showGameOverModal, handleShare, preloadLeaderboardData } from './analytics.js';
+import { emitAgentEvent } from './agent-api.js';
 
 // State Transition Functions
-export function transitionToPlaying(gameArea, runState) {
+// With a run token from the server the course (seed, mode, daily date) is the token's
+export function transitionToPlaying(gameArea, runState, { daily = false, mode = DEFAULT_MODE, runToken = null, inputSource = INPUT_SOURCE_POINTER } = {}) {
     const containerSize = gameArea.clientWidth; // Square, so width = height
-    runState.startGame(containerSize);
+    
+    if (runToken) {
+        runState.startGame(containerSize, {
+            seed: runToken.seed,
+            challengeDate: runToken.challenge_date,
+            mode: runToken.mode,
+            runToken: runToken.token,
+            inputSource
+        });
+    } else if (daily) {
+        // Everyone gets the same course for the current UTC day (always classic rules)
+        const challengeDate = utcDateKey();
+        runState.startGame(containerSize, { seed: dailySeed(challengeDate), challengeDate, mode: DEFAULT_MODE, inputSource });
+    } else {
+        runState.startGame(containerSize, { mode, inputSource });
+    }
 
     // Place first target
-    runState.target = randomTarget(containerSize, runState.currentR);
-    renderTarget(gameArea, runState.target.x, runState.target.y, runState.currentR);
+    runState.setTarget(runState.getMode().nextTarget(runState));
+    renderTargets(gameArea, runState);
 }
 
-export function transitionToEnded(runState) {
-    runState.endGame();
+export function transitionToEnded(runState, endTs) {
+    runState.endGame(endTs);
     // Keep the target visible to show where the miss occurred
 }
 
+// End timestamp for a finished run, capped at the mode's time limit
+function getRunEndTs(runState) {
+    const mode = runState.getMode();
+    const now = performance.now();
+    return mode.timeLimitMs !== null ? Math.min(now, runState.startTs + mode.timeLimitMs) : now;
+}
+
+// Stop the clock, end the run and show the results
+function finishRun(runState, timerRef, gameOverElements) {
+    timerRef.current = stopTimer(timerRef.current);
+    stopTargetAnimation();
+    transitionToEnded(runState, getRunEndTs(runState));
+    emitAgentEvent('end', {
+        mode: runState.mode,
+        inputSource: runState.inputSource,
+        hits: runState.hits,
+        misses: runState.misses,
+        avgAccuracy: runState.getAverageAccuracy(),
+        bestAccuracy: runState.bestAccuracy,
+        finalRadius: runState.finalRadius,
+        durationMs: runState.getDuration(),
+        logs: runState.logs
+    });
+    showGameOverModal(runState, gameOverElements.liveStats, gameOverElements.gameOverModal, gameOverElements.shootingRange, gameOverElements.finalElements);
+}
+
 export function transitionToIdle(runState) {
     runState.reset();
 }
 
+// When an input event happened, on the performance.now() clock. event.timeStamp
+// is on that clock in current browsers; older ones report epoch ms, which would
+// be in the future here, so the handler time is used instead
+function getInputTs(e, handlerTs) {
+    const ts = e.timeStamp;
+    return Number.isFinite(ts) && ts > 0 && ts <= handlerTs ? ts : handlerTs;
+}
+
 // Click handling
 export function createClickHandler(gameArea, runState, statElements, timerRef, gameOverElements) {
     return function handleGameClick(e) {
+        const handlerTs = performance.now();
+        
         // Only process clicks during playing phase
         if (runState.phase !== 'playing') {
             return;
         }
         
+        const mode = runState.getMode();
+        
+        // Clicks don't count in the tracking task
+        if (mode.tracksPointer) {
+            return;
+        }
+        
+        // Time the click when it happened, not when it got handled; it can't have been
+        // aimed at the current target before that target appeared
+        const inputTs = getInputTs(e, handlerTs);
+        const elapsedMs = Math.max(runState.elapsedAt(inputTs), runState.target.spawnMs ?? 0);
+        const latencyMs = Math.round((handlerTs - inputTs) * 10) / 10;
+        
+        // Clicks after the time limit don't count
+        if (mode.isOver(runState, elapsedMs)) {
+            finishRun(runState, timerRef, gameOverElements);
+            return;
+        }
+        
         // Get click coordinates relative to game area
         const coords = relCoords(e, gameArea);
         const cx = coords.cx;
         const cy = coords.cy;
         
-        // Calculate distance from target center
-        const tx = runState.target.x;
-        const ty = runState.target.y;
-        const distance = calculateDistance(cx, cy, tx, ty);
-        
-        // Determine if it's a hit (d <= r, including exact edge)
-        const isHit = distance <= runState.currentR;
+        // Score the click against where the target was at the click (moving targets drift);
+        // the server rescores submitted runs with the same scoreClick()
+        const targetAtClick = mode.targetPosition(runState, elapsedMs);
+        const tx = targetAtClick.x;
+        const ty = targetAtClick.y;
+        const { d: distance, hit: isHit, a: accuracy, w: weightValue, s: score } = 
+            scoreClick(cx, cy, tx, ty, runState.currentR, runState.startR);
         
-        // Calculate metrics
-        const elapsedMs = Date.now() - runState.startTs;
-        let accuracy = null;
-        let weightValue = null;
-        let score = null;
+        // Otherwise, did the click land on a decoy?
+        const clickedDecoy = isHit ? null : runState.decoys.find(decoy => 
+            calculateDistance(cx, cy, decoy.x, decoy.y) <= runState.currentR
+        );
+        const clickedId = isHit ? runState.target.id : (clickedDecoy ? clickedDecoy.id : null);
         
         if (isHit) {
-            accuracy = accuracyUnweighted(distance, runState.currentR);
-            weightValue = weight(runState.startR, runState.currentR, CONFIG.WEIGHT_K);
-            score = accuracy * weightValue;
-            
             // Debug logging for accuracy verification
             const bullseyeRadius = runState.currentR * 0.05;
             const inBullseye = distance <= bullseyeRadius;
@@ -76,6 +151,9 @@ export function createClickHandler(gameArea, runState, statElements, timerRef, g
             showClickDebug(gameArea, cx, cy);
         }
         
+        // Pointer path since the previous click (the next one starts here)
+        const path = runState.takePath(elapsedMs, cx, cy);
+        
         // Create click event log
         const clickLog = new ClickEventLog(
             elapsedMs,
@@ -88,7 +166,14 @@ export function createClickHandler(gameArea, runState, statElements, timerRef, g
             isHit,
             accuracy,
             weightValue,
-            score
+            score,
+            targetAtClick.vx,
+            targetAtClick.vy,
+            clickedId,
+            path.length > 0 ? path : null,
+            runState.target.spawnMs,
+            runState.firstMoveMs,
+            latencyMs
         );
         
         // Instrumentation hook
@@ -98,10 +183,15 @@ export function createClickHandler(gameArea, runState, statElements, timerRef, g
                 payload: {
                     accuracy: accuracy,
                     radius: runState.currentR,
-                    time: elapsedMs
+                    time: elapsedMs,
+                    latency: latencyMs,
+                    mode: runState.mode,
+                    targetId: clickedId,
+                    decoy: Boolean(clickedDecoy)
                 }
             });
         }
+        emitAgentEvent(isHit ? 'hit' : 'miss', { log: clickLog, decoy: Boolean(clickedDecoy) });
         
         // Handle hit or miss
         if (isHit) {
@@ -124,42 +214,119 @@ export function createClickHandler(gameArea, runState, statElements, timerRef, g
                 bestAccuracy: (runState.bestAccuracy * 100).toFixed(1) + '%'
             });
             
-            // Shrink radius
-            runState.currentR = nextRadius(runState.currentR, runState.deltaR);
+            // Apply the mode's hit transition (e.g. shrink radius)
+            mode.onHit(runState);
             
             // Update live stats display
             updateLiveStats(runState, statElements);
             
-            // Check if radius reached minimum
-            if (runState.currentR <= CONFIG.MIN_RADIUS_PX) {
-                logger.log('Target reached minimum size!');
-                timerRef.current = stopTimer(timerRef.current);
-                transitionToEnded(runState);
-                showGameOverModal(runState, gameOverElements.liveStats, gameOverElements.gameOverModal, gameOverElements.shootingRange, gameOverElements.finalElements);
+            // Check the mode's end condition (e.g. minimum radius or hit target reached)
+            if (mode.isOver(runState, elapsedMs)) {
+                logger.log('Run complete:', { mode: runState.mode, hits: runState.hits });
+                finishRun(runState, timerRef, gameOverElements);
             } else {
                 // Move target to new position
-                const containerSize = gameArea.clientWidth;
-                runState.target = randomTarget(containerSize, runState.currentR);
-                renderTarget(gameArea, runState.target.x, runState.target.y, runState.currentR);
+                runState.setTarget(mode.nextTarget(runState));
+                renderTargets(gameArea, runState);
             }
         } else {
-            logger.log('Miss!', {
+            logger.log(clickedDecoy ? 'Decoy!' : 'Miss!', {
                 distance: distance.toFixed(2),
-                radius: runState.currentR
+                radius: runState.currentR,
+                decoyId: clickedDecoy ? clickedDecoy.id : null
             });
             
-            // Record miss and end game
+            // Record miss and apply the mode's miss transition (e.g. lose a life, or all of them on a decoy)
             runState.recordMiss(clickLog);
-            timerRef.current = stopTimer(timerRef.current);
-            transitionToEnded(runState);
-            showGameOverModal(runState, gameOverElements.liveStats, gameOverElements.gameOverModal, gameOverElements.shootingRange, gameOverElements.finalElements);
+            mode.onMiss(runState, clickLog);
+            updateLiveStats(runState, statElements);
+            
+            // The target stays put so the player can try again if the run continues,
+            // unless the mode moves on after a miss
+            if (mode.isOver(runState, elapsedMs)) {
+                finishRun(runState, timerRef, gameOverElements);
+            } else if (mode.advanceOnMiss) {
+                runState.setTarget(mode.nextTarget(runState));
+                renderTargets(gameArea, runState);
+            }
+        }
+    };
+}
+
+// Pointer movement - records the path between clicks; in the tracking task it
+// only remembers where the pointer is (samples are taken on the timer)
+export function createPointerMoveHandler(gameArea, runState) {
+    return function handlePointerMove(e) {
+        const handlerTs = performance.now();
+        if (runState.phase !== 'playing') {
+            return;
+        }
+        
+        const coords = relCoords(e, gameArea);
+        if (runState.getMode().tracksPointer) {
+            runState.pointer = { x: coords.cx, y: coords.cy };
+        } else {
+            runState.recordPointer(runState.elapsedAt(getInputTs(e, handlerTs)), coords.cx, coords.cy);
         }
     };
 }
 
+// Record a tracking sample every TRACKING_SAMPLE_MS once the pointer has been seen
+function sampleTracking(runState, elapsedMs) {
+    if (!runState.pointer) return;
+    if (runState.lastSampleT !== null && elapsedMs - runState.lastSampleT < TRACKING_SAMPLE_MS) return;
+    
+    const mode = runState.getMode();
+    if (mode.isOver(runState, elapsedMs)) return;
+    
+    const target = mode.targetPosition(runState, elapsedMs);
+    const distance = calculateDistance(runState.pointer.x, runState.pointer.y, target.x, target.y);
+    runState.recordSample(new TrackingSampleLog(
+        elapsedMs,
+        runState.pointer.x,
+        runState.pointer.y,
+        target.x,
+        target.y,
+        runState.currentR,
+        distance
+    ));
+}
+
+// Ask the server for a run token (it picks the seed). Without one - offline, or no API
+// when serving the static files - the run is played on a local seed and can't be submitted
+async function requestRunToken(mode, daily) {
+    try {
+        const response = await fetch('/api/runs/start', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ mode, daily })
+        });
+        
+        if (!response.ok) {
+            logger.warn('⚠️ Could not get a run token:', response.status);
+            return null;
+        }
+        return await response.json();
+    } catch (error) {
+        logger.warn('⚠️ Could not get a run token:', error);
+        return null;
+    }
+}
+
 // State transition handlers
-export function createStartHandler(gameArea, runState, modal, liveStats, statElements, timerRef) {
-    return function handleStart() {
+// Pass { daily: true } to start the shared daily challenge course instead of free play;
+// otherwise the mode is read from modeSelect when the run starts. The agent API calls
+// the handler with the mode to play and its input source after the (unused) event
+export function createStartHandler(gameArea, runState, modal, liveStats, statElements, timerRef, gameOverElements, { daily = false, modeSelect = null } = {}) {
+    let starting = false;
+    
+    return async function handleStart(e, { mode: requestedMode = null, inputSource = INPUT_SOURCE_POINTER } = {}) {
+        // Ignore repeated clicks while the run token is on its way
+        if (starting) return;
+        starting = true;
+        
         // Hide modal with fade effect
         modal.style.transition = 'opacity 0.3s';
         modal.style.opacity = '0';
@@ -168,8 +335,18 @@ export function createStartHandler(gameArea, runState, modal, liveStats, statEle
             modal.style.pointerEvents = 'none';
         }, 300);
         
-        // Transition to playing state
-        transitionToPlaying(gameArea, runState);
+        // Fetch the run token, then transition to playing state
+        const mode = requestedMode || (modeSelect && modeSelect.value) || DEFAULT_MODE;
+        const runToken = await requestRunToken(mode, daily);
+        starting = false;
+        transitionToPlaying(gameArea, runState, { daily, mode, runToken, inputSource });
+        
+        // The tracking task samples from the start: until the pointer moves it is
+        // where the start button was pressed
+        if (e && typeof e.clientX === 'number' && runState.getMode().tracksPointer) {
+            const coords = relCoords(e, gameArea);
+            runState.pointer = { x: coords.cx, y: coords.cy };
+        }
         
         // Show live stats
         liveStats.classList.remove('hidden');
@@ -177,19 +354,49 @@ export function createStartHandler(gameArea, runState, modal, liveStats, statEle
         // Initialize stats display
         updateLiveStats(runState, statElements);
         
-        // Start the timer
-        timerRef.current = startTimer(runState, statElements.statElapsedTime);
+        // Start the timer - also samples the pointer in the tracking task and
+        // ends time-limited runs when the clock runs out
+        timerRef.current = startTimer(runState, statElements.statElapsedTime, (elapsed) => {
+            const mode = runState.getMode();
+            if (mode.tracksPointer) {
+                sampleTracking(runState, elapsed);
+            }
+            if (mode.timeLimitMs === null) return;
+            
+            if (statElements.clicksLeft) {
+                statElements.clicksLeft.textContent = mode.progressLabel(runState, elapsed);
+            }
+            if (mode.isOver(runState, elapsed)) {
+                logger.log('Time is up!');
+                finishRun(runState, timerRef, gameOverElements);
+            }
+        });
+        
+        // Moving targets are animated until the run ends
+        if (runState.getMode().animated) {
+            startTargetAnimation(gameArea, runState);
+        }
         
         // Enable game area interactions
         gameArea.style.pointerEvents = 'auto';
         
         // Preload leaderboard data in background for faster modal display
-        preloadLeaderboardData().catch(error => {
+        preloadLeaderboardData(runState.mode).catch(error => {
             logger.warn('Background leaderboard preload failed:', error);
         });
         
+        emitAgentEvent('start', {
+            mode: runState.mode,
+            seed: runState.seed,
+            challengeDate: runState.challengeDate,
+            inputSource: runState.inputSource
+        });
+        
         logger.log('Game started:', {
             phase: runState.phase,
+            mode: runState.mode,
+            seed: runState.seed,
+            challengeDate: runState.challengeDate,
             startRadius: runState.startR,
             deltaRadius: runState.deltaR,
             targetPosition: runState.target
@@ -202,11 +409,12 @@ export function createRestartHandler(gameArea, runState, modal, gameOverModal, s
         // Reset state
         transitionToIdle(runState);
         
-        // Stop timer
+        // Stop timer and target animation
         timerRef.current = stopTimer(timerRef.current);
+        stopTargetAnimation();
         
-        // Remove target from game area
-        removeTarget(gameArea);
+        // Remove targets from game area
+        removeTargets(gameArea);
         
         // Hide all modals and stats
         gameOverModal.classList.add('hidden');
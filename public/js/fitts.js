@@ -0,0 +1,88 @@
+// Click Accuracy Game - Fitts's Law Metrics (ISO 9241-9)
+//
+// Effective width, effective index of difficulty and throughput computed from
+// click logs.
+
+// Scale from the standard deviation of endpoints to effective width (4.133 SD covers 96% of hits)
+const EFFECTIVE_WIDTH_SD = 4.133;
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const m = mean(values);
+    const variance = values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+}
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Metrics for one block (a sequence of trials at the same amplitude and width).
+// Each trial starts at the previous click; the first trial of a block has no
+// known start point and is skipped.
+function blockMetrics(logs) {
+    const dx = [];       // endpoint deviation along the task axis (px)
+    const ae = [];       // actual movement amplitude along the task axis (px)
+    const mt = [];       // movement time (ms)
+
+    for (let i = 1; i < logs.length; i++) {
+        const from = { x: logs[i - 1].cx, y: logs[i - 1].cy };
+        const log = logs[i];
+
+        const a = Math.hypot(log.tx - from.x, log.ty - from.y);
+        if (a === 0) continue;
+        const b = Math.hypot(log.cx - log.tx, log.cy - log.ty);
+        const c = Math.hypot(log.cx - from.x, log.cy - from.y);
+
+        // Projection of the endpoint onto the start->target line, relative to the target center
+        const deviation = (c * c - b * b - a * a) / (2 * a);
+        dx.push(deviation);
+        ae.push(a + deviation);
+        mt.push(log.t - logs[i - 1].t);
+    }
+
+    if (dx.length < 2) return null;
+
+    const effectiveWidth = EFFECTIVE_WIDTH_SD * standardDeviation(dx);
+    const effectiveAmplitude = mean(ae);
+    const movementTimeMs = mean(mt);
+    if (effectiveWidth <= 0 || movementTimeMs <= 0) return null;
+
+    const effectiveId = Math.log2(effectiveAmplitude / effectiveWidth + 1);
+
+    return {
+        effectiveWidth,
+        effectiveAmplitude,
+        effectiveId,
+        movementTimeMs,
+        throughput: effectiveId / (movementTimeMs / 1000)
+    };
+}
+
+// Fitts metrics for a run. Logs are split into consecutive blocks of
+// trialsPerBlock clicks (hits and misses both count as trials); throughput is
+// the mean of the per-block throughputs. Returns null if no block has enough trials.
+export function calculateFittsMetrics(clickLogs, trialsPerBlock) {
+    const blocks = [];
+    for (let start = 0; start < clickLogs.length; start += trialsPerBlock) {
+        const metrics = blockMetrics(clickLogs.slice(start, start + trialsPerBlock));
+        if (metrics) blocks.push(metrics);
+    }
+
+    if (blocks.length === 0) return null;
+
+    const misses = clickLogs.filter(log => !log.hit).length;
+
+    return {
+        throughput: roundTo(mean(blocks.map(b => b.throughput)), 2),          // bits/s
+        effectiveWidth: roundTo(mean(blocks.map(b => b.effectiveWidth)), 1),  // px
+        effectiveId: roundTo(mean(blocks.map(b => b.effectiveId)), 2),        // bits
+        movementTimeMs: Math.round(mean(blocks.map(b => b.movementTimeMs))),
+        errorRate: roundTo(misses / clickLogs.length, 3),
+        blocks: blocks.length
+    };
+}
@@ -4,16 +4,30 @@ import { CONFIG } from './config.js';
 
 // Helper Functions
 
-// Random target placement
-export function randomTarget(side, radius) {
+// Random target placement (rng defaults to Math.random; pass a seeded rng for reproducible runs)
+export function randomTarget(side, radius, rng = Math.random) {
     const min = radius;
     const max = side - radius;
     return {
-        x: min + Math.random() * (max - min),
-        y: min + Math.random() * (max - min)
+        x: min + rng() * (max - min),
+        y: min + rng() * (max - min)
     };
 }
 
+// Move along one axis for a time step, reflecting off the walls at min and max.
+// Closed form, so the result doesn't depend on the frame rate.
+export function bounce(position, velocity, dtSeconds, min, max) {
+    const span = max - min;
+    if (span <= 0) return { position: min, velocity };
+    
+    // Unfold the reflections into a triangle wave with period 2 * span
+    const period = 2 * span;
+    const travelled = ((position - min + velocity * dtSeconds) % period + period) % period;
+    return travelled <= span
+        ? { position: min + travelled, velocity }
+        : { position: max - (travelled - span), velocity: -velocity };
+}
+
 // Calculate distance between two points
 export function calculateDistance(x1, y1, x2, y2) {
     return Math.hypot(x2 - x1, y2 - y1);
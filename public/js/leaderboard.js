@@ -1,10 +1,15 @@
 // Leaderboard Page JavaScript
 
+import { GAME_MODES, DEFAULT_MODE, isValidMode } from './modes.js';
+import { getBadgeById } from './badges.js';
+
 // DOM Elements
 const loadingState = document.getElementById('loading-state');
 const errorState = document.getElementById('error-state');
 const leaderboardContent = document.getElementById('leaderboard-content');
 const hallOfFameTable = document.getElementById('hall-of-fame-table');
+const modeSelect = document.getElementById('leaderboard-mode');
+const sortSelect = document.getElementById('leaderboard-sort');
 // Removed todaysBestTable - no longer needed
 
 // Stats elements
@@ -12,6 +17,52 @@ const totalPlayersElement = document.getElementById('total-players');
 const todaysPlayersElement = document.getElementById('todays-players');
 const lastUpdatedElement = document.getElementById('last-updated');
 
+// Selected game mode (?mode= in the URL, defaults to classic)
+const urlMode = new URLSearchParams(window.location.search).get('mode');
+let selectedMode = isValidMode(urlMode) ? urlMode : DEFAULT_MODE;
+
+// Optional re-sort by median reaction or movement time (?sort= in the URL)
+const SORT_COLUMNS = { reaction_time: 'reaction_time_ms', movement_time: 'movement_time_ms' };
+const urlSort = new URLSearchParams(window.location.search).get('sort');
+let selectedSort = SORT_COLUMNS[urlSort] ? urlSort : '';
+
+// Keep the selected mode and sort in the URL so the view can be shared
+function updateUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('mode', selectedMode);
+    if (selectedSort) {
+        url.searchParams.set('sort', selectedSort);
+    } else {
+        url.searchParams.delete('sort');
+    }
+    window.history.replaceState(null, '', url);
+}
+
+// Populate the mode filter from the registry
+if (modeSelect) {
+    Object.values(GAME_MODES).forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.name;
+        modeSelect.appendChild(option);
+    });
+    modeSelect.value = selectedMode;
+    modeSelect.addEventListener('change', () => {
+        selectedMode = modeSelect.value;
+        updateUrl();
+        loadLeaderboardData();
+    });
+}
+
+if (sortSelect) {
+    sortSelect.value = selectedSort;
+    sortSelect.addEventListener('change', () => {
+        selectedSort = sortSelect.value;
+        updateUrl();
+        loadLeaderboardData();
+    });
+}
+
 // Load leaderboard data on page load
 document.addEventListener('DOMContentLoaded', loadLeaderboardData);
 
@@ -21,7 +72,11 @@ async function loadLeaderboardData() {
         showLoading();
         
         logger.log('🔄 Fetching leaderboard data...');
-        const response = await fetch('/api/leaderboard');
+        const sortParam = selectedSort ? `&sort=${encodeURIComponent(selectedSort)}` : '';
+        const [response, aiModels] = await Promise.all([
+            fetch(`/api/leaderboard?mode=${encodeURIComponent(selectedMode)}${sortParam}`),
+            fetchAIModelStats(selectedMode)
+        ]);
         
         if (!response.ok) {
             throw new Error(`API returned ${response.status}: ${response.statusText}`);
@@ -33,8 +88,8 @@ async function loadLeaderboardData() {
             todaysBestCount: data.todays_best?.length || 0
         });
         
-        // Render scatter plot
-        renderScatterPlot(data.scatter_data || []);
+        // Render scatter plot (AI models as error bars when their statistics loaded)
+        renderScatterPlot(data.scatter_data || [], aiModels);
         
         // Populate leaderboard (sorted by combined score)
         populateLeaderboard(data.hall_of_fame || []);
@@ -50,6 +105,23 @@ async function loadLeaderboardData() {
     }
 }
 
+// Per-model AI statistics for the mode; null if they couldn't be loaded (the plot
+// then shows the individual AI runs instead)
+async function fetchAIModelStats(mode) {
+    try {
+        const response = await fetch(`/api/ai-benchmarks?mode=${encodeURIComponent(mode)}`);
+        if (!response.ok) {
+            logger.warn('⚠️ Could not load AI benchmark statistics:', response.status);
+            return null;
+        }
+        const data = await response.json();
+        return data.models || [];
+    } catch (error) {
+        logger.warn('⚠️ Could not load AI benchmark statistics:', error);
+        return null;
+    }
+}
+
 // Show loading state
 function showLoading() {
     loadingState.classList.remove('hidden');
@@ -87,10 +159,18 @@ function populateLeaderboard(players) {
     }
     
     // Calculate combined score for each player and sort
+    // (modes that rank by another column, e.g. Time Attack by hits, and the reaction/movement
+    // time sorts show that column and keep the API order)
+    const rankBy = selectedSort ? SORT_COLUMNS[selectedSort] : GAME_MODES[selectedMode].scoring.rankBy;
     const playersWithCombinedScore = players.map(player => ({
         ...player,
-        combined_score: (player.performance_score + player.speed_score) / 2
-    })).sort((a, b) => b.combined_score - a.combined_score);
+        combined_score: rankBy === 'performance_score'
+            ? (player.performance_score + player.speed_score) / 2
+            : player[rankBy]
+    }));
+    if (rankBy === 'performance_score') {
+        playersWithCombinedScore.sort((a, b) => b.combined_score - a.combined_score);
+    }
     
     playersWithCombinedScore.forEach((player, index) => {
         const row = createPlayerRow(player, index + 1);
@@ -123,12 +203,13 @@ function createPlayerRow(player, rank) {
         </td>
         <td class="px-6 py-4 whitespace-nowrap">
             <div class="text-sm font-medium text-gray-900">${displayName}</div>
+            ${getBadgeIcons(player.badges)}
         </td>
         <td class="px-6 py-4 whitespace-nowrap text-sm">
             ${typeBadge}
         </td>
         <td class="px-6 py-4 whitespace-nowrap text-sm font-bold text-blue-600">
-            ${formatScore(player.combined_score)}
+            ${selectedSort ? formatMs(player.combined_score) : formatScore(player.combined_score)}
         </td>
         <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
             ${formatScore(player.performance_score)}
@@ -144,6 +225,16 @@ function createPlayerRow(player, rank) {
     return row;
 }
 
+// Earned badge icons (name and description on hover)
+function getBadgeIcons(badgeIds) {
+    const badges = (badgeIds || []).map(getBadgeById).filter(Boolean);
+    if (badges.length === 0) return '';
+    
+    return `<div class="text-sm mt-0.5">${badges.map(badge => 
+        `<span class="cursor-help" title="${badge.name}: ${badge.description}">${badge.icon}</span>`
+    ).join(' ')}</div>`;
+}
+
 // Get rank badge with different styling for top positions
 function getRankBadge(rank) {
     if (rank === 1) {
@@ -163,6 +254,12 @@ function formatScore(score) {
     return Number(score).toFixed(1);
 }
 
+// Format a median time in whole ms
+function formatMs(value) {
+    if (value === null || value === undefined) return '-';
+    return `${Math.round(value)}ms`;
+}
+
 // Format leaderboard date: relative time if within 7 days, otherwise full date
 function formatRelativeOrDate(dateString) {
     if (!dateString) return '-';
@@ -246,8 +343,10 @@ function formatLastUpdated(timestamp) {
     }
 }
 
-// Render scatter plot for leaderboard page
-function renderScatterPlot(scatterData) {
+// Render scatter plot for leaderboard page. With aiModels (from /api/ai-benchmarks)
+// each AI model is drawn once at its mean with 95% interval error bars, instead of
+// one point per AI run
+function renderScatterPlot(scatterData, aiModels = null) {
     const svg = document.getElementById('leaderboard-scatter-plot');
     if (!svg || !scatterData) return;
     
@@ -375,7 +474,8 @@ function renderScatterPlot(scatterData) {
     
     // Process the data to categorize players
     const processedData = [];
-    scatterData.forEach(point => {
+    const pointData = aiModels ? scatterData.filter(point => point.type !== 'ai') : scatterData;
+    pointData.forEach(point => {
         const processedPoint = { ...point };
         
         if (point.type === 'human') {
@@ -525,6 +625,95 @@ function renderScatterPlot(scatterData) {
         
         g.appendChild(circle);
     });
+    
+    if (aiModels) {
+        drawAIModelErrorBars(g, aiModels, scaleX, scaleY, processedData.length);
+    }
+}
+
+// One marker per AI model at its mean speed and performance, with bars spanning
+// the 95% intervals (models with a single run have no bars)
+function drawAIModelErrorBars(g, aiModels, scaleX, scaleY, tooltipOffset) {
+    const color = '#dc2626';
+    const capSize = 4;
+    
+    function line(x1, y1, x2, y2) {
+        const bar = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        bar.setAttribute('x1', x1);
+        bar.setAttribute('y1', y1);
+        bar.setAttribute('x2', x2);
+        bar.setAttribute('y2', y2);
+        bar.setAttribute('stroke', color);
+        bar.setAttribute('stroke-width', 1.5);
+        bar.setAttribute('opacity', 0.8);
+        g.appendChild(bar);
+    }
+    
+    function formatInterval(summary) {
+        return summary.ci95
+            ? `${summary.mean.toFixed(1)} (${summary.ci95[0].toFixed(1)}–${summary.ci95[1].toFixed(1)})`
+            : summary.mean.toFixed(1);
+    }
+    
+    aiModels.forEach((model, index) => {
+        const speed = model.speed_score;
+        const performance = model.performance_score;
+        const cx = scaleX(speed.mean);
+        const cy = scaleY(performance.mean);
+        
+        if (speed.ci95) {
+            const [x1, x2] = speed.ci95.map(scaleX);
+            line(x1, cy, x2, cy);
+            line(x1, cy - capSize, x1, cy + capSize);
+            line(x2, cy - capSize, x2, cy + capSize);
+        }
+        if (performance.ci95) {
+            const [y1, y2] = performance.ci95.map(scaleY);
+            line(cx, y1, cx, y2);
+            line(cx - capSize, y1, cx + capSize, y1);
+            line(cx - capSize, y2, cx + capSize, y2);
+        }
+        
+        const name = model.ai_model_version ? `${model.ai_model} ${model.ai_model_version}` : model.ai_model;
+        
+        const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        marker.setAttribute('cx', cx);
+        marker.setAttribute('cy', cy);
+        marker.setAttribute('r', 5);
+        marker.setAttribute('fill', '#ef4444');
+        marker.setAttribute('stroke', color);
+        marker.setAttribute('stroke-width', 1);
+        marker.setAttribute('class', 'scatter-point cursor-pointer');
+        
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('x', cx);
+        label.setAttribute('y', cy + 18);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('font-size', '10px');
+        label.setAttribute('font-weight', 'bold');
+        label.setAttribute('fill', color);
+        label.textContent = `${name} (n=${model.runs})`;
+        g.appendChild(label);
+        
+        const tooltip = createLeaderboardTooltip(cx, cy, {
+            title: name,
+            speed: formatInterval(speed),
+            performance: formatInterval(performance),
+            bgColor: color,
+            width: 150
+        }, tooltipOffset + index, g);
+        
+        marker.addEventListener('mouseenter', () => {
+            tooltip.style.opacity = '1';
+            g.appendChild(tooltip);
+        });
+        marker.addEventListener('mouseleave', () => {
+            tooltip.style.opacity = '0';
+        });
+        
+        g.appendChild(marker);
+        g.appendChild(tooltip);
+    });
 }
 
 // Create custom tooltip for leaderboard scatter plot
@@ -537,7 +726,7 @@ function createLeaderboardTooltip(cx, cy, data, id, parentGroup) {
     
     // Position tooltip above the dot to avoid clipping
     const tooltipY = cy - 60;
-    const tooltipWidth = 90;
+    const tooltipWidth = data.width || 90;
     const tooltipHeight = 48;
     
     // Adjust position if tooltip would go off-screen
@@ -1,8 +1,28 @@
 // Click Accuracy Game - Data Models
 
+import { createRng, generateSeed } from './random.js';
+import { DEFAULT_MODE, getMode } from './modes.js';
+import { TRACKING_SAMPLE_TYPE } from './tracking.js';
+import { appendPathPoint, PATH_STRIDE } from './trajectory.js';
+import { MOVE_THRESHOLD_PX } from './reaction.js';
+
+// Minimum spacing between recorded pointer path points
+const PATH_SAMPLE_MS = 8;
+
+// Run timing uses the monotonic performance.now() clock: it doesn't jump with
+// system clock changes and is the clock event.timeStamp is measured on
+function now() {
+    return performance.now();
+}
+
+// How a run was played: with a real pointer, or driven through window.ClickAccuracy (agent-api.js)
+export const INPUT_SOURCE_POINTER = 'pointer';
+export const INPUT_SOURCE_AGENT = 'agent';
+export const INPUT_SOURCES = [INPUT_SOURCE_POINTER, INPUT_SOURCE_AGENT];
+
 // Click Event Log Structure
 export class ClickEventLog {
-    constructor(t, cx, cy, tx, ty, r, d, hit, a = null, w = null, s = null) {
+    constructor(t, cx, cy, tx, ty, r, d, hit, a = null, w = null, s = null, vx = null, vy = null, tid = null, p = null, ts = null, tm = null, l = null) {
         this.t = t;           // ms since run start
         this.cx = cx;         // click x coordinate
         this.cy = cy;         // click y coordinate  
@@ -14,6 +34,28 @@ export class ClickEventLog {
         this.a = a;           // unweighted accuracy [0,1]
         this.w = w;           // weight
         this.s = s;           // weighted score a*w
+        this.vx = vx;         // target x velocity at click time in px/s (null for static targets)
+        this.vy = vy;         // target y velocity at click time in px/s (null for static targets)
+        this.tid = tid;       // id of the target (or decoy) clicked, null for empty space
+        this.p = p;           // pointer path since the previous click, [t, x, y, ...] (see trajectory.js)
+        this.ts = ts;         // ms since run start when the clicked-at target appeared
+        this.tm = tm;         // ms since run start when the pointer first moved after that (null if it didn't)
+        this.l = l;           // ms between the input event and the click handler running
+    }
+}
+
+// Tracking Sample Structure (pointer position sampled during the tracking task)
+export class TrackingSampleLog {
+    constructor(t, px, py, tx, ty, r, d) {
+        this.type = TRACKING_SAMPLE_TYPE; // distinguishes samples from click logs
+        this.t = t;           // ms since run start
+        this.px = px;         // pointer x coordinate
+        this.py = py;         // pointer y coordinate
+        this.tx = tx;         // target center x
+        this.ty = ty;         // target center y
+        this.r = r;           // target radius
+        this.d = d;           // distance from center
+        this.on = d <= r;     // pointer inside the target
     }
 }
 
@@ -21,14 +63,31 @@ export class ClickEventLog {
 export class RunState {
     constructor() {
         this.phase = 'idle';      // 'idle' | 'playing' | 'ended'
-        this.startTs = null;      // epoch ms
-        this.endTs = null;        // epoch ms
+        this.startTs = null;      // performance.now() ms
+        this.endTs = null;        // performance.now() ms
         this.hits = 0;            // total successful hits
         this.currentR = 0;        // current radius in px
         this.startR = 0;          // starting radius in px
         this.deltaR = 0;          // radius decrement per hit
-        this.target = { x: 0, y: 0 };  // current target position
+        this.target = { x: 0, y: 0 };  // current (live) target position and id
+        this.decoys = [];         // decoys on screen alongside the target, [{ id, x, y }]
+        this.targetCount = 0;     // targets placed so far (source of target ids)
         this.logs = [];           // array of ClickEventLog instances
+        this.seed = null;         // course seed (uint32)
+        this.rng = null;          // seeded random generator for target placement
+        this.containerSize = 0;   // game area side length in px
+        this.challengeDate = null; // 'YYYY-MM-DD' for daily challenge runs, null for free play
+        this.runToken = null;     // signed token from POST /api/runs/start, sent back with the run
+        this.inputSource = INPUT_SOURCE_POINTER; // 'agent' once anything was injected through the agent API
+        this.mode = DEFAULT_MODE; // game mode id (see modes.js)
+        this.lives = 1;           // misses left before the run ends (null = unlimited)
+        this.misses = 0;          // total missed clicks
+        this.modeState = null;    // mode-specific data (e.g. block order in the Fitts mode)
+        this.pointer = null;      // last known pointer position { x, y } (tracking task)
+        this.lastSampleT = null;  // ms since run start of the last tracking sample
+        this.path = [];           // pointer path since the last click, [t, x, y, ...]
+        this.firstMoveMs = null;  // first pointer movement since the current target appeared
+        this.spawnPointer = null; // pointer position when the current target appeared
         
         // Running statistics
         this.totalAccuracy = 0;   // sum of all hit accuracies
@@ -46,7 +105,24 @@ export class RunState {
         this.startR = 0;
         this.deltaR = 0;
         this.target = { x: 0, y: 0 };
+        this.decoys = [];
+        this.targetCount = 0;
         this.logs = [];
+        this.seed = null;
+        this.rng = null;
+        this.containerSize = 0;
+        this.challengeDate = null;
+        this.runToken = null;
+        this.inputSource = INPUT_SOURCE_POINTER;
+        this.mode = DEFAULT_MODE;
+        this.lives = 1;
+        this.misses = 0;
+        this.modeState = null;
+        this.pointer = null;
+        this.lastSampleT = null;
+        this.path = [];
+        this.firstMoveMs = null;
+        this.spawnPointer = null;
         
         // Reset statistics
         this.totalAccuracy = 0;
@@ -55,15 +131,31 @@ export class RunState {
         this.finalRadius = 0;
     }
     
-    startGame(containerSize) {
+    startGame(containerSize, { seed = generateSeed(), challengeDate = null, mode = DEFAULT_MODE, runToken = null, inputSource = INPUT_SOURCE_POINTER } = {}) {
         this.phase = 'playing';
-        this.startTs = Date.now();
+        this.startTs = now();
         this.endTs = null;
         this.hits = 0;
-        this.startR = Math.floor(0.10 * containerSize); // Using CONFIG.START_RADIUS_RATIO
-        this.currentR = this.startR;
-        this.deltaR = Math.max(1, Math.ceil(this.startR / 20)); // Using CONFIG.SHRINK_STEPS_APPROX
+        this.misses = 0;
         this.logs = [];
+        this.decoys = [];
+        this.targetCount = 0;
+        this.seed = seed;
+        this.rng = createRng(seed);
+        this.containerSize = containerSize;
+        this.challengeDate = challengeDate;
+        this.runToken = runToken;
+        this.inputSource = inputSource;
+        this.modeState = null;
+        this.pointer = null;
+        this.lastSampleT = null;
+        this.path = [];
+        this.firstMoveMs = null;
+        this.spawnPointer = null;
+        
+        // Mode sets the radius schedule and lives
+        this.mode = getMode(mode).id;
+        getMode(this.mode).start(this, containerSize);
         
         // Initialize statistics
         this.totalAccuracy = 0;
@@ -72,9 +164,9 @@ export class RunState {
         this.finalRadius = this.startR;
     }
     
-    endGame() {
+    endGame(endTs = now()) {
         this.phase = 'ended';
-        this.endTs = Date.now();
+        this.endTs = endTs;
     }
     
     recordHit(clickLog) {
@@ -92,9 +184,57 @@ export class RunState {
         }
     }
     
+    // Whether the run ends on this miss is up to the mode
     recordMiss(clickLog) {
+        this.misses++;
         this.logs.push(clickLog);
-        this.endGame();
+    }
+    
+    // Make a new target live, with any decoys the mode placed around it.
+    // Every target gets an id that is unique within the run
+    setTarget({ decoys = [], ...target }) {
+        const spawnMs = target.spawnMs ?? this.getDuration();
+        this.target = { ...target, spawnMs, id: ++this.targetCount };
+        this.decoys = decoys.map(decoy => ({ ...decoy, id: ++this.targetCount }));
+        
+        // Reaction time is measured from here to the first pointer movement
+        this.firstMoveMs = null;
+        this.spawnPointer = this.pointer;
+    }
+    
+    // Remember the pointer position and extend the path towards the next click
+    recordPointer(t, x, y) {
+        this.pointer = { x, y };
+        
+        // First movement since the target appeared (any movement if the pointer position was unknown).
+        // A move queued before the target appeared still counts from the spawn
+        if (this.firstMoveMs === null && (!this.spawnPointer || 
+            Math.hypot(x - this.spawnPointer.x, y - this.spawnPointer.y) >= MOVE_THRESHOLD_PX)) {
+            this.firstMoveMs = Math.max(t, this.target.spawnMs ?? 0);
+        }
+        
+        const lastT = this.path.length >= PATH_STRIDE ? this.path[this.path.length - PATH_STRIDE] : null;
+        if (lastT === null || t - lastT >= PATH_SAMPLE_MS) {
+            appendPathPoint(this.path, t, x, y);
+        }
+    }
+    
+    // Hand over the path for a click; the next path starts at the click point
+    takePath(t, x, y) {
+        const path = this.path;
+        this.pointer = { x, y };
+        this.path = appendPathPoint([], t, x, y);
+        return path;
+    }
+    
+    // Tracking samples share the log with clicks but don't touch hit statistics
+    recordSample(sample) {
+        this.logs.push(sample);
+        this.lastSampleT = sample.t;
+    }
+    
+    getMode() {
+        return getMode(this.mode);
     }
     
     getAverageAccuracy() {
@@ -102,7 +242,11 @@ export class RunState {
     }
     
     getDuration() {
-        const end = this.endTs || Date.now();
-        return this.startTs ? end - this.startTs : 0;
+        return this.elapsedAt(this.endTs || now());
+    }
+    
+    // Run time (ms since start, 0.1ms resolution) of a performance.now() timestamp
+    elapsedAt(ts) {
+        return this.startTs ? Math.round(Math.max(0, ts - this.startTs) * 10) / 10 : 0;
     }
 }
\ No newline at end of file
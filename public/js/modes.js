@@ -0,0 +1,353 @@
+// Click Accuracy Game - Game Modes
+//
+// Each mode defines how a run starts, what a hit or a miss does, when the run
+// ends and how it is scored.
+
+import { CONFIG } from './config.js';
+import { bounce, nextRadius, randomTarget } from './game-logic.js';
+import { calculateTrackingMetrics } from './tracking.js';
+
+export const DEFAULT_MODE = 'classic';
+
+// Shared behaviour - modes override only what differs
+const BASE_MODE = {
+    lives: 1,              // misses allowed before the run ends (null = unlimited)
+    timeLimitMs: null,     // run ends after this many ms (null = no limit)
+    targetHits: null,      // run ends after this many hits (null = no limit)
+    maxClicks: null,       // run ends after this many clicks, hits or misses (null = no limit)
+    advanceOnMiss: false,  // move to the next target after a miss instead of keeping it in place
+    animated: false,       // target moves between clicks (renderer runs an animation loop)
+    tracksPointer: false,  // pointer position is sampled instead of counting clicks (tracking task)
+    decoys: 0,             // decoys placed around each target (clicking one ends the run)
+    scoring: {
+        fullScoreHits: CONFIG.SHRINK_STEPS_APPROX, // hits needed for the full performance multiplier
+        rankBy: 'performance_score'                // leaderboard ordering column
+    },
+
+    // Start conditions: radius schedule and lives
+    start(runState, containerSize) {
+        runState.startR = Math.floor(CONFIG.START_RADIUS_RATIO * containerSize);
+        runState.deltaR = Math.max(1, Math.ceil(runState.startR / CONFIG.SHRINK_STEPS_APPROX));
+        runState.currentR = runState.startR;
+        runState.lives = this.lives;
+    },
+
+    // Hit transition: shrink the target
+    onHit(runState) {
+        runState.currentR = nextRadius(runState.currentR, runState.deltaR);
+    },
+
+    // Miss transition: lose a life (clicking a decoy loses them all)
+    onMiss(runState, clickLog) {
+        if (runState.lives === null) return;
+        runState.lives = clickLog && clickLog.tid !== null ? 0 : Math.max(0, runState.lives - 1);
+    },
+
+    // End condition, checked after every click and on every timer tick
+    isOver(runState, elapsedMs) {
+        if (runState.lives === 0) return true;
+        if (this.timeLimitMs !== null && elapsedMs >= this.timeLimitMs) return true;
+        if (this.targetHits !== null && runState.hits >= this.targetHits) return true;
+        if (this.maxClicks !== null && runState.logs.length >= this.maxClicks) return true;
+        return runState.currentR <= CONFIG.MIN_RADIUS_PX;
+    },
+
+    // Place the next target
+    nextTarget(runState) {
+        return randomTarget(runState.containerSize, runState.currentR, runState.rng);
+    },
+
+    // Where the target is (and how fast it moves, in px/s) at elapsedMs - used for hit testing and drawing
+    targetPosition(runState) {
+        return { x: runState.target.x, y: runState.target.y, vx: null, vy: null };
+    },
+
+    // Short progress text for the live display
+    progressLabel(runState) {
+        const remaining = Math.max(0, CONFIG.SHRINK_STEPS_APPROX - runState.hits);
+        return `${remaining} clicks left`;
+    }
+};
+
+function defineMode(definition) {
+    return {
+        ...BASE_MODE,
+        ...definition,
+        scoring: { ...BASE_MODE.scoring, ...definition.scoring }
+    };
+}
+
+// Constant target radius used by modes that don't shrink (half the classic start size)
+function fixedRadius(containerSize) {
+    return Math.max(CONFIG.MIN_RADIUS_PX + 1, Math.floor(CONFIG.START_RADIUS_RATIO * containerSize / 2));
+}
+
+// Moving targets travel at this fraction of the game area per second
+const MOVING_SPEED_RATIO = 0.2;
+
+// Place the live target and `count` decoys of the same size without overlaps
+// (a decoy is dropped if no free spot turns up)
+function placeWithDecoys(runState, count) {
+    const size = runState.containerSize;
+    const r = runState.currentR;
+    const minGap = 2 * r + 4;
+    const target = randomTarget(size, r, runState.rng);
+    const placed = [target];
+    const decoys = [];
+    
+    for (let i = 0; i < count; i++) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const candidate = randomTarget(size, r, runState.rng);
+            if (placed.every(p => Math.hypot(p.x - candidate.x, p.y - candidate.y) >= minGap)) {
+                placed.push(candidate);
+                decoys.push(candidate);
+                break;
+            }
+        }
+    }
+    
+    return { x: target.x, y: target.y, decoys };
+}
+
+// Tracking targets follow a Lissajous path; per-axis frequencies (Hz) are drawn from this range
+const TRACKING_FREQUENCY = { min: 0.08, max: 0.16 };
+export const TRACKING_SAMPLE_MS = 50; // pointer sampling interval
+
+// ISO 9241-9 multi-directional tapping: targets sit evenly around a circle and the
+// sequence alternates across it. Each condition is one block of FITTS_TARGETS trials.
+const FITTS_TARGETS = 9; // targets per circle (odd, so consecutive targets are roughly opposite)
+const FITTS_CONDITIONS = [ // circle diameter (amplitude) and target diameter (width), as fractions of the game area
+    { amplitude: 0.35, width: 0.08 },
+    { amplitude: 0.35, width: 0.04 },
+    { amplitude: 0.7, width: 0.08 },
+    { amplitude: 0.7, width: 0.04 }
+];
+
+// Fisher-Yates shuffle driven by the run's seeded generator
+function shuffled(items, rng) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function fittsRadius(condition, containerSize) {
+    return Math.max(CONFIG.MIN_RADIUS_PX + 1, Math.floor(condition.width * containerSize / 2));
+}
+
+export const GAME_MODES = {
+    classic: defineMode({
+        id: 'classic',
+        name: 'Classic',
+        description: 'Circles shrink with every hit. One miss ends the run.'
+    }),
+
+    time_attack: defineMode({
+        id: 'time_attack',
+        name: 'Time Attack',
+        description: 'Most hits in 60 seconds. Misses do not end the run.',
+        lives: null,
+        timeLimitMs: 60000,
+        scoring: {
+            fullScoreHits: 60,
+            rankBy: 'total_hits'
+        },
+        start(runState, containerSize) {
+            runState.startR = fixedRadius(containerSize);
+            runState.deltaR = 0;
+            runState.currentR = runState.startR;
+            runState.lives = this.lives;
+        },
+        onHit() {
+            // Constant size - nothing to update
+        },
+        progressLabel(runState, elapsedMs) {
+            const remainingMs = Math.max(0, this.timeLimitMs - elapsedMs);
+            return `${(remainingMs / 1000).toFixed(1)}s left`;
+        }
+    }),
+
+    lives: defineMode({
+        id: 'lives',
+        name: 'Three Lives',
+        description: 'Classic shrinking circles, but you can miss twice.',
+        lives: 3,
+        progressLabel(runState) {
+            const remaining = Math.max(0, CONFIG.SHRINK_STEPS_APPROX - runState.hits);
+            const hearts = '♥'.repeat(runState.lives || 0);
+            return `${hearts} ${remaining} clicks left`;
+        }
+    }),
+
+    fixed_size: defineMode({
+        id: 'fixed_size',
+        name: 'Fixed Size',
+        description: 'The circle never shrinks. 20 hits, one miss ends the run.',
+        targetHits: CONFIG.SHRINK_STEPS_APPROX,
+        start(runState, containerSize) {
+            runState.startR = fixedRadius(containerSize);
+            runState.deltaR = 0;
+            runState.currentR = runState.startR;
+            runState.lives = this.lives;
+        },
+        onHit() {
+            // Constant size - nothing to update
+        },
+        progressLabel(runState) {
+            const remaining = Math.max(0, this.targetHits - runState.hits);
+            return `${remaining} clicks left`;
+        }
+    }),
+
+    moving: defineMode({
+        id: 'moving',
+        name: 'Moving Target',
+        description: 'Circles drift and bounce off the walls. Click where they are, not where they were.',
+        animated: true,
+        // Random start and heading from the seeded generator; spawnMs anchors the motion
+        nextTarget(runState) {
+            const size = runState.containerSize;
+            const position = randomTarget(size, runState.currentR, runState.rng);
+            const heading = runState.rng() * 2 * Math.PI;
+            const speed = MOVING_SPEED_RATIO * size;
+            return {
+                x: position.x,
+                y: position.y,
+                vx: speed * Math.cos(heading),
+                vy: speed * Math.sin(heading),
+                spawnMs: runState.getDuration()
+            };
+        },
+        targetPosition(runState, elapsedMs) {
+            const { x, y, vx, vy, spawnMs } = runState.target;
+            const dt = Math.max(0, elapsedMs - spawnMs) / 1000;
+            const min = runState.currentR;
+            const max = runState.containerSize - runState.currentR;
+            const horizontal = bounce(x, vx, dt, min, max);
+            const vertical = bounce(y, vy, dt, min, max);
+            return { x: horizontal.position, y: vertical.position, vx: horizontal.velocity, vy: vertical.velocity };
+        }
+    }),
+
+    decoys: defineMode({
+        id: 'decoys',
+        name: 'Decoys',
+        description: 'Several circles at once. Only the highlighted one counts: clicking a grey decoy ends the run, and you can miss twice.',
+        lives: 3,
+        decoys: 3,
+        nextTarget(runState) {
+            return placeWithDecoys(runState, this.decoys);
+        },
+        progressLabel(runState) {
+            const remaining = Math.max(0, CONFIG.SHRINK_STEPS_APPROX - runState.hits);
+            const hearts = '♥'.repeat(runState.lives || 0);
+            return `${hearts} ${remaining} clicks left`;
+        }
+    }),
+
+    tracking: defineMode({
+        id: 'tracking',
+        name: 'Tracking',
+        description: 'Keep the pointer inside the moving circle for 30 seconds. Scored by time on target.',
+        lives: null,
+        timeLimitMs: 30000,
+        animated: true,
+        tracksPointer: true,
+        // Seeded smooth path: frequencies and phases per axis
+        start(runState, containerSize) {
+            const rng = runState.rng;
+            const frequency = () => TRACKING_FREQUENCY.min + rng() * (TRACKING_FREQUENCY.max - TRACKING_FREQUENCY.min);
+            runState.modeState = {
+                fx: frequency(),
+                fy: frequency(),
+                phaseX: rng() * 2 * Math.PI,
+                phaseY: rng() * 2 * Math.PI
+            };
+            runState.startR = fixedRadius(containerSize);
+            runState.deltaR = 0;
+            runState.currentR = runState.startR;
+            runState.lives = this.lives;
+        },
+        onHit() {
+            // Clicks don't count in tracking
+        },
+        nextTarget(runState) {
+            return this.targetPosition(runState, 0);
+        },
+        targetPosition(runState, elapsedMs) {
+            const { fx, fy, phaseX, phaseY } = runState.modeState;
+            const seconds = elapsedMs / 1000;
+            const center = runState.containerSize / 2;
+            const amplitude = center - runState.currentR;
+            const wx = 2 * Math.PI * fx;
+            const wy = 2 * Math.PI * fy;
+            return {
+                x: center + amplitude * Math.sin(wx * seconds + phaseX),
+                y: center + amplitude * Math.sin(wy * seconds + phaseY),
+                vx: amplitude * wx * Math.cos(wx * seconds + phaseX),
+                vy: amplitude * wy * Math.cos(wy * seconds + phaseY)
+            };
+        },
+        progressLabel(runState, elapsedMs) {
+            const remainingMs = Math.max(0, this.timeLimitMs - elapsedMs);
+            const tracking = calculateTrackingMetrics(runState.logs);
+            const onTarget = tracking ? ` · ${Math.round(tracking.timeOnTarget * 100)}% on target` : '';
+            return `${(remainingMs / 1000).toFixed(1)}s left${onTarget}`;
+        }
+    }),
+
+    fitts: defineMode({
+        id: 'fitts',
+        name: "Fitts's Law",
+        description: 'Tap targets around a circle at set distances and sizes. Misses move on. Ranked by throughput (bits/s).',
+        lives: null,
+        maxClicks: FITTS_TARGETS * FITTS_CONDITIONS.length,
+        advanceOnMiss: true,
+        trialsPerBlock: FITTS_TARGETS,
+        scoring: {
+            fullScoreHits: FITTS_TARGETS * FITTS_CONDITIONS.length,
+            rankBy: 'throughput'
+        },
+        // Blocks run in a seeded random order so the course is reproducible
+        start(runState, containerSize) {
+            runState.modeState = { blocks: shuffled(FITTS_CONDITIONS, runState.rng) };
+            runState.startR = fittsRadius(runState.modeState.blocks[0], containerSize);
+            runState.deltaR = 0;
+            runState.currentR = runState.startR;
+            runState.lives = this.lives;
+        },
+        onHit() {
+            // Width is set per block in nextTarget
+        },
+        nextTarget(runState) {
+            const trial = runState.logs.length;
+            const blocks = runState.modeState.blocks;
+            const condition = blocks[Math.min(blocks.length - 1, Math.floor(trial / FITTS_TARGETS))];
+            const position = ((trial % FITTS_TARGETS) * Math.ceil(FITTS_TARGETS / 2)) % FITTS_TARGETS;
+            const angle = -Math.PI / 2 + (2 * Math.PI * position) / FITTS_TARGETS;
+            const center = runState.containerSize / 2;
+            const amplitude = condition.amplitude * runState.containerSize / 2;
+
+            runState.currentR = fittsRadius(condition, runState.containerSize);
+            return {
+                x: center + amplitude * Math.cos(angle),
+                y: center + amplitude * Math.sin(angle)
+            };
+        },
+        progressLabel(runState) {
+            const remaining = Math.max(0, this.maxClicks - runState.logs.length);
+            return `${remaining} targets left`;
+        }
+    })
+};
+
+// Look up a mode by id (falls back to classic for unknown ids)
+export function getMode(modeId) {
+    return GAME_MODES[modeId] || GAME_MODES[DEFAULT_MODE];
+}
+
+export function isValidMode(modeId) {
+    return typeof modeId === 'string' && Object.prototype.hasOwnProperty.call(GAME_MODES, modeId);
+}
@@ -0,0 +1,47 @@
+// Click Accuracy Game - Seeded Random Numbers
+//
+// Seeded PRNG and seeds for courses, including the daily challenge's.
+
+// Seeds are unsigned 32-bit integers
+export const MAX_SEED = 0xFFFFFFFF;
+
+// Generate a fresh seed for a new run
+export function generateSeed() {
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+// Check that a value can be used as a seed
+export function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+// Mulberry32 PRNG - returns a function yielding floats in [0, 1), like Math.random
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// UTC calendar day as 'YYYY-MM-DD' (daily challenges roll over at 00:00 UTC)
+export function utcDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Derive the shared daily challenge seed from a 'YYYY-MM-DD' key (FNV-1a hash)
+export function dailySeed(dateKey) {
+    const input = `daily:${dateKey}`;
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
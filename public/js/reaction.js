@@ -0,0 +1,61 @@
+// Click Accuracy Game - Reaction and Movement Times
+//
+// Splits the time to each target into reaction time (spawn -> first movement)
+// and movement time (first movement -> click).
+
+// Pointer has to move this far from where it was when the target appeared to count as moving
+export const MOVE_THRESHOLD_PX = 3;
+
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Distribution summary in whole ms
+export function summarizeTimes(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+    const variance = sorted.length > 1
+        ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (sorted.length - 1)
+        : 0;
+
+    return {
+        mean: Math.round(mean),
+        median: Math.round(quantile(sorted, 0.5)),
+        sd: Math.round(Math.sqrt(variance)),
+        p25: Math.round(quantile(sorted, 0.25)),
+        p75: Math.round(quantile(sorted, 0.75)),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        count: sorted.length
+    };
+}
+
+// Reaction and movement time distributions over the first click on each target.
+// Logs need ts (target spawn) and tm (first movement); clicks without movement
+// (e.g. taps) and retries after a miss are skipped. Returns null if nothing qualifies.
+export function calculateReactionMetrics(logs) {
+    const reactionTimes = [];
+    const movementTimes = [];
+    const seenTargets = new Set();
+
+    for (const log of logs) {
+        if (typeof log.ts !== 'number' || seenTargets.has(log.ts)) continue;
+        seenTargets.add(log.ts);
+        if (typeof log.tm !== 'number') continue;
+
+        reactionTimes.push(log.tm - log.ts);
+        movementTimes.push(log.t - log.tm);
+    }
+
+    if (reactionTimes.length === 0) return null;
+
+    return {
+        reactionTime: summarizeTimes(reactionTimes),
+        movementTime: summarizeTimes(movementTimes)
+    };
+}
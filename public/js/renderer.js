@@ -1,45 +1,88 @@
 // Click Accuracy Game - Rendering and UI
 
-import { formatPercentage, formatTime, randomTarget } from './game-logic.js';
-import { CONFIG } from './config.js';
+import { formatPercentage, formatTime } from './game-logic.js';
 
 // Target Rendering Functions
 
-export function renderTarget(gameArea, x, y, radius) {
-    // Remove existing target if any
-    const existingTarget = gameArea.querySelector('.target-circle');
-    if (existingTarget) {
-        existingTarget.remove();
-    }
-    
-    // Create new target element
+// Draw one target. Several can be on screen at once: decoys are grey, the live
+// target is red (with a highlight ring when decoys are around)
+export function renderTarget(gameArea, x, y, radius, { id = null, decoy = false, highlight = false } = {}) {
     const target = document.createElement('div');
-    target.className = 'target-circle';
+    target.className = decoy ? 'target-circle target-decoy' : 'target-circle';
+    if (id !== null) {
+        target.dataset.targetId = id;
+    }
     target.style.position = 'absolute';
     target.style.left = x + 'px';
     target.style.top = y + 'px';
     target.style.width = (radius * 2) + 'px';
     target.style.height = (radius * 2) + 'px';
     target.style.borderRadius = '9999px';
-    target.style.backgroundColor = '#ef4444'; // red-500
-    target.style.border = '2px solid #dc2626'; // red-600
+    target.style.backgroundColor = decoy ? '#9ca3af' : '#ef4444'; // gray-400 / red-500
+    target.style.border = decoy ? '2px solid #6b7280' : '2px solid #dc2626'; // gray-500 / red-600
+    if (highlight) {
+        target.style.boxShadow = '0 0 0 4px rgba(250, 204, 21, 0.8)'; // yellow-400 ring
+    }
     target.style.transform = 'translate(-50%, -50%)';
     target.style.pointerEvents = 'none'; // Target should not block clicks
     
     gameArea.appendChild(target);
 }
 
-export function removeTarget(gameArea) {
-    const target = gameArea.querySelector('.target-circle');
-    if (target) {
-        target.remove();
-    }
+// Replace everything on screen with the run's current target and decoys
+export function renderTargets(gameArea, runState) {
+    removeTargets(gameArea);
+    
+    const hasDecoys = runState.decoys.length > 0;
+    runState.decoys.forEach(decoy => {
+        renderTarget(gameArea, decoy.x, decoy.y, runState.currentR, { id: decoy.id, decoy: true });
+    });
+    renderTarget(gameArea, runState.target.x, runState.target.y, runState.currentR, {
+        id: runState.target.id,
+        highlight: hasDecoys
+    });
+}
+
+export function removeTargets(gameArea) {
+    gameArea.querySelectorAll('.target-circle').forEach(target => target.remove());
 }
 
 export function updateTargetPosition(gameArea, runState) {
-    const containerSize = gameArea.clientWidth;
-    runState.target = randomTarget(containerSize, runState.currentR);
-    renderTarget(gameArea, runState.target.x, runState.target.y, runState.currentR);
+    runState.setTarget(runState.getMode().nextTarget(runState));
+    renderTargets(gameArea, runState);
+}
+
+// Moving Target Animation
+
+let animationFrame = null;
+
+// Move the live .target-circle to the mode's target position every frame while the run is playing
+export function startTargetAnimation(gameArea, runState) {
+    stopTargetAnimation();
+    
+    const step = () => {
+        if (runState.phase !== 'playing') {
+            animationFrame = null;
+            return;
+        }
+        
+        const target = gameArea.querySelector('.target-circle:not(.target-decoy)');
+        if (target) {
+            const position = runState.getMode().targetPosition(runState, runState.getDuration());
+            target.style.left = position.x + 'px';
+            target.style.top = position.y + 'px';
+        }
+        animationFrame = requestAnimationFrame(step);
+    };
+    
+    animationFrame = requestAnimationFrame(step);
+}
+
+export function stopTargetAnimation() {
+    if (animationFrame !== null) {
+        cancelAnimationFrame(animationFrame);
+        animationFrame = null;
+    }
 }
 
 // Live Statistics Display
@@ -52,10 +95,9 @@ export function updateLiveStats(runState, statElements) {
     // Update hit count
     statHits.textContent = runState.hits;
 
-    // Update remaining clicks display
+    // Update the mode's progress display (clicks left, lives, time left)
     if (clicksLeft) {
-        const remaining = Math.max(0, CONFIG.SHRINK_STEPS_APPROX - runState.hits);
-        clicksLeft.textContent = `${remaining} clicks left`;
+        clicksLeft.textContent = runState.getMode().progressLabel(runState, runState.getDuration());
     }
 
     // Update average accuracy
@@ -75,23 +117,35 @@ export function updateLiveStats(runState, statElements) {
 
 // Timer Management
 
-export function startTimer(runState, statElapsedTime) {
-    const timerInterval = setInterval(() => {
+// Runs once per animation frame; onTick(elapsedMs) is optional and runs after each
+// display update. Returns a handle for stopTimer()
+export function startTimer(runState, statElapsedTime, onTick = null) {
+    const timer = { frame: null, stopped: false };
+    
+    const step = () => {
         if (runState.phase === 'playing') {
             const elapsed = runState.getDuration();
             statElapsedTime.textContent = formatTime(elapsed);
+            if (onTick) {
+                onTick(elapsed);
+            }
+        }
+        // onTick may have stopped the timer (e.g. the time limit ran out)
+        if (!timer.stopped) {
+            timer.frame = requestAnimationFrame(step);
         }
-    }, 10); // Update every 10ms for centisecond precision
+    };
     
-    return timerInterval;
+    timer.frame = requestAnimationFrame(step);
+    return timer;
 }
 
-export function stopTimer(timerInterval) {
-    if (timerInterval) {
-        clearInterval(timerInterval);
-        return null;
+export function stopTimer(timer) {
+    if (timer) {
+        timer.stopped = true;
+        cancelAnimationFrame(timer.frame);
     }
-    return timerInterval;
+    return null;
 }
 
 // Scorecard Display (Legacy)
@@ -0,0 +1,92 @@
+// Click Accuracy Game - Scoring
+//
+// Per-click scoring, run statistics rebuilt from click logs, and the speed and
+// performance scores.
+
+import { CONFIG } from './config.js';
+import { accuracyUnweighted, calculateDistance, weight } from './game-logic.js';
+import { createRng } from './random.js';
+import { DEFAULT_MODE, getMode } from './modes.js';
+import { isTrackingSample } from './tracking.js';
+
+// Score one click against the target it was aimed at (hit includes the exact edge).
+// Misses have no accuracy, weight or score
+export function scoreClick(cx, cy, tx, ty, r, startR) {
+    const d = calculateDistance(cx, cy, tx, ty);
+    if (d > r) {
+        return { d, hit: false, a: null, w: null, s: null };
+    }
+
+    const a = accuracyUnweighted(d, r);
+    const w = weight(startR, r, CONFIG.WEIGHT_K);
+    return { d, hit: true, a, w, s: a * w };
+}
+
+// Starting radius of a run, set up by the mode the same way the game does
+// (some modes draw from the seeded generator before picking it)
+export function getStartRadius(modeId, containerSize, seed) {
+    const state = { rng: createRng(seed), containerSize, logs: [], modeState: null };
+    getMode(modeId).start(state, containerSize);
+    return state.startR;
+}
+
+// Run statistics from the click coordinates alone: every click is rescored and
+// hits, accuracy, final radius and duration follow from that. `clicks` holds the
+// rescored clicks in log order (tracking samples are skipped).
+export function calculateRunStats(runLogs, { mode = DEFAULT_MODE, containerSize, seed }) {
+    const gameMode = getMode(mode);
+    const startR = getStartRadius(mode, containerSize, seed);
+
+    const clicks = runLogs
+        .filter(log => !isTrackingSample(log))
+        .map(log => ({ t: log.t, r: log.r, tid: log.tid ?? null, ...scoreClick(log.cx, log.cy, log.tx, log.ty, log.r, startR) }));
+    const hits = clicks.filter(click => click.hit);
+
+    // Replay the mode's lives: a time-limited run lasts the full time unless they ran out
+    const lives = { lives: gameMode.lives };
+    clicks.forEach(click => {
+        if (!click.hit) gameMode.onMiss(lives, click);
+    });
+
+    const lastT = runLogs.reduce((max, log) => Math.max(max, log.t), 0);
+    const durationMs = gameMode.timeLimitMs !== null && lives.lives !== 0
+        ? gameMode.timeLimitMs
+        : Math.round(lastT);
+
+    const totalAccuracy = hits.reduce((sum, click) => sum + click.a, 0);
+
+    return {
+        totalHits: hits.length,
+        misses: clicks.length - hits.length,
+        avgAccuracy: hits.length > 0 ? totalAccuracy / hits.length : 0,
+        bestAccuracy: hits.reduce((best, click) => Math.max(best, click.a), 0),
+        finalRadius: hits.length > 0 ? hits[hits.length - 1].r : startR,
+        durationMs,
+        startR,
+        clicks
+    };
+}
+
+// Speed score (0-100) from the average time per hit, decaying exponentially:
+// 0.1s=97%, 1s=75%, 2s=57%, 3s=42%, 5s=24%
+export function speedScore(durationMs, totalHits) {
+    if (totalHits === 0) return 0;
+
+    const avgTimePerHit = durationMs / totalHits / 1000;
+
+    // Perfect speed gets 100
+    if (avgTimePerHit <= 0.1) return 100;
+
+    const score = 100 * Math.exp(-avgTimePerHit / 3.5);
+    return Math.max(0, Math.round(score * 10) / 10); // Round to 1 decimal, min 0
+}
+
+// Performance score (0-100): average accuracy times a hit volume multiplier
+// that caps at fullScoreHits (20 in classic, set per game mode)
+export function performanceScore(avgAccuracy, totalHits, fullScoreHits = 20) {
+    if (totalHits === 0) return 0;
+
+    const distanceMultiplier = Math.min(1.0, totalHits / fullScoreHits);
+    const score = avgAccuracy * distanceMultiplier * 100;
+    return Math.round(score * 10) / 10; // Round to 1 decimal
+}
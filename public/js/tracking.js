@@ -0,0 +1,45 @@
+// Click Accuracy Game - Tracking Metrics
+//
+// Time on target and distance from the center for the tracking task.
+
+import { calculateDistance } from './game-logic.js';
+
+// Tracking samples are logged alongside click logs with this type
+export const TRACKING_SAMPLE_TYPE = 'track';
+
+export function isTrackingSample(log) {
+    return Boolean(log) && log.type === TRACKING_SAMPLE_TYPE;
+}
+
+// Time on target (fraction of tracked time) and mean distance from the center.
+// Each sample stands for the time since the previous one (the first since the
+// run started), so dropped frames don't skew the result. Distances come from the
+// logged pointer and target positions, never from the sample's own d and on fields.
+// Returns null without samples.
+export function calculateTrackingMetrics(logs) {
+    const samples = logs.filter(isTrackingSample);
+    if (samples.length === 0) return null;
+
+    let trackedMs = 0;
+    let onTargetMs = 0;
+    let distanceSum = 0;
+    let previousT = 0;
+
+    for (const sample of samples) {
+        const interval = Math.max(0, sample.t - previousT);
+        trackedMs += interval;
+        const distance = calculateDistance(sample.px, sample.py, sample.tx, sample.ty);
+        if (distance <= sample.r) onTargetMs += interval;
+        distanceSum += distance;
+        previousT = sample.t;
+    }
+
+    const timeOnTarget = trackedMs > 0 ? onTargetMs / trackedMs : 0;
+
+    return {
+        timeOnTarget: Math.round(timeOnTarget * 1000) / 1000,                 // [0, 1]
+        meanDistance: Math.round((distanceSum / samples.length) * 10) / 10,   // px
+        score: Math.round(timeOnTarget * 1000) / 10,                          // 0-100, time on target in %
+        samples: samples.length
+    };
+}
@@ -0,0 +1,96 @@
+// Click Accuracy Game - Pointer Trajectories
+//
+// Pointer paths between clicks and the movement metrics derived from them.
+
+// Paths are flat arrays of integer triples [t, x, y, t, x, y, ...] (t in ms since run start)
+export const PATH_STRIDE = 3;
+export const MAX_PATH_POINTS = 500; // longer paths are thinned to stay under this
+
+// Append a pointer sample to a path, thinning it (every other point) when it gets too long
+export function appendPathPoint(path, t, x, y) {
+    // Times round down so a path never ends after the click it leads to
+    path.push(Math.floor(t), Math.round(x), Math.round(y));
+
+    if (path.length > MAX_PATH_POINTS * PATH_STRIDE) {
+        const thinned = [];
+        for (let i = 0; i < path.length; i += 2 * PATH_STRIDE) {
+            thinned.push(path[i], path[i + 1], path[i + 2]);
+        }
+        // Always keep the latest point
+        const last = path.length - PATH_STRIDE;
+        if ((last / PATH_STRIDE) % 2 === 1) {
+            thinned.push(path[last], path[last + 1], path[last + 2]);
+        }
+        path.length = 0;
+        path.push(...thinned);
+    }
+    return path;
+}
+
+// Path points of a click log, ending at the click itself
+function pathPoints(log) {
+    const points = [];
+    for (let i = 0; i + 2 < log.p.length; i += PATH_STRIDE) {
+        points.push({ x: log.p[i + 1], y: log.p[i + 2] });
+    }
+    points.push({ x: log.cx, y: log.cy });
+    return points;
+}
+
+// Movement metrics for one click: path length, efficiency (straight line / path)
+// and overshoots (times the pointer went past the far edge of the target along
+// the approach direction). Returns null if the log has no usable path.
+export function pathMetrics(log) {
+    if (!Array.isArray(log.p) || log.p.length < PATH_STRIDE) return null;
+
+    const points = pathPoints(log);
+    const start = points[0];
+    const end = points[points.length - 1];
+
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    if (length === 0) return null;
+
+    const straight = Math.hypot(end.x - start.x, end.y - start.y);
+
+    // Progress along the start -> target axis; beyond amplitude + radius is past the target
+    let overshoots = 0;
+    const amplitude = Math.hypot(log.tx - start.x, log.ty - start.y);
+    if (amplitude > 0) {
+        const ux = (log.tx - start.x) / amplitude;
+        const uy = (log.ty - start.y) / amplitude;
+        let beyond = false;
+        for (const point of points) {
+            const progress = (point.x - start.x) * ux + (point.y - start.y) * uy;
+            const isBeyond = progress > amplitude + log.r;
+            if (isBeyond && !beyond) overshoots++;
+            beyond = isBeyond;
+        }
+    }
+
+    return {
+        length,
+        efficiency: Math.min(1, straight / length),
+        overshoots
+    };
+}
+
+// Run-level movement metrics over every click with a recorded path.
+// Returns null if no click has one.
+export function calculateTrajectoryMetrics(logs) {
+    const paths = logs.map(pathMetrics).filter(Boolean);
+    if (paths.length === 0) return null;
+
+    const totalLength = paths.reduce((sum, p) => sum + p.length, 0);
+    const meanEfficiency = paths.reduce((sum, p) => sum + p.efficiency, 0) / paths.length;
+
+    return {
+        pathLength: Math.round(totalLength),                          // px, all clicks
+        meanPathLength: Math.round(totalLength / paths.length),       // px per click
+        pathEfficiency: Math.round(meanEfficiency * 1000) / 1000,     // [0, 1], 1 = straight line
+        overshoots: paths.reduce((sum, p) => sum + p.overshoots, 0),  // total
+        paths: paths.length
+    };
+}
@@ -0,0 +1,226 @@
+// Headless benchmark runner: plays a seeded course against an agent module and
+// prints the run as a POST /api/runs payload (plus model metadata for /api/ai-runs)
+//
+//   node scripts/benchmark.mjs --agent stub --mode classic --seed 42 --resolution 1280x800 --format png
+//   node scripts/benchmark.mjs --agent ./my-agent.mjs --run-token <token from POST /api/runs/start> --out run.json
+//   node scripts/benchmark.mjs --sweep --sizes 400,600,800 --scales 1,1.5,2 --repeats 3 --out sweep.json
+//
+// --sweep replays one course at every game area size and scale factor and writes the
+// runs of each configuration plus an accuracy report (see benchmark/sweep.mjs)
+//
+// Agent modules export createAgent(options); see scripts/benchmark/agents/stub.mjs.
+
+import { parseArgs } from 'node:util';
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { generateSeed, isValidSeed } from '../public/js/random.js';
+import { DEFAULT_MODE } from '../public/js/modes.js';
+import { playRun, readRunToken, DEFAULT_CONTAINER_SIZE, DEFAULT_MAX_STEPS } from './benchmark/runner.mjs';
+import { IMAGE_FORMATS } from './benchmark/render.mjs';
+import { runSweep, DEFAULT_SWEEP_SIZES, DEFAULT_SWEEP_SCALES, DEFAULT_SWEEP_REPEATS } from './benchmark/sweep.mjs';
+
+const BUILT_IN_AGENTS = {
+    stub: new URL('./benchmark/agents/stub.mjs', import.meta.url)
+};
+
+const USAGE = `Usage: node scripts/benchmark.mjs [options]
+
+  --agent <stub|path>       agent module (default: stub)
+  --agent-seed <n>          seed passed to the agent (the stub's jitter and timing)
+  --mode <id>               game mode (default: ${DEFAULT_MODE})
+  --seed <n>                course seed (default: random)
+  --run-token <token>       play the course of a token from POST /api/runs/start
+  --size <px>               game area side length (default: ${DEFAULT_CONTAINER_SIZE})
+  --resolution <WxH>        screenshot resolution (default: the game area size)
+  --scale <factor>          screenshot pixels per game area pixel, instead of --resolution
+  --format <svg|png>        screenshot format (default: svg)
+  --max-steps <n>           give up after this many answers (default: ${DEFAULT_MAX_STEPS})
+  --frames <dir>            save every screenshot the agent saw
+  --out <file>              write the payload here instead of stdout
+  --help
+
+Sweep:
+  --sweep                   play the course at every size and scale below
+  --sizes <px,...>          game area sizes (default: ${DEFAULT_SWEEP_SIZES.join(',')})
+  --scales <factor,...>     scale factors (default: ${DEFAULT_SWEEP_SCALES.join(',')})
+  --repeats <n>             runs per configuration, agent seeds counting up from
+                            --agent-seed (default: ${DEFAULT_SWEEP_REPEATS})`;
+
+function fail(message) {
+    console.error(`❌ ${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseInteger(value, name, min = 0) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value) || parseInt(value) < min) fail(`--${name} must be an integer of at least ${min}`);
+    return parseInt(value);
+}
+
+function parseScale(value, name) {
+    if (!/^\d+(\.\d+)?$/.test(value) || parseFloat(value) < 0.1 || parseFloat(value) > 20) {
+        fail(`--${name} must be a number from 0.1 to 20`);
+    }
+    return parseFloat(value);
+}
+
+function parseList(value, name, parse) {
+    const items = value.split(',').map(item => parse(item.trim(), name));
+    return [...new Set(items)];
+}
+
+function parseResolution(value) {
+    const match = /^(\d+)x(\d+)$/.exec(value);
+    if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < 1) {
+        fail('--resolution must look like 1280x800');
+    }
+    return { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+async function loadAgent(name, options) {
+    const url = BUILT_IN_AGENTS[name] || pathToFileURL(resolve(name));
+    const module = await import(url.href);
+    if (typeof module.createAgent !== 'function') {
+        fail(`Agent module ${name} does not export createAgent()`);
+    }
+    return module.createAgent(options);
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            agent: { type: 'string', default: 'stub' },
+            'agent-seed': { type: 'string' },
+            mode: { type: 'string' },
+            seed: { type: 'string' },
+            'run-token': { type: 'string' },
+            size: { type: 'string' },
+            resolution: { type: 'string' },
+            scale: { type: 'string' },
+            sweep: { type: 'boolean', default: false },
+            sizes: { type: 'string' },
+            scales: { type: 'string' },
+            repeats: { type: 'string' },
+            format: { type: 'string', default: 'svg' },
+            'max-steps': { type: 'string' },
+            frames: { type: 'string' },
+            out: { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // Sweeps pick the sizes and resolutions themselves, and play many runs (a run token is single use)
+    const singleRunOptions = ['run-token', 'size', 'resolution', 'scale', 'frames'];
+    const sweepOptions = ['sizes', 'scales', 'repeats'];
+    for (const option of values.sweep ? singleRunOptions : sweepOptions) {
+        if (values[option] !== undefined) fail(values.sweep ? `--${option} can't be used with --sweep` : `--${option} needs --sweep`);
+    }
+
+    // A run token fixes the course; otherwise it is the given (or a random) seed
+    const course = values['run-token']
+        ? readRunToken(values['run-token'])
+        : { seed: parseInteger(values.seed, 'seed') ?? generateSeed(), mode: values.mode || DEFAULT_MODE, challengeDate: null };
+    if (values['run-token'] && (values.seed || values.mode)) {
+        fail('--seed and --mode come from the run token');
+    }
+    if (!isValidSeed(course.seed)) fail('--seed must be a 32-bit unsigned integer');
+    if (!IMAGE_FORMATS.includes(values.format)) fail(`--format must be ${IMAGE_FORMATS.join(' or ')}`);
+
+    const agentSeed = parseInteger(values['agent-seed'], 'agent-seed');
+    const maxSteps = parseInteger(values['max-steps'], 'max-steps', 1) ?? DEFAULT_MAX_STEPS;
+
+    const result = values.sweep
+        ? await sweep(values, course, { agentSeed, maxSteps })
+        : await singleRun(values, course, { agentSeed, maxSteps });
+
+    const json = JSON.stringify(result, null, 2);
+    if (values.out) {
+        writeFileSync(values.out, json + '\n');
+        console.error(`💾 ${values.sweep ? 'Sweep' : 'Payload'} written to ${values.out}`);
+    } else {
+        console.log(json);
+    }
+}
+
+// One run: resolves with its payload
+async function singleRun(values, course, { agentSeed, maxSteps }) {
+    if (values.scale && values.resolution) fail('--scale and --resolution both set the screenshot size');
+
+    const containerSize = parseInteger(values.size, 'size', 50) ?? DEFAULT_CONTAINER_SIZE;
+    const scale = values.scale ? parseScale(values.scale, 'scale') : null;
+    const { width, height } = values.resolution
+        ? parseResolution(values.resolution)
+        : { width: Math.round(containerSize * (scale ?? 1)), height: Math.round(containerSize * (scale ?? 1)) };
+
+    const agent = await loadAgent(values.agent, agentSeed !== undefined ? { seed: agentSeed } : {});
+
+    if (values.frames) mkdirSync(values.frames, { recursive: true });
+    const onStep = values.frames
+        ? ({ step }, image) => writeFileSync(join(values.frames, `step-${String(step).padStart(3, '0')}.${image.format}`), image.data)
+        : null;
+
+    console.error(`🎯 ${agent.name || values.agent} playing ${course.mode} (seed ${course.seed}) at ${width}x${height} ${values.format}`);
+    const { payload } = await playRun(agent, {
+        seed: course.seed,
+        mode: course.mode,
+        challengeDate: course.challengeDate,
+        runToken: values['run-token'] || null,
+        containerSize,
+        width,
+        height,
+        devicePixelRatio: scale,
+        format: values.format,
+        maxSteps,
+        onStep
+    });
+
+    const { stats } = payload;
+    console.error(`✅ ${stats.totalHits} hits, avg accuracy ${(stats.avgAccuracy * 100).toFixed(1)}%, ${(stats.durationMs / 1000).toFixed(1)}s`);
+    return payload;
+}
+
+// Every size and scale: resolves with the runs of each configuration and the report
+async function sweep(values, course, { agentSeed = 1, maxSteps }) {
+    const sizes = values.sizes ? parseList(values.sizes, 'sizes', (item, name) => parseInteger(item, name, 50)) : DEFAULT_SWEEP_SIZES;
+    const scales = values.scales ? parseList(values.scales, 'scales', parseScale) : DEFAULT_SWEEP_SCALES;
+    const repeats = parseInteger(values.repeats, 'repeats', 1) ?? DEFAULT_SWEEP_REPEATS;
+    if (sizes.some(size => size > 1000)) fail('--sizes can be at most 1000 (the largest game area the API accepts)');
+
+    console.error(`🔬 Sweeping ${course.mode} (seed ${course.seed}) over sizes ${sizes.join(', ')} and scales ${scales.join(', ')}, ${repeats} runs each`);
+    const result = await runSweep(index => loadAgent(values.agent, { seed: agentSeed + index }), {
+        seed: course.seed,
+        mode: course.mode,
+        sizes,
+        scales,
+        repeats,
+        format: values.format,
+        maxSteps
+    });
+
+    for (const config of result.report.configurations) {
+        const error = config.errorRadii;
+        const interval = error?.ci95 ? ` [${error.ci95.join(', ')}]` : '';
+        console.error(`   ${config.containerSize}px @ ${config.scale}x (${config.width}x${config.height}): ` +
+            `${config.clicks} clicks, ${(config.hitRate * 100).toFixed(1)}% hits, error ${error ? error.mean : '-'} radii${interval}`);
+    }
+    const { scaleDependence, sizeDependence } = result.report;
+    console.error(scaleDependence.dependent
+        ? `⚠️  Errors depend on the scale: best at ${scaleDependence.best}x, worst at ${scaleDependence.worst}x (spread ${scaleDependence.spread} radii)`
+        : `✅ No scale dependence found (spread ${scaleDependence.spread} radii)`);
+    if (sizeDependence.dependent) {
+        console.error(`⚠️  Errors depend on the game area size: best at ${sizeDependence.best}px, worst at ${sizeDependence.worst}px`);
+    }
+
+    return result;
+}
+
+main().catch(error => {
+    console.error('💥 Benchmark failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,83 @@
+// Headless benchmark - deterministic stub agent
+//
+// Finds the red target in the screenshot (the data-role="target" circle of an SVG,
+// or the centroid of red pixels of a PNG) and clicks near it, off by a seeded
+// random amount, after a seeded "thinking" time. Needs no network, so the whole
+// pipeline can be run and tested offline.
+//
+// Agent modules export createAgent(options) returning { name, model?, act(observation) }:
+//   observation: { step, elapsedMs, mode, image: { format, mimeType, width, height, data } }
+//                (data is the SVG markup or the PNG bytes)
+//   act() returns (or resolves with) { x, y, durationMs? } in image pixels;
+//   without durationMs the answer's wall-clock time is used
+
+import { createRng } from '../../../public/js/random.js';
+import { COLORS, decodePng } from '../render.mjs';
+
+const DEFAULT_SEED = 1;
+const DEFAULT_JITTER = 0.2;                        // click offset sd, as a fraction of the target radius
+const DEFAULT_THINK_MS = { min: 500, max: 1200 };  // simulated time per answer
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Target centre and radius in image pixels
+function locateInSvg(svg) {
+    const circle = svg.match(/<circle data-role="target" cx="([\d.-]+)" cy="([\d.-]+)" r="([\d.-]+)"/);
+    if (!circle) return null;
+    return { x: parseFloat(circle[1]), y: parseFloat(circle[2]), r: parseFloat(circle[3]) };
+}
+
+function locateInPng(png) {
+    const { width, height, pixels } = decodePng(png);
+    const reds = [COLORS.target, COLORS.targetBorder].map(hexToRgb);
+
+    let count = 0;
+    let sumX = 0;
+    let sumY = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 3;
+            if (reds.some(([r, g, b]) => pixels[i] === r && pixels[i + 1] === g && pixels[i + 2] === b)) {
+                count++;
+                sumX += x + 0.5;
+                sumY += y + 0.5;
+            }
+        }
+    }
+    if (count === 0) return null;
+    return { x: sumX / count, y: sumY / count, r: Math.sqrt(count / Math.PI) };
+}
+
+// Standard normal from two uniforms (Box-Muller)
+function gaussian(rng) {
+    const u = Math.max(rng(), Number.EPSILON);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+export function createAgent({ seed = DEFAULT_SEED, jitter = DEFAULT_JITTER, thinkMs = DEFAULT_THINK_MS } = {}) {
+    const rng = createRng(Number(seed));
+
+    return {
+        name: 'stub',
+        model: { provider: 'local', name: 'stub', version: '1', harness: 'benchmark-cli' },
+
+        act({ image }) {
+            const found = image.format === 'png' ? locateInPng(image.data) : locateInSvg(image.data);
+            const durationMs = Math.round(thinkMs.min + rng() * (thinkMs.max - thinkMs.min));
+
+            // Nothing recognisable on screen: click the middle
+            if (!found) {
+                return { x: image.width / 2, y: image.height / 2, durationMs };
+            }
+
+            return {
+                x: found.x + gaussian(rng) * jitter * found.r,
+                y: found.y + gaussian(rng) * jitter * found.r,
+                durationMs
+            };
+        }
+    };
+}
@@ -0,0 +1,232 @@
+// Headless benchmark - screenshot rendering
+//
+// Draws the game area the way the page does (white square, red target, grey
+// decoys, yellow ring on the target when decoys are around) as an SVG or PNG
+// of any resolution. The game area is scaled uniformly to fit and centred, so
+// agents answer in image pixels and the runner maps them back.
+
+import { deflateSync, inflateSync } from 'node:zlib';
+import { Buffer } from 'node:buffer';
+
+export const IMAGE_FORMATS = ['svg', 'png'];
+
+export const COLORS = {
+    background: '#f3f4f6',   // page around the game area (gray-100)
+    area: '#ffffff',
+    areaBorder: '#d1d5db',   // gray-300
+    target: '#ef4444',       // red-500
+    targetBorder: '#dc2626', // red-600
+    decoy: '#9ca3af',        // gray-400
+    decoyBorder: '#6b7280',  // gray-500
+    highlight: '#facc15'     // yellow-400
+};
+
+const BORDER_PX = 2;    // circle border, outside the radius as in the page's CSS
+const HIGHLIGHT_PX = 4; // ring around the target when decoys are on screen
+
+// Game area -> image mapping for a resolution: { scale, offsetX, offsetY }
+export function getViewport(containerSize, width, height) {
+    const scale = Math.min(width, height) / containerSize;
+    return {
+        scale,
+        offsetX: (width - containerSize * scale) / 2,
+        offsetY: (height - containerSize * scale) / 2
+    };
+}
+
+export function toImage(viewport, x, y) {
+    return { x: viewport.offsetX + x * viewport.scale, y: viewport.offsetY + y * viewport.scale };
+}
+
+export function fromImage(viewport, x, y) {
+    return { x: (x - viewport.offsetX) / viewport.scale, y: (y - viewport.offsetY) / viewport.scale };
+}
+
+// Circles to draw, back to front, in image pixels: { x, y, r, fill, border, ring }
+function getShapes(scene, viewport) {
+    const hasDecoys = scene.decoys.length > 0;
+    const circle = ({ x, y }, r, kind) => ({
+        ...toImage(viewport, x, y),
+        r: r * viewport.scale,
+        kind
+    });
+
+    return [
+        ...scene.decoys.map(decoy => circle(decoy, scene.radius, 'decoy')),
+        { ...circle(scene.target, scene.radius, 'target'), ring: hasDecoys }
+    ];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// scene: { containerSize, radius, target: { x, y }, decoys: [{ x, y }] } in game area px
+export function renderSvg(scene, width, height) {
+    const viewport = getViewport(scene.containerSize, width, height);
+    const side = scene.containerSize * viewport.scale;
+    const border = BORDER_PX * viewport.scale;
+
+    const circles = getShapes(scene, viewport).map(shape => {
+        const fill = shape.kind === 'target' ? COLORS.target : COLORS.decoy;
+        const stroke = shape.kind === 'target' ? COLORS.targetBorder : COLORS.decoyBorder;
+        const ring = shape.ring
+            ? `<circle cx="${round(shape.x)}" cy="${round(shape.y)}" r="${round(shape.r + border + HIGHLIGHT_PX * viewport.scale / 2)}" fill="none" stroke="${COLORS.highlight}" stroke-width="${round(HIGHLIGHT_PX * viewport.scale)}"/>`
+            : '';
+        return ring + `<circle data-role="${shape.kind}" cx="${round(shape.x)}" cy="${round(shape.y)}" r="${round(shape.r + border / 2)}" fill="${fill}" stroke="${stroke}" stroke-width="${round(border)}"/>`;
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`,
+        `<rect x="${round(viewport.offsetX)}" y="${round(viewport.offsetY)}" width="${round(side)}" height="${round(side)}" fill="${COLORS.area}" stroke="${COLORS.areaBorder}" stroke-width="${round(border)}"/>`,
+        ...circles,
+        '</svg>'
+    ].join('\n');
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Same picture as renderSvg, rasterized without antialiasing (pixel centres are sampled)
+export function renderPng(scene, width, height) {
+    const viewport = getViewport(scene.containerSize, width, height);
+    const side = scene.containerSize * viewport.scale;
+    const border = BORDER_PX * viewport.scale;
+    const shapes = getShapes(scene, viewport);
+    const pixels = Buffer.alloc(width * height * 3);
+
+    const palette = Object.fromEntries(Object.entries(COLORS).map(([name, hex]) => [name, hexToRgb(hex)]));
+
+    function colorAt(px, py) {
+        let color = palette.background;
+        const inArea = px >= viewport.offsetX && px < viewport.offsetX + side &&
+            py >= viewport.offsetY && py < viewport.offsetY + side;
+        if (inArea) color = palette.area;
+
+        for (const shape of shapes) {
+            const d = Math.hypot(px - shape.x, py - shape.y);
+            if (d <= shape.r) {
+                color = shape.kind === 'target' ? palette.target : palette.decoy;
+            } else if (d <= shape.r + border) {
+                color = shape.kind === 'target' ? palette.targetBorder : palette.decoyBorder;
+            } else if (shape.ring && d <= shape.r + border + HIGHLIGHT_PX * viewport.scale) {
+                color = palette.highlight;
+            }
+        }
+        return color;
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = colorAt(x + 0.5, y + 0.5);
+            const i = (y * width + x) * 3;
+            pixels[i] = r;
+            pixels[i + 1] = g;
+            pixels[i + 2] = b;
+        }
+    }
+
+    return encodePng(pixels, width, height);
+}
+
+export function renderScene(scene, { format = 'svg', width, height }) {
+    if (format === 'png') {
+        return { format, mimeType: 'image/png', width, height, data: renderPng(scene, width, height) };
+    }
+    if (format === 'svg') {
+        return { format, mimeType: 'image/svg+xml', width, height, data: renderSvg(scene, width, height) };
+    }
+    throw new Error(`Unknown image format: ${format} (expected ${IMAGE_FORMATS.join(' or ')})`);
+}
+
+// Minimal PNG codec: 8-bit RGB, no interlacing, filter type 0 on every row
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 255] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+export function encodePng(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // colour type: RGB
+    // compression, filter and interlace methods stay 0
+
+    const stride = width * 3;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Reads back PNGs written by encodePng (not a general decoder): { width, height, pixels }
+export function decodePng(png) {
+    if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG');
+    }
+
+    let width = 0;
+    let height = 0;
+    const idat = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            if (data[8] !== 8 || data[9] !== 2 || data[12] !== 0) {
+                throw new Error('Only 8-bit RGB, non-interlaced PNGs are supported');
+            }
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        }
+        offset += length + 12;
+    }
+
+    const raw = inflateSync(Buffer.concat(idat));
+    const stride = width * 3;
+    const pixels = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        if (raw[y * (stride + 1)] !== 0) {
+            throw new Error('Only unfiltered PNG rows are supported');
+        }
+        raw.copy(pixels, y * stride, y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    }
+
+    return { width, height, pixels };
+}
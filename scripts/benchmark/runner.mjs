@@ -0,0 +1,183 @@
+// Headless benchmark - plays a seeded course without a browser
+//
+// Each step renders the current screen, asks the agent where to click and scores
+// the answer with the game's own RunState, mode hooks and scoreClick() (so
+// accuracyUnweighted() and nextRadius() from game-logic.js), the same way the click
+// handler in events.js does. Time runs on a simulated clock: every answer takes
+// the time the agent reports, or the wall-clock time it actually took. With
+// realTime the runner also waits until that much time has really passed, so a run
+// played on a run token never claims to have taken longer than the token's age.
+
+import { performance } from 'node:perf_hooks';
+import { Buffer } from 'node:buffer';
+import { RunState, ClickEventLog, INPUT_SOURCE_AGENT } from '../../public/js/models.js';
+import { getMode, DEFAULT_MODE } from '../../public/js/modes.js';
+import { scoreClick } from '../../public/js/scoring.js';
+import { calculateDistance } from '../../public/js/game-logic.js';
+import { renderScene, fromImage, getViewport } from './render.mjs';
+
+export const DEFAULT_CONTAINER_SIZE = 600;
+export const DEFAULT_MAX_STEPS = 500;
+
+// Seed, mode and daily date from a run token issued by POST /api/runs/start. The
+// signature isn't checked here; the server does that when the run is submitted
+export function readRunToken(token) {
+    const [data] = String(token).split('.');
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    return { seed: payload.seed, mode: payload.mode, challengeDate: payload.challengeDate ?? null };
+}
+
+// Play one run. agent: { act(observation) -> { x, y, durationMs? } } (see agents/stub.mjs).
+// devicePixelRatio is recorded with the run: screenshot pixels per game area pixel.
+// realTime defaults to on when a run token is given, as the server rejects runs that
+// took longer than the time since their token was issued.
+// Resolves with { payload, steps }: payload is a POST /api/runs (and /api/ai-runs) body,
+// steps has what the agent saw and answered, for reports
+export async function playRun(agent, {
+    seed,
+    mode = DEFAULT_MODE,
+    containerSize = DEFAULT_CONTAINER_SIZE,
+    width = containerSize,
+    height = containerSize,
+    devicePixelRatio = null,
+    format = 'svg',
+    challengeDate = null,
+    runToken = null,
+    maxSteps = DEFAULT_MAX_STEPS,
+    realTime = runToken !== null,
+    onStep = null
+}) {
+    const gameMode = getMode(mode);
+    if (gameMode.id !== mode) {
+        throw new Error(`Unknown game mode: ${mode}`);
+    }
+    if (gameMode.tracksPointer) {
+        throw new Error(`The ${gameMode.name} mode samples the pointer continuously and can't be played step by step`);
+    }
+
+    const runState = new RunState();
+    runState.startGame(containerSize, { seed, mode, challengeDate, runToken, inputSource: INPUT_SOURCE_AGENT });
+    runState.setTarget({ ...gameMode.nextTarget(runState), spawnMs: 0 });
+
+    const viewport = getViewport(containerSize, width, height);
+    const steps = [];
+    let clock = 0;
+    let durationMs = null;
+    const runStartedAt = performance.now();
+
+    for (let step = 0; runState.phase === 'playing'; step++) {
+        if (step >= maxSteps) {
+            throw new Error(`Run did not finish within ${maxSteps} steps`);
+        }
+
+        // What is on screen now
+        const shownAt = gameMode.targetPosition(runState, clock);
+        const image = renderScene({
+            containerSize,
+            radius: runState.currentR,
+            target: shownAt,
+            decoys: runState.decoys
+        }, { format, width, height });
+
+        const startedAt = performance.now();
+        const answer = await agent.act({ step, elapsedMs: clock, mode, image });
+        const tookMs = answer?.durationMs ?? performance.now() - startedAt;
+        if (!Number.isFinite(answer?.x) || !Number.isFinite(answer?.y) || !(tookMs >= 0)) {
+            throw new Error(`Agent returned an invalid answer at step ${step}: ${JSON.stringify(answer)}`);
+        }
+        const t = Math.round((clock + tookMs) * 10) / 10;
+        if (realTime) {
+            await waitUntilElapsed(runStartedAt, gameMode.timeLimitMs === null ? t : Math.min(t, gameMode.timeLimitMs));
+        }
+
+        // Answers after the time limit don't count (the run ends at the limit)
+        if (gameMode.isOver(runState, t)) {
+            durationMs = gameMode.timeLimitMs;
+            runState.phase = 'ended';
+            break;
+        }
+
+        // Score against where the target is at the click, as the click handler does
+        const { x: cx, y: cy } = fromImage(viewport, answer.x, answer.y);
+        const targetAtClick = gameMode.targetPosition(runState, t);
+        const { d, hit, a, w, s } = scoreClick(cx, cy, targetAtClick.x, targetAtClick.y, runState.currentR, runState.startR);
+        const clickedDecoy = hit ? null : runState.decoys.find(decoy =>
+            calculateDistance(cx, cy, decoy.x, decoy.y) <= runState.currentR
+        );
+        const clickLog = new ClickEventLog(
+            t, cx, cy, targetAtClick.x, targetAtClick.y, runState.currentR, d, hit, a, w, s,
+            targetAtClick.vx, targetAtClick.vy,
+            hit ? runState.target.id : (clickedDecoy ? clickedDecoy.id : null),
+            null,
+            runState.target.spawnMs
+        );
+
+        steps.push({ step, shownAt: { x: shownAt.x, y: shownAt.y }, answer: { x: answer.x, y: answer.y }, log: clickLog });
+        if (onStep) onStep(steps[steps.length - 1], image);
+
+        if (hit) {
+            runState.recordHit(clickLog);
+            gameMode.onHit(runState);
+        } else {
+            runState.recordMiss(clickLog);
+            gameMode.onMiss(runState, clickLog);
+        }
+        clock = t;
+
+        if (gameMode.isOver(runState, t)) {
+            runState.phase = 'ended';
+        } else if (hit || gameMode.advanceOnMiss) {
+            runState.setTarget({ ...gameMode.nextTarget(runState), spawnMs: t });
+        }
+    }
+
+    return {
+        payload: buildPayload(runState, durationMs ?? clock, { width, height, devicePixelRatio, model: agent.model }),
+        steps
+    };
+}
+
+// Resolve once ms have passed since the performance.now() time since
+function waitUntilElapsed(since, ms) {
+    const remaining = since + ms - performance.now();
+    return remaining > 0 ? new Promise(resolve => setTimeout(resolve, remaining)) : Promise.resolve();
+}
+
+// The body the page posts to /api/runs (see submitGameData in analytics.js). With the
+// agent's model metadata it is also a POST /api/ai-runs body
+function buildPayload(runState, durationMs, { width, height, devicePixelRatio, model }) {
+    const clickLogs = runState.logs.map(log => ({
+        t: log.t,
+        cx: log.cx,
+        cy: log.cy,
+        tx: log.tx,
+        ty: log.ty,
+        r: log.r,
+        d: log.d,
+        hit: log.hit,
+        a: log.a,
+        ...(log.vx !== null && { vx: log.vx, vy: log.vy }),
+        ...(log.tid !== null && { tid: log.tid }),
+        ...(log.ts !== null && { ts: log.ts })
+    }));
+
+    return {
+        username: null,
+        seed: runState.seed,
+        container_size: runState.containerSize,
+        device_pixel_ratio: devicePixelRatio,
+        challenge_date: runState.challengeDate,
+        mode: runState.mode,
+        input_source: runState.inputSource,
+        run_token: runState.runToken,
+        stats: {
+            totalHits: runState.hits,
+            avgAccuracy: runState.getAverageAccuracy(),
+            bestAccuracy: runState.bestAccuracy,
+            finalRadius: runState.finalRadius,
+            durationMs: Math.round(durationMs)
+        },
+        click_logs: clickLogs,
+        ...(model && { model: { ...model, screenshot: { width, height } } })
+    };
+}
@@ -0,0 +1,124 @@
+// Headless benchmark - resolution and scale sweep
+//
+// Replays one seeded course at every combination of game area size and scale factor
+// (screenshot pixels per game area pixel, as a device pixel ratio would give) and
+// reports the agent's click error per configuration. Every configuration is played
+// by the same agents (same agent seeds), so the configuration is the only thing that
+// changes. Errors are measured in target radii: an agent that sees equally well at
+// every scale lands the same distance from the centre, relative to the target, at each.
+
+import { playRun, DEFAULT_MAX_STEPS } from './runner.mjs';
+import { summarizeSample } from '../../public/js/benchmark-stats.js';
+
+export const DEFAULT_SWEEP_SIZES = [400, 600, 800];
+export const DEFAULT_SWEEP_SCALES = [1, 1.5, 2];
+export const DEFAULT_SWEEP_REPEATS = 3;
+const RADIUS_BIN_PX = 5;  // width of the target radius bins in the report
+
+function roundTo(value, decimals = 3) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Play the course once per agent and configuration. createAgent(index) returns (or
+// resolves with) a fresh agent for the index-th run of a configuration.
+// Resolves with { seed, mode, format, configurations: [{ containerSize, scale, width, height, runs }], report }
+export async function runSweep(createAgent, {
+    seed,
+    mode,
+    sizes = DEFAULT_SWEEP_SIZES,
+    scales = DEFAULT_SWEEP_SCALES,
+    repeats = DEFAULT_SWEEP_REPEATS,
+    format = 'svg',
+    maxSteps = DEFAULT_MAX_STEPS
+}) {
+    const configurations = [];
+    for (const containerSize of sizes) {
+        for (const scale of scales) {
+            const width = Math.round(containerSize * scale);
+            const runs = [];
+            for (let i = 0; i < repeats; i++) {
+                const agent = await createAgent(i);
+                const { payload } = await playRun(agent, {
+                    seed, mode, containerSize, width, height: width, devicePixelRatio: scale, format, maxSteps
+                });
+                runs.push(payload);
+            }
+            configurations.push({ containerSize, scale, width, height: width, runs });
+        }
+    }
+
+    return { seed, mode, format, configurations, report: buildSweepReport(configurations) };
+}
+
+// Click measures of a set of runs: hit rate, accuracy, error in game pixels and in
+// target radii, and accuracy per target radius bin
+function summarizeClicks(runs) {
+    const clicks = runs.flatMap(run => run.click_logs);
+    const hits = clicks.filter(click => click.hit).length;
+
+    const bins = new Map();
+    for (const click of clicks) {
+        const from = Math.floor(click.r / RADIUS_BIN_PX) * RADIUS_BIN_PX;
+        if (!bins.has(from)) bins.set(from, []);
+        bins.get(from).push(click);
+    }
+    const byRadius = [...bins.entries()]
+        .sort(([a], [b]) => b - a)
+        .map(([from, binClicks]) => ({
+            radius: [from, from + RADIUS_BIN_PX],
+            clicks: binClicks.length,
+            hitRate: roundTo(binClicks.filter(click => click.hit).length / binClicks.length),
+            accuracy: roundTo(binClicks.reduce((sum, click) => sum + click.a, 0) / binClicks.length),
+            errorRadii: roundTo(binClicks.reduce((sum, click) => sum + click.d / click.r, 0) / binClicks.length)
+        }));
+
+    return {
+        runs: runs.length,
+        clicks: clicks.length,
+        hitRate: clicks.length ? roundTo(hits / clicks.length) : null,
+        accuracy: summarizeSample(clicks.map(click => click.a)),
+        errorPx: summarizeSample(clicks.map(click => click.d)),
+        errorRadii: summarizeSample(clicks.map(click => click.d / click.r)),
+        byRadius
+    };
+}
+
+// Whether the error in target radii depends on a factor: it does when the 95% intervals
+// of two of its levels don't overlap. levels: [{ value, errorRadii }]
+function assessDependence(levels) {
+    const measured = levels.filter(level => level.errorRadii?.ci95);
+    const dependent = measured.some(a => measured.some(b =>
+        a.errorRadii.ci95[1] < b.errorRadii.ci95[0]
+    ));
+    const means = measured.map(level => level.errorRadii.mean);
+
+    return {
+        dependent,
+        spread: means.length ? roundTo(Math.max(...means) - Math.min(...means)) : null,
+        best: measured.length ? measured.reduce((a, b) => (b.errorRadii.mean < a.errorRadii.mean ? b : a)).value : null,
+        worst: measured.length ? measured.reduce((a, b) => (b.errorRadii.mean > a.errorRadii.mean ? b : a)).value : null
+    };
+}
+
+// Per-configuration, per-scale and per-size summaries, and whether the errors depend on
+// the scale (and on the game area size)
+export function buildSweepReport(configurations) {
+    const group = key => [...new Set(configurations.map(config => config[key]))].map(value => ({
+        value,
+        ...summarizeClicks(configurations.filter(config => config[key] === value).flatMap(config => config.runs))
+    }));
+
+    const byScale = group('scale');
+    const bySize = group('containerSize');
+
+    return {
+        configurations: configurations.map(({ containerSize, scale, width, height, runs }) => ({
+            containerSize, scale, width, height, ...summarizeClicks(runs)
+        })),
+        byScale: byScale.map(({ value, ...summary }) => ({ scale: value, ...summary })),
+        bySize: bySize.map(({ value, ...summary }) => ({ containerSize: value, ...summary })),
+        scaleDependence: assessDependence(byScale),
+        sizeDependence: assessDependence(bySize)
+    };
+}
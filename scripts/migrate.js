@@ -18,6 +18,21 @@ async function migrate() {
       process.exit(1);
     }
 
+    // AI model registry: the stable identity (slug) and display metadata AI runs refer to
+    await sql`
+      CREATE TABLE IF NOT EXISTS ai_models (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(60) UNIQUE NOT NULL,
+        display_name VARCHAR(50) NOT NULL,
+        provider VARCHAR(50),
+        version VARCHAR(50),
+        release_date DATE,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
     // Create runs table
     await sql`
       CREATE TABLE IF NOT EXISTS runs (
@@ -32,16 +47,103 @@ async function migrate() {
         duration_ms INT NOT NULL,
         avg_time_per_hit_ms INT NOT NULL,
         click_logs JSONB NOT NULL,
+        seed BIGINT,
+        container_size INT,
+        device_pixel_ratio DECIMAL(4,2),
+        challenge_date DATE,
+        mode VARCHAR(20) NOT NULL DEFAULT 'classic',
+        throughput DECIMAL(5,2),
+        effective_width DECIMAL(6,1),
+        effective_id DECIMAL(4,2),
+        reaction_time_ms INT,
+        movement_time_ms INT,
+        suspicion_score DECIMAL(4,3),
+        reviewed_at TIMESTAMP,
+        edit_token_hash VARCHAR(64),
+        hidden BOOLEAN NOT NULL DEFAULT false,
         badges TEXT[] DEFAULT '{}',
         is_ai BOOLEAN DEFAULT false,
         ai_model VARCHAR(50),
+        ai_model_id INT REFERENCES ai_models(id),
+        ai_provider VARCHAR(50),
+        ai_model_version VARCHAR(50),
+        ai_harness VARCHAR(50),
+        screenshot_width INT,
+        screenshot_height INT,
+        api_key_name VARCHAR(50),
+        input_source VARCHAR(10) NOT NULL DEFAULT 'pointer',
         created_at TIMESTAMP DEFAULT NOW(),
         ip_hash VARCHAR(64),
         user_agent TEXT
       )
     `;
 
-    console.log('✅ Created runs table');
+    // Add columns introduced after the initial schema
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS seed BIGINT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS container_size INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS challenge_date DATE`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'classic'`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS throughput DECIMAL(5,2)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS effective_width DECIMAL(6,1)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS effective_id DECIMAL(4,2)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS reaction_time_ms INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS movement_time_ms INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS suspicion_score DECIMAL(4,3)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS edit_token_hash VARCHAR(64)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT false`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_model_version VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_harness VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS screenshot_width INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS screenshot_height INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS api_key_name VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS input_source VARCHAR(10) NOT NULL DEFAULT 'pointer'`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_model_id INT REFERENCES ai_models(id)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS device_pixel_ratio DECIMAL(4,2)`;
+
+    // Run tokens that have been used for a submission (each one is single use)
+    await sql`
+      CREATE TABLE IF NOT EXISTS used_run_tokens (
+        id VARCHAR(32) PRIMARY KEY,
+        used_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    // Audit trail of renames, moderation actions and deletions (kept after the run is deleted)
+    await sql`
+      CREATE TABLE IF NOT EXISTS run_events (
+        id SERIAL PRIMARY KEY,
+        run_id INT NOT NULL,
+        event_type VARCHAR(30) NOT NULL,
+        actor_type VARCHAR(10) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        ip_hash VARCHAR(64),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    // IP hashes whose submissions are refused
+    await sql`
+      CREATE TABLE IF NOT EXISTS blocked_ips (
+        ip_hash VARCHAR(64) PRIMARY KEY,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    // Requests counted by the rate limiter (sliding window per bucket and IP hash)
+    await sql`
+      CREATE TABLE IF NOT EXISTS rate_limit_hits (
+        id SERIAL PRIMARY KEY,
+        bucket VARCHAR(40) NOT NULL,
+        ip_hash VARCHAR(64) NOT NULL,
+        hit_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    console.log('✅ Created ai_models, runs, used_run_tokens, run_events, blocked_ips and rate_limit_hits tables');
 
     // Create indexes
     await sql`CREATE INDEX IF NOT EXISTS idx_speed_score ON runs(speed_score DESC)`;
@@ -49,6 +151,12 @@ async function migrate() {
     await sql`CREATE INDEX IF NOT EXISTS idx_created_at ON runs(created_at DESC)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_username ON runs(username)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_is_ai ON runs(is_ai)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_challenge_date ON runs(challenge_date)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_mode ON runs(mode)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_rate_limit_hits ON rate_limit_hits(bucket, ip_hash, hit_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_run_events_run_id ON run_events(run_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_run_events_created_at ON run_events(created_at DESC)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_ai_model_id ON runs(ai_model_id)`;
 
     console.log('✅ Created indexes');
 
@@ -129,6 +237,31 @@ async function migrate() {
     }
 
     console.log('✅ Inserted AI benchmark data');
+
+    // Register AI runs not linked to the model registry under the slug of their model name
+    // and version (the SQL twin of toAIModelSlug in src/lib/validation.ts), then link them
+    await sql`
+      INSERT INTO ai_models (slug, display_name, provider, version)
+      SELECT DISTINCT ON (slug) slug, ai_model, ai_provider, ai_model_version
+      FROM (
+        SELECT
+          rtrim(left(trim(both '-' from regexp_replace(lower(concat_ws(' ', ai_model, ai_model_version)), '[^a-z0-9]+', '-', 'g')), 60), '-') AS slug,
+          ai_model, ai_provider, ai_model_version, created_at
+        FROM runs
+        WHERE is_ai = true AND ai_model IS NOT NULL AND ai_model_id IS NULL
+      ) AS unlinked
+      WHERE slug <> ''
+      ORDER BY slug, created_at DESC
+      ON CONFLICT (slug) DO NOTHING
+    `;
+    await sql`
+      UPDATE runs SET ai_model_id = ai_models.id
+      FROM ai_models
+      WHERE runs.is_ai = true AND runs.ai_model_id IS NULL
+        AND ai_models.slug = rtrim(left(trim(both '-' from regexp_replace(lower(concat_ws(' ', runs.ai_model, runs.ai_model_version)), '[^a-z0-9]+', '-', 'g')), 60), '-')
+    `;
+
+    console.log('✅ Linked AI runs to the model registry');
     console.log('🎉 Migration completed successfully!');
 
   } catch (error) {
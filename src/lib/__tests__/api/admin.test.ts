@@ -0,0 +1,148 @@
+// Integration tests for the admin moderation endpoints
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import flaggedHandler from '../../../../pages/api/admin/flagged';
+import moderateHandler from '../../../../pages/api/admin/runs/[id]';
+import blockedIPsHandler from '../../../../pages/api/admin/blocked-ips';
+import { createMocks } from 'node-mocks-http';
+
+jest.mock('@/lib/database', () => ({
+  getFlaggedRuns: jest.fn().mockResolvedValue([
+    { id: 9, username: 'bot9000', mode: 'classic', suspicion_score: 0.91, hidden: false, reviewed_at: null, input_source: 'agent' }
+  ]),
+  getRunForModeration: jest.fn().mockResolvedValue({ id: 9, username: 'rude name', hidden: false, reviewed_at: null }),
+  setRunHidden: jest.fn().mockResolvedValue(undefined),
+  markRunReviewed: jest.fn().mockResolvedValue(undefined),
+  resetRunUsername: jest.fn().mockResolvedValue(undefined),
+  recordRunEvent: jest.fn().mockResolvedValue(undefined),
+  getBlockedIPs: jest.fn().mockResolvedValue([]),
+  blockIP: jest.fn().mockResolvedValue(undefined),
+  unblockIP: jest.fn().mockResolvedValue(true)
+}));
+
+const database = require('@/lib/database');
+
+describe('Admin moderation API', () => {
+  const original = process.env.ADMIN_SECRET;
+  const ipHash = 'a1b2c3d4e5f6a7b8';
+
+  function createRequest(method: string, { query = {}, body = {}, admin = true }: { query?: any; body?: any; admin?: boolean } = {}) {
+    return createMocks<NextApiRequest, NextApiResponse>({
+      method: method as any,
+      query,
+      body,
+      headers: admin ? { authorization: 'Bearer test-admin-secret' } : {}
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ADMIN_SECRET = 'test-admin-secret';
+  });
+
+  afterAll(() => {
+    if (original === undefined) delete process.env.ADMIN_SECRET;
+    else process.env.ADMIN_SECRET = original;
+  });
+
+  it('should require the admin secret on every route', async () => {
+    const requests: Array<[any, string, any]> = [
+      [flaggedHandler, 'GET', {}],
+      [moderateHandler, 'POST', { query: { id: '9' }, body: { action: 'hide' } }],
+      [blockedIPsHandler, 'POST', { body: { ip_hash: ipHash } }]
+    ];
+
+    for (const [handler, method, options] of requests) {
+      const { req, res } = createRequest(method, { ...options, admin: false });
+      await handler(req, res);
+      expect(res._getStatusCode()).toBe(401);
+    }
+
+    expect(database.setRunHidden).not.toHaveBeenCalled();
+    expect(database.blockIP).not.toHaveBeenCalled();
+  });
+
+  describe('GET /api/admin/flagged', () => {
+    it('should list the review queue', async () => {
+      const { req, res } = createRequest('GET', { query: { include_reviewed: 'true', limit: '20' } });
+
+      await flaggedHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      const data = JSON.parse(res._getData());
+      expect(data.runs[0].id).toBe(9);
+      expect(data.runs[0].input_source).toBe('agent');
+      expect(typeof data.threshold).toBe('number');
+      expect(database.getFlaggedRuns).toHaveBeenCalledWith({ includeReviewed: true, limit: 20 });
+    });
+  });
+
+  describe('POST /api/admin/runs/[id]', () => {
+    it('should hide a run and record it in the audit trail', async () => {
+      const { req, res } = createRequest('POST', { query: { id: '9' }, body: { action: 'hide' } });
+
+      await moderateHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      expect(database.setRunHidden).toHaveBeenCalledWith(9, true);
+      expect(database.recordRunEvent).toHaveBeenCalledWith({
+        run_id: 9, event_type: 'run_hidden', actor_type: 'admin', old_value: 'false', new_value: 'true'
+      });
+    });
+
+    it('should reset a username and keep the old one on record', async () => {
+      const { req, res } = createRequest('POST', { query: { id: '9' }, body: { action: 'reset_username' } });
+
+      await moderateHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      expect(database.resetRunUsername).toHaveBeenCalledWith(9);
+      expect(database.recordRunEvent).toHaveBeenCalledWith(expect.objectContaining({
+        event_type: 'username_reset', old_value: 'rude name', new_value: null
+      }));
+    });
+
+    it('should approve flagged runs', async () => {
+      const { req, res } = createRequest('POST', { query: { id: '9' }, body: { action: 'approve' } });
+
+      await moderateHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      expect(database.markRunReviewed).toHaveBeenCalledWith(9);
+    });
+
+    it('should reject unknown actions and runs', async () => {
+      const unknownAction = createRequest('POST', { query: { id: '9' }, body: { action: 'delete_everything' } });
+      await moderateHandler(unknownAction.req, unknownAction.res);
+      expect(unknownAction.res._getStatusCode()).toBe(400);
+
+      database.getRunForModeration.mockResolvedValueOnce(null);
+      const unknownRun = createRequest('POST', { query: { id: '404' }, body: { action: 'hide' } });
+      await moderateHandler(unknownRun.req, unknownRun.res);
+      expect(unknownRun.res._getStatusCode()).toBe(404);
+    });
+  });
+
+  describe('/api/admin/blocked-ips', () => {
+    it('should block and unblock an IP hash', async () => {
+      const block = createRequest('POST', { body: { ip_hash: ipHash, reason: 'scripted runs' } });
+      await blockedIPsHandler(block.req, block.res);
+      expect(block.res._getStatusCode()).toBe(200);
+      expect(database.blockIP).toHaveBeenCalledWith(ipHash, 'scripted runs');
+
+      const unblock = createRequest('DELETE', { query: { ip_hash: ipHash } });
+      await blockedIPsHandler(unblock.req, unblock.res);
+      expect(unblock.res._getStatusCode()).toBe(200);
+      expect(database.unblockIP).toHaveBeenCalledWith(ipHash);
+    });
+
+    it('should reject malformed IP hashes', async () => {
+      const { req, res } = createRequest('POST', { body: { ip_hash: '10.0.0.1' } });
+
+      await blockedIPsHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(400);
+      expect(database.blockIP).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// Integration tests for /api/ai-benchmarks endpoint
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '../../../../pages/api/ai-benchmarks';
+import { createMocks } from 'node-mocks-http';
+
+jest.mock('@/lib/database', () => ({
+  getAIRunScores: jest.fn().mockResolvedValue([
+    { ai_provider: 'Lab', ai_model: 'Claude', ai_model_version: '1', ai_harness: 'cli', speed_score: 70, performance_score: 84, total_hits: 18 },
+    { ai_provider: 'Lab', ai_model: 'Claude', ai_model_version: '1', ai_harness: 'cli', speed_score: 74, performance_score: 88, total_hits: 20 },
+    { ai_provider: null, ai_model: 'ChatGPT-4', ai_model_version: null, ai_harness: null, speed_score: 78.5, performance_score: 82.3, total_hits: 17 }
+  ])
+}));
+
+const { getAIRunScores } = require('@/lib/database');
+
+describe('/api/ai-benchmarks', () => {
+  it('should return per-model statistics for the mode', async () => {
+    const { req, res } = createMocks<NextApiRequest, NextApiResponse>({ method: 'GET', query: { mode: 'lives' } });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(200);
+    const data = JSON.parse(res._getData());
+    expect(getAIRunScores).toHaveBeenCalledWith('lives');
+    expect(data.mode).toBe('lives');
+    expect(data.total_runs).toBe(3);
+    expect(data.models).toHaveLength(2);
+    expect(data.models[0]).toMatchObject({ ai_model: 'Claude', runs: 2, performance_score: { n: 2, mean: 86, median: 86 } });
+    expect(data.models[0].speed_score.ci95).toHaveLength(2);
+    expect(data.models[1]).toMatchObject({ ai_model: 'ChatGPT-4', runs: 1, speed_score: { sd: null, ci95: null } });
+  });
+
+  it('should reject unknown game modes', async () => {
+    const { req, res } = createMocks<NextApiRequest, NextApiResponse>({ method: 'GET', query: { mode: 'god_mode' } });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toBe('Unknown game mode: god_mode');
+  });
+
+  it('should reject non-GET methods', async () => {
+    const { req, res } = createMocks<NextApiRequest, NextApiResponse>({ method: 'POST' });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(405);
+  });
+});
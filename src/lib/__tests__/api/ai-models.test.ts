@@ -0,0 +1,136 @@
+// Integration tests for the AI model registry admin endpoints
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import modelsHandler from '../../../../pages/api/admin/ai-models';
+import modelHandler from '../../../../pages/api/admin/ai-models/[slug]';
+import { createMocks } from 'node-mocks-http';
+
+const claude = {
+  id: 3, slug: 'claude-3-5-sonnet', display_name: 'Claude 3.5 Sonnet', provider: 'Anthropic',
+  version: '20241022', release_date: '2024-10-22', notes: null, runs: 0
+};
+
+jest.mock('@/lib/database', () => ({
+  getAIModels: jest.fn().mockResolvedValue([]),
+  getAIModel: jest.fn(),
+  createAIModel: jest.fn(),
+  updateAIModel: jest.fn(),
+  deleteAIModel: jest.fn().mockResolvedValue(true)
+}));
+
+const database = require('@/lib/database');
+
+describe('AI model registry API', () => {
+  const original = process.env.ADMIN_SECRET;
+
+  function createRequest(method: string, { query = {}, body = {}, admin = true }: { query?: any; body?: any; admin?: boolean } = {}) {
+    return createMocks<NextApiRequest, NextApiResponse>({
+      method: method as any,
+      query,
+      body,
+      headers: admin ? { authorization: 'Bearer test-admin-secret' } : {}
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ADMIN_SECRET = 'test-admin-secret';
+    database.getAIModel.mockResolvedValue(claude);
+    database.createAIModel.mockResolvedValue(claude);
+    database.updateAIModel.mockResolvedValue(claude);
+  });
+
+  afterAll(() => {
+    if (original === undefined) delete process.env.ADMIN_SECRET;
+    else process.env.ADMIN_SECRET = original;
+  });
+
+  it('should require the admin secret', async () => {
+    const list = createRequest('GET', { admin: false });
+    await modelsHandler(list.req, list.res);
+    expect(list.res._getStatusCode()).toBe(401);
+
+    const remove = createRequest('DELETE', { query: { slug: claude.slug }, admin: false });
+    await modelHandler(remove.req, remove.res);
+    expect(remove.res._getStatusCode()).toBe(401);
+    expect(database.deleteAIModel).not.toHaveBeenCalled();
+  });
+
+  describe('/api/admin/ai-models', () => {
+    it('should register a model', async () => {
+      const { req, res } = createRequest('POST', {
+        body: { slug: claude.slug, display_name: ' Claude 3.5 Sonnet ', provider: 'Anthropic', version: '20241022', release_date: '2024-10-22' }
+      });
+
+      await modelsHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      expect(JSON.parse(res._getData()).model.slug).toBe(claude.slug);
+      expect(database.createAIModel).toHaveBeenCalledWith(claude.slug, {
+        display_name: 'Claude 3.5 Sonnet', provider: 'Anthropic', version: '20241022', release_date: '2024-10-22', notes: undefined
+      });
+    });
+
+    it('should refuse a taken slug', async () => {
+      database.createAIModel.mockResolvedValueOnce(null);
+      const { req, res } = createRequest('POST', { body: { slug: claude.slug, display_name: 'Claude' } });
+
+      await modelsHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(409);
+    });
+
+    it('should reject malformed entries', async () => {
+      const { req, res } = createRequest('POST', { body: { slug: 'Claude 3.5', display_name: 'Claude' } });
+
+      await modelsHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(400);
+      expect(database.createAIModel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/admin/ai-models/[slug]', () => {
+    it('should update only the fields given', async () => {
+      const { req, res } = createRequest('PATCH', { query: { slug: claude.slug }, body: { notes: 'Computer use beta', release_date: null } });
+
+      await modelHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      expect(database.updateAIModel).toHaveBeenCalledWith(claude.slug, {
+        display_name: undefined, provider: undefined, version: undefined, release_date: null, notes: 'Computer use beta'
+      });
+    });
+
+    it('should not rename the slug', async () => {
+      const { req, res } = createRequest('PATCH', { query: { slug: claude.slug }, body: { slug: 'claude' } });
+
+      await modelHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(400);
+      expect(JSON.parse(res._getData()).error).toBe('slug cannot be changed');
+    });
+
+    it('should only delete models no run refers to', async () => {
+      database.getAIModel.mockResolvedValueOnce({ ...claude, runs: 4 });
+      const used = createRequest('DELETE', { query: { slug: claude.slug } });
+      await modelHandler(used.req, used.res);
+      expect(used.res._getStatusCode()).toBe(409);
+      expect(database.deleteAIModel).not.toHaveBeenCalled();
+
+      const unused = createRequest('DELETE', { query: { slug: claude.slug } });
+      await modelHandler(unused.req, unused.res);
+      expect(unused.res._getStatusCode()).toBe(200);
+      expect(database.deleteAIModel).toHaveBeenCalledWith(claude.slug);
+    });
+
+    it('should 404 unknown models', async () => {
+      database.getAIModel.mockResolvedValueOnce(null);
+      const { req, res } = createRequest('GET', { query: { slug: 'gpt-9' } });
+
+      await modelHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+// Integration tests for /api/ai-runs endpoint
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '../../../../pages/api/ai-runs';
+import { createMocks } from 'node-mocks-http';
+
+// Mock database functions
+jest.mock('@/lib/database', () => ({
+  insertRun: jest.fn().mockResolvedValue(321),
+  consumeRunToken: jest.fn().mockResolvedValue(true),
+  getAIModel: jest.fn().mockResolvedValue(null),
+  findOrCreateAIModel: jest.fn().mockResolvedValue({ id: 7, slug: 'claude-2025-01-01', display_name: 'Claude' }),
+  calculatePercentile: jest.fn().mockResolvedValue(40),
+  getCurrentRank: jest.fn().mockResolvedValue(12)
+}));
+
+// Real scoring, replaced by an accepted run where a test needs one
+jest.mock('@/lib/run-submission', () => {
+  const actual = jest.requireActual('@/lib/run-submission');
+  return { scoreRunSubmission: jest.fn(actual.scoreRunSubmission) };
+});
+
+const { insertRun, consumeRunToken, getAIModel, findOrCreateAIModel } = require('@/lib/database');
+const { scoreRunSubmission } = require('@/lib/run-submission');
+
+const acceptedRun = {
+  valid: true,
+  run: {
+    mode: 'classic',
+    runToken: { id: 'token-1' },
+    computed: { totalHits: 2, avgAccuracy: 0.85, bestAccuracy: 0.86, finalRadius: 18, durationMs: 2000 },
+    speedScore: 60,
+    performanceScore: 70,
+    fitts: null,
+    tracking: null,
+    movement: null,
+    timing: null,
+    badges: [],
+    record: { speed_score: 60, performance_score: 70, badges: [], is_ai: false }
+  }
+};
+
+describe('/api/ai-runs', () => {
+  const originalKeys = process.env.AI_API_KEYS;
+
+  function createRequest(authorization: string | null = 'Bearer test-key-123', overrides = {}) {
+    return createMocks<NextApiRequest, NextApiResponse>({
+      method: 'POST',
+      headers: authorization ? { authorization } : {},
+      body: {
+        seed: 123456789,
+        container_size: 600,
+        model: {
+          provider: 'Anthropic',
+          name: 'Claude',
+          version: '2025-01-01',
+          harness: 'computer-use',
+          screenshot: { width: 1280, height: 800 }
+        },
+        stats: {
+          totalHits: 2,
+          avgAccuracy: 0.85,
+          bestAccuracy: 0.86,
+          finalRadius: 18,
+          durationMs: 2000
+        },
+        click_logs: [
+          { t: 1000, cx: 100, cy: 100, tx: 102, ty: 98, r: 20, d: 2.83, hit: true, a: 0.86 },
+          { t: 2000, cx: 150, cy: 150, tx: 148, ty: 152, r: 18, d: 2.83, hit: true, a: 0.84 }
+        ],
+        ...overrides
+      }
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.AI_API_KEYS = 'lab:test-key-123,ci:other-key-456';
+    process.env.RUN_TOKEN_SECRET = 'test-run-token-secret';
+  });
+
+  afterAll(() => {
+    process.env.AI_API_KEYS = originalKeys;
+    delete process.env.RUN_TOKEN_SECRET;
+  });
+
+  it('should be unavailable when no API keys are configured', async () => {
+    delete process.env.AI_API_KEYS;
+    const { req, res } = createRequest();
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(503);
+    expect(JSON.parse(res._getData()).error).toBe('AI run submission is not configured');
+  });
+
+  it('should require an API key', async () => {
+    const { req, res } = createRequest(null);
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(401);
+    expect(JSON.parse(res._getData()).error).toBe('API key required');
+  });
+
+  it('should reject unknown API keys', async () => {
+    const { req, res } = createRequest('Bearer not-a-key');
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(403);
+    expect(JSON.parse(res._getData()).error).toBe('Invalid API key');
+    expect(insertRun).not.toHaveBeenCalled();
+  });
+
+  it('should ignore AI_API_KEYS entries without a name', async () => {
+    process.env.AI_API_KEYS = 'lab:test-key-123,bare-secret-key,:nameless-key';
+
+    for (const key of ['bare-secret-key', 'bare-secret-ke', 'nameless-key']) {
+      const { req, res } = createRequest(`Bearer ${key}`);
+      await handler(req, res);
+      expect(res._getStatusCode()).toBe(403);
+    }
+    expect(insertRun).not.toHaveBeenCalled();
+  });
+
+  it('should require model metadata', async () => {
+    const { req, res } = createRequest(undefined, { model: undefined });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toBe('Missing model metadata');
+  });
+
+  it('should reject an invalid screenshot resolution', async () => {
+    const { req, res } = createRequest(undefined, {
+      model: { provider: 'OpenAI', name: 'GPT', harness: 'operator', screenshot: { width: 0, height: 720 } }
+    });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toBe('Invalid screenshot resolution');
+  });
+
+  it('should validate the run like a human run', async () => {
+    const { req, res } = createRequest(undefined, {
+      stats: { totalHits: 5, avgAccuracy: 0.85, bestAccuracy: 0.86, finalRadius: 18, durationMs: 2000 }
+    });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toContain('Hit count mismatch');
+  });
+
+  it('should require a run token', async () => {
+    const { req, res } = createRequest();
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(401);
+    expect(JSON.parse(res._getData()).error).toBe('Run token required');
+    expect(insertRun).not.toHaveBeenCalled();
+  });
+
+  it('should file the run under the registry entry of its name and version', async () => {
+    scoreRunSubmission.mockReturnValueOnce(acceptedRun);
+    const { req, res } = createRequest();
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(200);
+    expect(findOrCreateAIModel).toHaveBeenCalledWith(expect.objectContaining({ name: 'Claude', version: '2025-01-01' }));
+    expect(insertRun).toHaveBeenCalledWith(expect.objectContaining({ is_ai: true, ai_model: 'Claude', ai_model_id: 7 }));
+    const data = JSON.parse(res._getData());
+    expect(data.model).toMatchObject({ slug: 'claude-2025-01-01', display_name: 'Claude' });
+  });
+
+  it('should reject a slug that is not in the registry', async () => {
+    scoreRunSubmission.mockReturnValueOnce(acceptedRun);
+    const { req, res } = createRequest(undefined, {
+      model: { provider: 'Anthropic', name: 'Claude', harness: 'computer-use', slug: 'claude-9' }
+    });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toBe('Unknown model slug: claude-9');
+    expect(getAIModel).toHaveBeenCalledWith('claude-9');
+    expect(findOrCreateAIModel).not.toHaveBeenCalled();
+    expect(consumeRunToken).not.toHaveBeenCalled();
+  });
+
+  it('should handle OPTIONS request for CORS', async () => {
+    const { req, res } = createMocks<NextApiRequest, NextApiResponse>({ method: 'OPTIONS' });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(200);
+    expect(res.getHeader('Access-Control-Allow-Headers')).toContain('Authorization');
+  });
+
+  it('should reject non-POST methods', async () => {
+    const { req, res } = createMocks<NextApiRequest, NextApiResponse>({ method: 'GET' });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(405);
+  });
+});
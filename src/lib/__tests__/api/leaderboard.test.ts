@@ -0,0 +1,47 @@
+// Integration tests for /api/leaderboard endpoint
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler, { clearLeaderboardCache } from '../../../../pages/api/leaderboard';
+import { createMocks } from 'node-mocks-http';
+
+jest.mock('@/lib/database', () => ({
+  LEADERBOARD_SORTS: { reaction_time: 'reaction_time_ms ASC NULLS LAST' },
+  getHallOfFame: jest.fn().mockResolvedValue([]),
+  getTodaysBest: jest.fn().mockResolvedValue([]),
+  getAIBenchmarks: jest.fn().mockResolvedValue([
+    { rank: 1, username: 'Claude', performance_score: 88, is_ai: true, ai_model: 'Claude', mode: 'fitts' }
+  ]),
+  getScatterData: jest.fn().mockResolvedValue([])
+}));
+
+const database = require('@/lib/database');
+
+describe('/api/leaderboard', () => {
+  beforeEach(() => {
+    clearLeaderboardCache();
+  });
+
+  it('should fetch every section for the requested mode', async () => {
+    const { req, res } = createMocks<NextApiRequest, NextApiResponse>({ method: 'GET', query: { mode: 'fitts' } });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(200);
+    const data = JSON.parse(res._getData());
+    expect(data.mode).toBe('fitts');
+    expect(data.ai_benchmarks).toHaveLength(1);
+    expect(database.getHallOfFame).toHaveBeenCalledWith('fitts', undefined);
+    expect(database.getTodaysBest).toHaveBeenCalledWith('fitts', undefined);
+    expect(database.getAIBenchmarks).toHaveBeenCalledWith('fitts');
+    expect(database.getScatterData).toHaveBeenCalledWith(expect.any(Number), 'fitts');
+  });
+
+  it('should reject unknown game modes', async () => {
+    const { req, res } = createMocks<NextApiRequest, NextApiResponse>({ method: 'GET', query: { mode: 'god_mode' } });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toBe('Unknown game mode: god_mode');
+  });
+});
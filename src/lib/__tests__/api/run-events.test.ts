@@ -0,0 +1,79 @@
+// Integration tests for /api/admin/run-events endpoint
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '../../../../pages/api/admin/run-events';
+import { createMocks } from 'node-mocks-http';
+
+jest.mock('@/lib/database', () => ({
+  RUN_EVENT_TYPES: ['username_changed', 'run_deleted'],
+  getRunEvents: jest.fn().mockResolvedValue([
+    { id: 7, run_id: 42, event_type: 'username_changed', actor_type: 'owner', old_value: 'rude', new_value: 'nice' },
+    { id: 3, run_id: 42, event_type: 'username_changed', actor_type: 'owner', old_value: null, new_value: 'rude' }
+  ])
+}));
+
+const { getRunEvents } = require('@/lib/database');
+
+describe('/api/admin/run-events', () => {
+  const original = process.env.ADMIN_SECRET;
+
+  function createRequest(query: Record<string, string> = {}, authorization: string | null = 'Bearer test-admin-secret') {
+    return createMocks<NextApiRequest, NextApiResponse>({
+      method: 'GET',
+      query,
+      headers: authorization ? { authorization } : {}
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ADMIN_SECRET = 'test-admin-secret';
+  });
+
+  afterAll(() => {
+    if (original === undefined) delete process.env.ADMIN_SECRET;
+    else process.env.ADMIN_SECRET = original;
+  });
+
+  it('should return a run\'s history, newest first, with the next page cursor', async () => {
+    const { req, res } = createRequest({ run_id: '42', type: 'username_changed', limit: '2' });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(200);
+    const data = JSON.parse(res._getData());
+    expect(data.events.map((e: any) => e.new_value)).toEqual(['nice', 'rude']);
+    expect(data.next_before).toBe(3);
+    expect(getRunEvents).toHaveBeenCalledWith({ runId: 42, eventType: 'username_changed', before: undefined, limit: 2 });
+  });
+
+  it('should require the admin secret', async () => {
+    const missing = createRequest({}, null);
+    await handler(missing.req, missing.res);
+    expect(missing.res._getStatusCode()).toBe(401);
+
+    const wrong = createRequest({}, 'Bearer guess');
+    await handler(wrong.req, wrong.res);
+    expect(wrong.res._getStatusCode()).toBe(403);
+
+    expect(getRunEvents).not.toHaveBeenCalled();
+  });
+
+  it('should be disabled when no admin secret is configured', async () => {
+    delete process.env.ADMIN_SECRET;
+    const { req, res } = createRequest();
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(503);
+  });
+
+  it('should reject malformed filters', async () => {
+    const queries: Record<string, string>[] = [{ run_id: 'abc' }, { before: '-1' }, { limit: '5000' }, { type: 'dropped_table' }];
+    for (const query of queries) {
+      const { req, res } = createRequest(query);
+      await handler(req, res);
+      expect(res._getStatusCode()).toBe(400);
+    }
+  });
+});
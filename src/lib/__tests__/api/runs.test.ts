@@ -3,54 +3,73 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import handler from '../../../../pages/api/runs';
 import { createMocks } from 'node-mocks-http';
+import { issueRunToken } from '@/lib/run-token';
+import { RunState } from '../../../../public/js/models.js';
+import { scoreClick } from '../../../../public/js/scoring.js';
 
 // Mock database functions
 jest.mock('@/lib/database', () => ({
   insertRun: jest.fn().mockResolvedValue(123),
+  consumeRunToken: jest.fn().mockResolvedValue(true),
+  isIPBlocked: jest.fn().mockResolvedValue(false),
   calculatePercentile: jest.fn().mockResolvedValue(75),
   getCurrentRank: jest.fn().mockResolvedValue(5),
+  getDailyRank: jest.fn().mockResolvedValue(2),
   getAIComparisons: jest.fn().mockResolvedValue({
-    chatgpt_4: { speed: 2, performance: -3 }
+    'chatgpt-4': { display_name: 'ChatGPT-4', speed: 2, performance: -3 }
   })
 }));
 
 describe('/api/runs', () => {
+  const course = { seed: 123456789, containerSize: 600, mode: 'classic' };
+
+  // Play the seeded course like the game does: a hit every 1.5s, a little off center
+  function playCourse(hits: number) {
+    const runState = new RunState();
+    runState.startGame(course.containerSize, { seed: course.seed, mode: course.mode });
+    const mode = runState.getMode();
+    runState.setTarget(mode.nextTarget(runState));
+
+    const logs = [];
+    for (let i = 1; i <= hits; i++) {
+      const { x, y } = runState.target;
+      const cx = x + 2;
+      const cy = y - 1;
+      const { d, a } = scoreClick(cx, cy, x, y, runState.currentR, runState.startR);
+      const log = { t: i * 1500, cx, cy, tx: x, ty: y, r: runState.currentR, d, hit: true, a };
+      logs.push(log);
+      runState.recordHit(log);
+      mode.onHit(runState);
+      runState.setTarget(mode.nextTarget(runState));
+    }
+    return logs;
+  }
+
+  const clickLogs = playCourse(10);
+  const accuracies = clickLogs.map(log => log.a as number);
+  const validStats = {
+    totalHits: clickLogs.length,
+    avgAccuracy: accuracies.reduce((sum, a) => sum + a, 0) / accuracies.length,
+    bestAccuracy: Math.max(...accuracies),
+    finalRadius: clickLogs[clickLogs.length - 1].r,
+    durationMs: clickLogs[clickLogs.length - 1].t
+  };
+
   function createValidRequest(overrides = {}) {
+    // Issued as long ago as the run took, as if it had just been played
+    const { token } = issueRunToken(
+      { seed: course.seed, mode: course.mode },
+      Date.now() - validStats.durationMs - 1000
+    );
     const { req, res } = createMocks<NextApiRequest, NextApiResponse>({
       method: 'POST',
       body: {
         username: 'testuser',
-        stats: {
-          totalHits: 10,
-          avgAccuracy: 0.85,
-          bestAccuracy: 0.95,
-          finalRadius: 15,
-          durationMs: 20000
-        },
-        click_logs: [
-          {
-            t: 1000,
-            cx: 100,
-            cy: 100,
-            tx: 102,
-            ty: 98,
-            r: 20,
-            d: 2.83,
-            hit: true,
-            a: 0.86
-          },
-          {
-            t: 2000,
-            cx: 150,
-            cy: 150,
-            tx: 148,
-            ty: 152,
-            r: 18,
-            d: 2.83,
-            hit: true,
-            a: 0.84
-          }
-        ],
+        seed: course.seed,
+        container_size: course.containerSize,
+        stats: validStats,
+        click_logs: clickLogs,
+        run_token: token,
         badges: ['sharpshooter'],
         ...overrides
       }
@@ -60,6 +79,24 @@ describe('/api/runs', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    // Every request here comes from the same (unknown) address; only the throttling test is limited
+    process.env.RATE_LIMIT_RUNS = '1000/60';
+    process.env.RUN_TOKEN_SECRET = 'test-run-token-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_RUNS;
+    delete process.env.RUN_TOKEN_SECRET;
+  });
+
+  it('should be unavailable without a run token secret', async () => {
+    const { req, res } = createValidRequest();
+    delete process.env.RUN_TOKEN_SECRET;
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(503);
+    expect(JSON.parse(res._getData()).error).toBe('Run submission is not configured');
   });
 
   it('should successfully submit a valid run', async () => {
@@ -74,6 +111,7 @@ describe('/api/runs', () => {
     expect(data.scores).toBeDefined();
     expect(data.rankings).toBeDefined();
     expect(data.vs_ai).toBeDefined();
+    expect(data.mode).toBe('classic');
   });
 
   it('should reject request with missing stats', async () => {
@@ -87,6 +125,16 @@ describe('/api/runs', () => {
     expect(data.error).toContain('Missing required fields');
   });
 
+  it('should reject request without a course seed', async () => {
+    const { req, res } = createValidRequest({ seed: undefined });
+    
+    await handler(req, res);
+    
+    expect(res._getStatusCode()).toBe(400);
+    const data = JSON.parse(res._getData());
+    expect(data.error).toBe('Seed must be an integer');
+  });
+
   it('should reject request with invalid username', async () => {
     const { req, res } = createValidRequest({
       username: 'a'.repeat(25) // Too long
@@ -153,6 +201,84 @@ describe('/api/runs', () => {
     expect(data.error).toContain('Hit count mismatch');
   });
 
+  it('should reject runs without a run token', async () => {
+    const { req, res } = createValidRequest({ run_token: undefined });
+    
+    await handler(req, res);
+    
+    expect(res._getStatusCode()).toBe(401);
+    const data = JSON.parse(res._getData());
+    expect(data.error).toBe('Run token required');
+  });
+
+  it('should refuse submissions from blocked IP hashes', async () => {
+    const { isIPBlocked } = require('@/lib/database');
+    (isIPBlocked as jest.Mock).mockResolvedValueOnce(true);
+    const { req, res } = createValidRequest();
+    
+    await handler(req, res);
+    
+    expect(res._getStatusCode()).toBe(403);
+    expect(JSON.parse(res._getData()).error).toBe('Submissions from this address are blocked');
+  });
+
+  it('should throttle bursts of submissions from one source', async () => {
+    process.env.RATE_LIMIT_RUNS = '2/60';
+    try {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        const { req, res } = createMocks<NextApiRequest, NextApiResponse>({
+          method: 'POST',
+          headers: { 'x-forwarded-for': '203.0.113.50' },
+          body: {}
+        });
+        await handler(req, res);
+        statuses.push(res._getStatusCode());
+        if (i === 2) {
+          expect(res.getHeader('Retry-After')).toBeDefined();
+        }
+      }
+      
+      expect(statuses).toEqual([400, 400, 429]);
+    } finally {
+      delete process.env.RATE_LIMIT_RUNS;
+    }
+  });
+
+  it('should reject unknown game modes', async () => {
+    const { req, res } = createValidRequest({ mode: 'god_mode' });
+    
+    await handler(req, res);
+    
+    expect(res._getStatusCode()).toBe(400);
+    const data = JSON.parse(res._getData());
+    expect(data.error).toBe('Unknown game mode: god_mode');
+  });
+
+  it('should reject unknown input sources', async () => {
+    const { req, res } = createValidRequest({ input_source: 'robot' });
+    
+    await handler(req, res);
+    
+    expect(res._getStatusCode()).toBe(400);
+    const data = JSON.parse(res._getData());
+    expect(data.error).toBe('Unknown input source: robot');
+  });
+
+  it('should reject a tracking run scored from a single forged sample', async () => {
+    const { req, res } = createValidRequest({
+      mode: 'tracking',
+      stats: { totalHits: 0, avgAccuracy: 0, bestAccuracy: 0, finalRadius: 30, durationMs: 30000 },
+      click_logs: [{ type: 'track', t: 29990, px: 300, py: 300, tx: 300, ty: 300, r: 30, d: 0, on: true }],
+      badges: undefined
+    });
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toBe('Gap in tracking samples');
+  });
+
   it('should handle OPTIONS request for CORS', async () => {
     const { req, res } = createMocks<NextApiRequest, NextApiResponse>({
       method: 'OPTIONS'
@@ -0,0 +1,71 @@
+// Integration tests for /api/runs/start endpoint
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '../../../../pages/api/runs/start';
+import { createMocks } from 'node-mocks-http';
+import { verifyRunToken } from '@/lib/run-token';
+import { dailySeed, utcDateKey } from '../../../../public/js/random.js';
+
+describe('/api/runs/start', () => {
+  const originalSecret = process.env.RUN_TOKEN_SECRET;
+
+  function createRequest(body = {}) {
+    return createMocks<NextApiRequest, NextApiResponse>({ method: 'POST', body });
+  }
+
+  beforeEach(() => {
+    process.env.RUN_TOKEN_SECRET = 'test-run-token-secret';
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.RUN_TOKEN_SECRET;
+    else process.env.RUN_TOKEN_SECRET = originalSecret;
+  });
+
+  it('should be unavailable without a signing secret', async () => {
+    delete process.env.RUN_TOKEN_SECRET;
+    const { req, res } = createRequest();
+
+    await handler(req, res);
+
+    expect(res._getStatusCode()).toBe(503);
+    expect(JSON.parse(res._getData()).error).toBe('Run submission is not configured');
+  });
+
+  it('should issue a signed token for a fresh course', async () => {
+    const { req, res } = createRequest({ mode: 'moving' });
+    
+    await handler(req, res);
+    
+    expect(res._getStatusCode()).toBe(200);
+    const data = JSON.parse(res._getData());
+    expect(data.mode).toBe('moving');
+    expect(data.challenge_date).toBeNull();
+    expect(Number.isInteger(data.seed)).toBe(true);
+    
+    const verified = verifyRunToken(data.token);
+    expect(verified.valid).toBe(true);
+    expect(verified.payload).toMatchObject({ seed: data.seed, mode: 'moving' });
+  });
+
+  it('should issue the daily challenge course with classic rules', async () => {
+    const { req, res } = createRequest({ mode: 'lives', daily: true });
+    
+    await handler(req, res);
+    
+    const data = JSON.parse(res._getData());
+    const today = utcDateKey();
+    expect(data.mode).toBe('classic');
+    expect(data.challenge_date).toBe(today);
+    expect(data.seed).toBe(dailySeed(today));
+  });
+
+  it('should reject unknown game modes', async () => {
+    const { req, res } = createRequest({ mode: 'god_mode' });
+    
+    await handler(req, res);
+    
+    expect(res._getStatusCode()).toBe(400);
+    expect(JSON.parse(res._getData()).error).toBe('Unknown game mode: god_mode');
+  });
+});
@@ -0,0 +1,106 @@
+// Integration tests for /api/runs/[id]/username and run deletion
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import usernameHandler from '../../../../pages/api/runs/[id]/username';
+import deleteHandler from '../../../../pages/api/runs/[id]/index';
+import { createMocks } from 'node-mocks-http';
+import { generateEditToken } from '@/lib/edit-token';
+
+jest.mock('@vercel/postgres', () => ({
+  sql: jest.fn()
+}));
+
+const { sql } = require('@vercel/postgres');
+
+describe('Run editing', () => {
+  const { token, hash } = generateEditToken();
+  const storedRun = { id: 42, username: null, created_at: new Date(), edit_token_hash: hash };
+
+  function createRequest(method: string, authorization?: string, body: any = {}) {
+    return createMocks<NextApiRequest, NextApiResponse>({
+      method: method as any,
+      query: { id: '42' },
+      headers: authorization ? { authorization } : {},
+      body
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    (sql as jest.Mock).mockResolvedValue({ rows: [storedRun] });
+  });
+
+  describe('PATCH /api/runs/[id]/username', () => {
+    it('should rename the run with its edit token', async () => {
+      const { req, res } = createRequest('PATCH', `Bearer ${token}`, { username: 'owner' });
+
+      await usernameHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      expect(JSON.parse(res._getData())).toMatchObject({ success: true, runId: 42, username: 'owner' });
+      expect(sql).toHaveBeenCalledTimes(3);
+      
+      // Select, update, then the audit trail entry with the old and new names
+      const [strings, ...values] = (sql as jest.Mock).mock.calls[2];
+      expect(strings.join('?')).toContain('INSERT INTO run_events');
+      expect(values.slice(0, 5)).toEqual([42, 'username_changed', 'owner', null, 'owner']);
+    });
+
+    it('should require an edit token', async () => {
+      const { req, res } = createRequest('PATCH', undefined, { username: 'guesser' });
+
+      await usernameHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(401);
+      expect(JSON.parse(res._getData()).error).toBe('Edit token required');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('should reject another run\'s edit token', async () => {
+      const { req, res } = createRequest('PATCH', `Bearer ${generateEditToken().token}`, { username: 'guesser' });
+
+      await usernameHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(403);
+      expect(JSON.parse(res._getData()).error).toBe('Invalid edit token');
+      expect(sql).toHaveBeenCalledTimes(1); // looked up, never updated
+    });
+  });
+
+  describe('DELETE /api/runs/[id]', () => {
+    it('should delete the run with its edit token', async () => {
+      const { req, res } = createRequest('DELETE', `Bearer ${token}`);
+
+      await deleteHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(200);
+      expect(JSON.parse(res._getData())).toEqual({ success: true, runId: 42 });
+      expect(sql).toHaveBeenCalledTimes(3);
+      
+      const [strings, ...values] = (sql as jest.Mock).mock.calls[2];
+      expect(strings.join('?')).toContain('INSERT INTO run_events');
+      expect(values.slice(0, 3)).toEqual([42, 'run_deleted', 'owner']);
+    });
+
+    it('should not delete without the matching token', async () => {
+      const missing = createRequest('DELETE');
+      await deleteHandler(missing.req, missing.res);
+      expect(missing.res._getStatusCode()).toBe(401);
+
+      const wrong = createRequest('DELETE', `Bearer ${generateEditToken().token}`);
+      await deleteHandler(wrong.req, wrong.res);
+      expect(wrong.res._getStatusCode()).toBe(403);
+
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for unknown runs', async () => {
+      (sql as jest.Mock).mockResolvedValueOnce({ rows: [] });
+      const { req, res } = createRequest('DELETE', `Bearer ${token}`);
+
+      await deleteHandler(req, res);
+
+      expect(res._getStatusCode()).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// Tests for the per-model AI benchmark statistics
+
+import { summarizeSample, bootstrapMeanInterval, aggregateModelRuns } from '../../../public/js/benchmark-stats.js';
+
+describe('AI benchmark statistics', () => {
+  describe('summarizeSample', () => {
+    it('should summarize a sample', () => {
+      const summary = summarizeSample([70, 74, 72, 80, 64])!;
+
+      expect(summary.n).toBe(5);
+      expect(summary.mean).toBe(72);
+      expect(summary.median).toBe(72);
+      expect(summary.sd).toBeCloseTo(5.83, 2);
+      expect(summary.ci95![0]).toBeLessThan(72);
+      expect(summary.ci95![1]).toBeGreaterThan(72);
+      // Resampled means can't leave the range of the data
+      expect(summary.ci95![0]).toBeGreaterThanOrEqual(64);
+      expect(summary.ci95![1]).toBeLessThanOrEqual(80);
+    });
+
+    it('should leave out the spread for a single run', () => {
+      expect(summarizeSample([88.5])).toEqual({ n: 1, mean: 88.5, median: 88.5, sd: null, ci95: null });
+      expect(summarizeSample([])).toBeNull();
+    });
+  });
+
+  describe('bootstrapMeanInterval', () => {
+    it('should be reproducible and narrow with more runs', () => {
+      const few = [60, 70, 80, 90];
+      const many = [...few, ...few, ...few, ...few, ...few, ...few];
+
+      expect(bootstrapMeanInterval(few)).toEqual(bootstrapMeanInterval(few));
+
+      const width = ([lower, upper]: number[]) => upper - lower;
+      expect(width(bootstrapMeanInterval(many))).toBeLessThan(width(bootstrapMeanInterval(few)));
+    });
+  });
+
+  describe('aggregateModelRuns', () => {
+    it('should group runs per model and version, best mean performance first', () => {
+      const run = (ai_model: string, ai_model_version: string | null, performance_score: number, ai_harness: string | null = null) => ({
+        ai_provider: 'Lab', ai_model, ai_model_version, ai_harness, speed_score: 50, performance_score, total_hits: 20
+      });
+
+      const models: any[] = aggregateModelRuns([
+        run('Claude', '1', 80, 'computer-use'),
+        run('GPT', null, 90),
+        run('Claude', '1', 84, 'browser'),
+        run('Claude', '2', 95)
+      ]);
+
+      expect(models.map(m => [m.ai_model, m.ai_model_version, m.runs])).toEqual([
+        ['Claude', '2', 1],
+        ['GPT', null, 1],
+        ['Claude', '1', 2]
+      ]);
+      expect(models[2].performance_score.mean).toBe(82);
+      expect(models[2].harnesses).toEqual(['browser', 'computer-use']);
+      expect(models[2].total_hits).toMatchObject({ n: 2, mean: 20, sd: 0, ci95: [20, 20] });
+    });
+
+    it('should group runs by registry slug when they have one', () => {
+      const models: any[] = aggregateModelRuns([
+        { ai_model_slug: 'chatgpt-4', ai_provider: 'OpenAI', ai_model: 'GPT-4', ai_model_version: null, ai_model_release_date: '2023-03-14', ai_harness: null, speed_score: 70, performance_score: 80, total_hits: 18 },
+        { ai_model_slug: 'chatgpt-4', ai_provider: null, ai_model: 'GPT-4', ai_model_version: null, ai_model_release_date: '2023-03-14', ai_harness: null, speed_score: 72, performance_score: 84, total_hits: 19 },
+        { ai_model_slug: null, ai_provider: null, ai_model: 'GPT-4', ai_model_version: null, ai_harness: null, speed_score: 60, performance_score: 70, total_hits: 15 }
+      ]);
+
+      expect(models.map(m => [m.ai_model_slug, m.runs])).toEqual([['chatgpt-4', 2], [null, 1]]);
+      expect(models[0].ai_model_release_date).toBe('2023-03-14');
+    });
+  });
+});
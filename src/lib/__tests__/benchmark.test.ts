@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the headless benchmark runner (scripts/benchmark)
+
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import { playRun } from '../../../scripts/benchmark/runner.mjs';
+import { createAgent } from '../../../scripts/benchmark/agents/stub.mjs';
+import { renderScene, decodePng } from '../../../scripts/benchmark/render.mjs';
+import { runSweep } from '../../../scripts/benchmark/sweep.mjs';
+import { scoreRunSubmission } from '../run-submission';
+import { issueRunToken } from '../run-token';
+
+const execFileAsync = promisify(execFile);
+const ROOT_DIR = path.resolve(__dirname, '../../..');
+
+describe('Headless benchmark', () => {
+  beforeAll(() => {
+    process.env.RUN_TOKEN_SECRET = 'test-run-token-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.RUN_TOKEN_SECRET;
+  });
+
+  it('should play the same run for the same seeds', async () => {
+    const first = await playRun(createAgent({ seed: 7 }), { seed: 42 });
+    const second = await playRun(createAgent({ seed: 7 }), { seed: 42 });
+
+    expect(second.payload).toEqual(first.payload);
+    expect(first.payload.mode).toBe('classic');
+    expect(first.payload.input_source).toBe('agent');
+    expect(first.payload.stats.totalHits).toBeGreaterThan(0);
+    expect(first.steps).toHaveLength(first.payload.click_logs.length);
+  });
+
+  it('should produce a payload the API accepts', async () => {
+    const { payload } = await playRun(createAgent({ seed: 3 }), { seed: 1234, mode: 'lives', format: 'png', width: 400, height: 300 });
+
+    // Issued as long ago as the run took, as if it had been played in real time
+    const { token } = issueRunToken({ seed: 1234, mode: 'lives' }, Date.now() - payload.stats.durationMs - 1000);
+    const result = scoreRunSubmission({ ...payload, run_token: token });
+
+    expect(result.valid).toBe(true);
+    if (result.valid) {
+      expect(result.run.computed.totalHits).toBe(payload.stats.totalHits);
+      expect(result.run.record.input_source).toBe('agent');
+    }
+    expect(payload.model.screenshot).toEqual({ width: 400, height: 300 });
+  });
+
+  it('should map answers from image pixels back to the game area', async () => {
+    // Always clicks the image centre: the middle of the game area, wherever the target is
+    const agent = { act: ({ image }: any) => ({ x: image.width / 2, y: image.height / 2, durationMs: 800 }) };
+    const { payload } = await playRun(agent, { seed: 9, containerSize: 500, width: 1000, height: 600 });
+
+    expect(payload.click_logs[0].cx).toBe(250);
+    expect(payload.click_logs[0].cy).toBe(250);
+    expect(payload.click_logs[0].t).toBe(800);
+  });
+
+  it('should render the target as SVG and PNG', () => {
+    const scene = { containerSize: 100, radius: 10, target: { x: 30, y: 60 }, decoys: [] };
+
+    const svg = renderScene(scene, { format: 'svg', width: 200, height: 200 });
+    expect(svg.data).toContain('<circle data-role="target" cx="60" cy="120"');
+
+    const png = renderScene(scene, { format: 'png', width: 200, height: 100 });
+    const { width, height, pixels } = decodePng(png.data);
+    expect([width, height]).toEqual([200, 100]);
+    // Scaled to 100x100 and centred: the target centre lands at (80, 60)
+    const i = (60 * width + 80) * 3;
+    expect([pixels[i], pixels[i + 1], pixels[i + 2]]).toEqual([0xef, 0x44, 0x44]);
+  });
+
+  it('should replay the course at every size and scale of a sweep', async () => {
+    const { configurations, report } = await runSweep((index: number) => createAgent({ seed: 5 + index }), {
+      seed: 42, mode: 'classic', sizes: [400, 600], scales: [1, 2], repeats: 2
+    });
+
+    expect(configurations.map(c => [c.containerSize, c.scale, c.width])).toEqual([[400, 1, 400], [400, 2, 800], [600, 1, 600], [600, 2, 1200]]);
+    const run = configurations[1].runs[0];
+    expect(run).toMatchObject({ seed: 42, container_size: 400, device_pixel_ratio: 2 });
+    expect(run.model.screenshot).toEqual({ width: 800, height: 800 });
+
+    // The stub aims relative to what it sees, so its errors don't depend on the scale
+    expect(report.configurations[0]).toMatchObject({ runs: 2, clicks: configurations[0].runs.flatMap((r: any) => r.click_logs).length });
+    expect(report.byScale.map((s: any) => s.scale)).toEqual([1, 2]);
+    expect(report.scaleDependence.dependent).toBe(false);
+  });
+
+  it('should flag errors that depend on the scale', async () => {
+    // Always 8 screenshot pixels right of the target: 8 game pixels at 1x, 2 at 4x
+    const agent = {
+      act: ({ image }: any) => {
+        const [, x, y] = image.data.match(/data-role="target" cx="([\d.-]+)" cy="([\d.-]+)"/);
+        return { x: parseFloat(x) + 8, y: parseFloat(y), durationMs: 700 };
+      }
+    };
+    const { report } = await runSweep(() => agent, { seed: 7, mode: 'classic', sizes: [600], scales: [1, 4], repeats: 1 });
+
+    expect(report.scaleDependence).toMatchObject({ dependent: true, best: 4, worst: 1 });
+    expect(report.byScale[0].errorPx!.mean).toBeCloseTo(8, 0);
+    expect(report.byScale[0].byRadius[0].radius[1] - report.byScale[0].byRadius[0].radius[0]).toBe(5);
+  });
+
+  it('should take as long as it claims when playing on a run token', async () => {
+    // One hit, then a miss that ends the classic run: 1.4s of simulated time
+    const stub = createAgent({ seed: 3, thinkMs: { min: 700, max: 700 } });
+    const agent = {
+      name: 'one-hit',
+      act: async (observation: any) => observation.step === 0
+        ? stub.act(observation)
+        : { x: 0, y: 0, durationMs: 700 }
+    };
+    const { token } = issueRunToken({ seed: 1234, mode: 'classic' });
+    // runner.mjs is untyped JS, so its null defaults are inferred as the option types
+    const options: any = { seed: 1234, runToken: token };
+
+    const startedAt = Date.now();
+    const { payload } = await playRun(agent, options);
+
+    expect(payload.stats.durationMs).toBe(1400);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1400);
+    expect(scoreRunSubmission(payload).valid).toBe(true);
+  });
+
+  it('should refuse the tracking mode', async () => {
+    await expect(playRun(createAgent(), { seed: 1, mode: 'tracking' })).rejects.toThrow(/can't be played step by step/);
+  });
+
+  it('should run from the command line with the stub agent', async () => {
+    const { stdout, stderr } = await execFileAsync(
+      process.execPath,
+      ['scripts/benchmark.mjs', '--agent', 'stub', '--seed', '42', '--agent-seed', '7'],
+      { cwd: ROOT_DIR, timeout: 60000 }
+    );
+    const payload = JSON.parse(stdout);
+
+    expect(payload).toEqual((await playRun(createAgent({ seed: 7 }), { seed: 42 })).payload);
+    // public/js is an ES module package, so Node loads it without reparsing warnings
+    expect(stderr).not.toMatch(/Warning/);
+  }, 60000);
+});
@@ -0,0 +1,133 @@
+// Bot detection tests
+
+import {
+  calculateSuspicion,
+  isSuspicious,
+  getSuspicionThreshold,
+  DEFAULT_SUSPICION_THRESHOLD
+} from '../bot-detection';
+import { ClickLog } from '@/types/database';
+import { createRng } from '../../../public/js/random.js';
+
+// A run of hits on a 30px target. `interval` and `offset` give each click's delay
+// and its distance from the center; paths (if any) come from `path`
+function makeRun(
+  count: number,
+  interval: (i: number) => number,
+  offset: (i: number) => number,
+  path?: (i: number, x: number, y: number) => number[]
+): ClickLog[] {
+  const logs: ClickLog[] = [];
+  let t = 0;
+  for (let i = 0; i < count; i++) {
+    t += interval(i);
+    const tx = 100 + (i % 5) * 60;
+    const ty = 100 + Math.floor(i / 5) * 40;
+    const d = offset(i);
+    const log: ClickLog = { t, cx: tx + d, cy: ty, tx, ty, r: 30, d, hit: true };
+    if (path) log.p = path(i, tx + d, ty);
+    logs.push(log);
+  }
+  return logs;
+}
+
+describe('Bot Detection', () => {
+  const rng = createRng(42);
+  const humanInterval = () => 300 + rng() * 1400;
+  const humanOffset = () => 2 + rng() * 20;
+  // Curved approach from 200px to the left, ending at the click
+  const humanPath = (i: number, x: number, y: number) => [
+    i * 1000, x - 200, y, i * 1000 + 100, x - 120, y + 40, i * 1000 + 200, x - 40, y + 25
+  ];
+  const straightPath = (i: number, x: number, y: number) => [
+    i * 1000, x - 200, y, i * 1000 + 100, x - 100, y
+  ];
+
+  describe('calculateSuspicion', () => {
+    it('should score varied human-like runs low', () => {
+      const result = calculateSuspicion(makeRun(20, humanInterval, humanOffset, humanPath));
+
+      expect(result.score).toBeLessThan(DEFAULT_SUSPICION_THRESHOLD);
+      expect(result.signals.timing).toBe(0);
+      expect(result.signals.offsets).toBe(0);
+      expect(result.signals.centering).toBe(0);
+      expect(result.signals.straightness).toBe(0);
+    });
+
+    it('should flag fixed-rhythm clicks on the exact center', () => {
+      const result = calculateSuspicion(makeRun(20, () => 400, () => 0));
+
+      expect(result.signals.timing).toBe(1);
+      expect(result.signals.centering).toBe(1);
+      expect(result.score).toBeGreaterThanOrEqual(DEFAULT_SUSPICION_THRESHOLD);
+    });
+
+    it('should flag center clicks even when the timing is randomized', () => {
+      const result = calculateSuspicion(makeRun(20, humanInterval, () => 0.5));
+
+      expect(result.signals.timing).toBe(0);
+      expect(result.signals.offsets).toBe(1);
+      expect(result.signals.centering).toBe(1);
+      expect(result.score).toBeGreaterThanOrEqual(DEFAULT_SUSPICION_THRESHOLD);
+    });
+
+    it('should not flag a run on one signal alone', () => {
+      const result = calculateSuspicion(makeRun(20, () => 400, humanOffset));
+
+      expect(result.signals.timing).toBe(1);
+      expect(result.score).toBeLessThan(DEFAULT_SUSPICION_THRESHOLD);
+    });
+
+    it('should score straight pointer paths when they are present', () => {
+      const curved = calculateSuspicion(makeRun(20, humanInterval, humanOffset, humanPath));
+      const straight = calculateSuspicion(makeRun(20, humanInterval, humanOffset, straightPath));
+      const none = calculateSuspicion(makeRun(20, humanInterval, humanOffset));
+
+      expect(curved.signals.straightness).toBe(0);
+      expect(straight.signals.straightness).toBe(1);
+      expect(none.signals.straightness).toBeNull();
+    });
+
+    it('should leave signals unscored on short runs', () => {
+      const result = calculateSuspicion(makeRun(3, () => 400, () => 0));
+
+      expect(result.signals).toEqual({ timing: null, offsets: null, centering: null, straightness: null });
+      expect(result.score).toBe(0);
+    });
+
+    it('should ignore tracking samples', () => {
+      const logs = [
+        ...makeRun(20, humanInterval, humanOffset),
+        { type: 'track', t: 10, px: 100, py: 100, tx: 100, ty: 100, r: 30, d: 0 }
+      ];
+
+      expect(calculateSuspicion(logs as any).score).toBeLessThan(DEFAULT_SUSPICION_THRESHOLD);
+    });
+  });
+
+  describe('isSuspicious', () => {
+    const original = process.env.BOT_SUSPICION_THRESHOLD;
+
+    afterEach(() => {
+      if (original === undefined) delete process.env.BOT_SUSPICION_THRESHOLD;
+      else process.env.BOT_SUSPICION_THRESHOLD = original;
+    });
+
+    it('should compare against the default threshold', () => {
+      delete process.env.BOT_SUSPICION_THRESHOLD;
+
+      expect(isSuspicious(DEFAULT_SUSPICION_THRESHOLD)).toBe(true);
+      expect(isSuspicious(DEFAULT_SUSPICION_THRESHOLD - 0.001)).toBe(false);
+      expect(isSuspicious(null)).toBe(false);
+    });
+
+    it('should read the threshold from the environment', () => {
+      process.env.BOT_SUSPICION_THRESHOLD = '0.5';
+      expect(getSuspicionThreshold()).toBe(0.5);
+      expect(isSuspicious(0.6)).toBe(true);
+
+      process.env.BOT_SUSPICION_THRESHOLD = 'nope';
+      expect(getSuspicionThreshold()).toBe(DEFAULT_SUSPICION_THRESHOLD);
+    });
+  });
+});
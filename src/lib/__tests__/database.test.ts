@@ -3,40 +3,39 @@
 import { 
   calculatePercentile, 
   getCurrentRank,
-  getAIComparisons 
+  getAIComparisons,
+  recordRateLimitHit
 } from '../database';
 
 // Mock @vercel/postgres
+// sql is both a tagged template and has sql.query; db.connect() hands out a client for transactions
 jest.mock('@vercel/postgres', () => ({
-  sql: {
-    query: jest.fn(),
-    __esModule: true,
-  },
+  sql: Object.assign(jest.fn(), { query: jest.fn() }),
+  db: { connect: jest.fn() }
 }));
 
-const { sql } = require('@vercel/postgres');
+const { sql, db } = require('@vercel/postgres');
 
 describe('Database Utilities', () => {
   beforeEach(() => {
-    jest.clearAllMocks();
+    jest.resetAllMocks();
   });
 
   describe('calculatePercentile', () => {
     it('should calculate percentile correctly', async () => {
-      // Mock total count
-      (sql.query as jest.Mock)
-        .mockResolvedValueOnce({ rows: [{ count: '100' }] })
-        .mockResolvedValueOnce({ rows: [{ lower_count: '75' }] });
+      // Total count, then the count of lower scores
+      (sql as jest.Mock).mockResolvedValueOnce({ rows: [{ count: '100' }] });
+      (sql.query as jest.Mock).mockResolvedValueOnce({ rows: [{ lower_count: '75' }] });
 
       const result = await calculatePercentile(85.5, 'performance');
       
       expect(result).toBe(75);
-      expect(sql.query).toHaveBeenCalledTimes(2);
+      expect(sql).toHaveBeenCalledTimes(1);
+      expect(sql.query).toHaveBeenCalledTimes(1);
     });
 
     it('should return 100 for first player', async () => {
-      (sql.query as jest.Mock)
-        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+      (sql as jest.Mock).mockResolvedValueOnce({ rows: [{ count: '0' }] });
 
       const result = await calculatePercentile(85.5, 'performance');
       
@@ -59,19 +58,61 @@ describe('Database Utilities', () => {
     it('should calculate AI comparisons correctly', async () => {
       const mockAIData = {
         rows: [
-          { ai_model: 'ChatGPT-4', speed_score: '78.5', performance_score: '82.3' },
-          { ai_model: 'Claude', speed_score: '72.1', performance_score: '88.5' }
+          { slug: 'chatgpt-4', display_name: 'ChatGPT-4', speed_score: '78.5', performance_score: '82.3' },
+          { slug: 'claude', display_name: 'Claude', speed_score: '72.1', performance_score: '88.6' }
         ]
       };
 
       (sql as any).mockResolvedValueOnce(mockAIData);
 
-      const result = await getAIComparisons(80, 85);
+      const result = await getAIComparisons(80, 85, 'moving');
       
       expect(result).toEqual({
-        chatgpt_4: { speed: 2, performance: 3 },
-        claude: { speed: 8, performance: -4 }
+        'chatgpt-4': { display_name: 'ChatGPT-4', speed: 2, performance: 3 },
+        claude: { display_name: 'Claude', speed: 8, performance: -4 }
       });
+      // Only AI runs in the same mode count
+      expect((sql as jest.Mock).mock.calls[0].slice(1)).toContain('moving');
+    });
+  });
+
+  describe('recordRateLimitHit', () => {
+    // Transaction client whose count query finds `count` hits; statements() lists what it ran
+    function connectClient(count: string) {
+      const client = {
+        sql: jest.fn((strings: TemplateStringsArray) => {
+          const text = strings.join('?').replace(/\s+/g, ' ').trim();
+          return Promise.resolve(text.startsWith('SELECT COUNT')
+            ? { rows: [{ count, retry_after_ms: '12000' }] }
+            : { rows: [] });
+        }),
+        release: jest.fn()
+      };
+      (db.connect as jest.Mock).mockResolvedValue(client);
+      const statements = () => client.sql.mock.calls.map(([strings]) => strings.join('?').replace(/\s+/g, ' ').trim());
+      return { client, statements };
+    }
+
+    it('should check and record a hit under a lock in one transaction', async () => {
+      const { client, statements } = connectClient('1');
+
+      expect(await recordRateLimitHit('runs', 'abc', 3, 60000)).toEqual({ count: 1, retryAfterMs: 0 });
+
+      const ran = statements();
+      expect(ran[0]).toBe('BEGIN');
+      expect(ran[1]).toContain('pg_advisory_xact_lock');
+      expect(ran.findIndex(text => text.startsWith('INSERT INTO rate_limit_hits')))
+        .toBeGreaterThan(ran.findIndex(text => text.startsWith('SELECT COUNT')));
+      expect(ran[ran.length - 1]).toBe('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should not record a hit over the limit', async () => {
+      const { statements } = connectClient('3');
+
+      expect(await recordRateLimitHit('runs', 'abc', 3, 60000)).toEqual({ count: 3, retryAfterMs: 12000 });
+      expect(statements().some(text => text.startsWith('INSERT'))).toBe(false);
+      expect(statements()[statements().length - 1]).toBe('COMMIT');
     });
   });
-});
\ No newline at end of file
+});
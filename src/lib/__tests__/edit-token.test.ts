@@ -0,0 +1,42 @@
+// Edit token tests
+
+import { NextApiRequest } from 'next';
+import { generateEditToken, getBearerToken, hashEditToken, verifyEditToken } from '../edit-token';
+
+describe('Edit Tokens', () => {
+  it('should generate distinct tokens with a matching hash', () => {
+    const first = generateEditToken();
+    const second = generateEditToken();
+
+    expect(first.token).not.toBe(second.token);
+    expect(first.hash).toBe(hashEditToken(first.token));
+    expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.hash).not.toContain(first.token);
+  });
+
+  it('should accept the token a hash was made from', () => {
+    const { token, hash } = generateEditToken();
+
+    expect(verifyEditToken(token, hash)).toEqual({ valid: true });
+  });
+
+  it('should reject missing and wrong tokens', () => {
+    const { hash } = generateEditToken();
+
+    expect(verifyEditToken(null, hash)).toEqual({ valid: false, error: 'Edit token required', status: 401 });
+    expect(verifyEditToken(generateEditToken().token, hash)).toEqual({ valid: false, error: 'Invalid edit token', status: 403 });
+  });
+
+  it('should refuse runs stored without an edit token', () => {
+    expect(verifyEditToken('anything', null)).toEqual({ valid: false, error: 'Run cannot be edited', status: 403 });
+  });
+
+  it('should read bearer tokens from the Authorization header', () => {
+    const request = (authorization?: string) => ({ headers: { authorization } }) as unknown as NextApiRequest;
+
+    expect(getBearerToken(request('Bearer abc_123-XYZ'))).toBe('abc_123-XYZ');
+    expect(getBearerToken(request('bearer abc'))).toBe('abc');
+    expect(getBearerToken(request('Basic abc'))).toBeNull();
+    expect(getBearerToken(request())).toBeNull();
+  });
+});
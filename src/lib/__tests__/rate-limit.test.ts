@@ -0,0 +1,132 @@
+// Rate limiter tests
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { createMocks } from 'node-mocks-http';
+import {
+  createMemoryStore,
+  enforceRateLimit,
+  getRateLimitRule,
+  parseRateLimit,
+  RateLimitStore
+} from '../rate-limit';
+
+jest.mock('@/lib/database', () => ({
+  recordRateLimitHit: jest.fn()
+}));
+
+describe('Rate Limiting', () => {
+  describe('createMemoryStore', () => {
+    const rule = { limit: 3, windowMs: 60000 };
+
+    it('should allow up to the limit within the window', async () => {
+      let time = 0;
+      const store = createMemoryStore(() => time);
+
+      for (let i = 0; i < 3; i++) {
+        time += 1000;
+        const result = await store.hit('runs', 'abc', rule);
+        expect(result).toEqual({ allowed: true, remaining: 2 - i, retryAfterMs: 0 });
+      }
+
+      time += 1000;
+      const blocked = await store.hit('runs', 'abc', rule);
+      expect(blocked.allowed).toBe(false);
+      // The first hit (t=1000) leaves the window at t=61000
+      expect(blocked.retryAfterMs).toBe(57000);
+    });
+
+    it('should slide the window instead of resetting it', async () => {
+      let time = 0;
+      const store = createMemoryStore(() => time);
+
+      await store.hit('runs', 'abc', rule);        // t=0
+      time = 30000;
+      await store.hit('runs', 'abc', rule);        // t=30000
+      await store.hit('runs', 'abc', rule);        // t=30000
+
+      time = 59999;
+      expect((await store.hit('runs', 'abc', rule)).allowed).toBe(false);
+
+      time = 60001;
+      expect((await store.hit('runs', 'abc', rule)).allowed).toBe(true);
+      expect((await store.hit('runs', 'abc', rule)).allowed).toBe(false);
+    });
+
+    it('should count buckets and IP hashes separately', async () => {
+      const store = createMemoryStore(() => 0);
+      const single = { limit: 1, windowMs: 60000 };
+
+      expect((await store.hit('runs', 'abc', single)).allowed).toBe(true);
+      expect((await store.hit('runs', 'def', single)).allowed).toBe(true);
+      expect((await store.hit('username', 'abc', single)).allowed).toBe(true);
+      expect((await store.hit('runs', 'abc', single)).allowed).toBe(false);
+    });
+  });
+
+  describe('configuration', () => {
+    const original = process.env.RATE_LIMIT_RUNS;
+
+    afterEach(() => {
+      if (original === undefined) delete process.env.RATE_LIMIT_RUNS;
+      else process.env.RATE_LIMIT_RUNS = original;
+    });
+
+    it('should parse "<limit>/<window seconds>"', () => {
+      expect(parseRateLimit('10/60')).toEqual({ limit: 10, windowMs: 60000 });
+      expect(parseRateLimit(' 5 / 0.5 ')).toEqual({ limit: 5, windowMs: 500 });
+      expect(parseRateLimit('0/60')).toBeNull();
+      expect(parseRateLimit('ten per minute')).toBeNull();
+      expect(parseRateLimit(undefined)).toBeNull();
+    });
+
+    it('should read limits from the environment and fall back on bad values', () => {
+      delete process.env.RATE_LIMIT_RUNS;
+      expect(getRateLimitRule('runs')).toEqual({ limit: 10, windowMs: 60000 });
+
+      process.env.RATE_LIMIT_RUNS = '2/30';
+      expect(getRateLimitRule('runs')).toEqual({ limit: 2, windowMs: 30000 });
+
+      process.env.RATE_LIMIT_RUNS = 'lots';
+      expect(getRateLimitRule('runs')).toEqual({ limit: 10, windowMs: 60000 });
+    });
+  });
+
+  describe('enforceRateLimit', () => {
+    function createRequest(ip: string) {
+      return createMocks<NextApiRequest, NextApiResponse>({
+        method: 'POST',
+        headers: { 'x-forwarded-for': ip }
+      });
+    }
+
+    it('should respond 429 with Retry-After once the limit is reached', async () => {
+      const store = createMemoryStore(() => 0);
+
+      for (let i = 0; i < 10; i++) {
+        const { req, res } = createRequest('203.0.113.7');
+        expect(await enforceRateLimit(req, res, 'runs', store)).toBe(true);
+      }
+
+      const { req, res } = createRequest('203.0.113.7');
+      expect(await enforceRateLimit(req, res, 'runs', store)).toBe(false);
+      expect(res._getStatusCode()).toBe(429);
+      expect(res.getHeader('Retry-After')).toBe('60');
+      expect(res.getHeader('X-RateLimit-Remaining')).toBe('0');
+      expect(JSON.parse(res._getData())).toEqual({ error: 'Too many requests', retry_after: 60 });
+
+      // Other clients are unaffected
+      const other = createRequest('198.51.100.2');
+      expect(await enforceRateLimit(other.req, other.res, 'runs', store)).toBe(true);
+    });
+
+    it('should let requests through when the store fails', async () => {
+      const failing: RateLimitStore = {
+        hit: jest.fn().mockRejectedValue(new Error('connection refused'))
+      };
+      const { req, res } = createRequest('203.0.113.7');
+
+      expect(await enforceRateLimit(req, res, 'runs', failing)).toBe(true);
+      expect(res._getStatusCode()).toBe(200);
+    });
+  });
+});
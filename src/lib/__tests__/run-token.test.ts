@@ -0,0 +1,86 @@
+// Run token tests
+
+import {
+  issueRunToken,
+  verifyRunToken,
+  validateRunElapsed,
+  RUN_TOKEN_MAX_AGE_MS
+} from '../run-token';
+
+describe('Run Tokens', () => {
+  const now = Date.UTC(2025, 2, 10, 12, 0, 0);
+  const originalSecret = process.env.RUN_TOKEN_SECRET;
+  process.env.RUN_TOKEN_SECRET = 'test-run-token-secret';
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.RUN_TOKEN_SECRET;
+    else process.env.RUN_TOKEN_SECRET = originalSecret;
+  });
+
+  describe('verifyRunToken', () => {
+    it('should accept a token it issued and return the course', () => {
+      const { token, payload } = issueRunToken({ seed: 123456789, mode: 'moving' }, now);
+      const result = verifyRunToken(token, now + 30000);
+
+      expect(result.valid).toBe(true);
+      expect(result.payload).toEqual(payload);
+      expect(result.payload).toMatchObject({ seed: 123456789, mode: 'moving', challengeDate: null, issuedAt: now });
+    });
+
+    it('should give every token its own id', () => {
+      const first = issueRunToken({ seed: 1, mode: 'classic' }, now);
+      const second = issueRunToken({ seed: 1, mode: 'classic' }, now);
+
+      expect(first.payload.id).not.toBe(second.payload.id);
+    });
+
+    it('should require a token', () => {
+      expect(verifyRunToken(undefined, now)).toEqual({ valid: false, error: 'Run token required' });
+      expect(verifyRunToken('', now)).toEqual({ valid: false, error: 'Run token required' });
+    });
+
+    it('should reject tampered and malformed tokens', () => {
+      const { token } = issueRunToken({ seed: 1, mode: 'classic' }, now);
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ id: 'x', seed: 2, mode: 'classic', challengeDate: null, issuedAt: now }))
+        .toString('base64url');
+
+      expect(verifyRunToken(`${forged}.${signature}`, now)).toEqual({ valid: false, error: 'Invalid run token' });
+      expect(verifyRunToken('not-a-token', now)).toEqual({ valid: false, error: 'Invalid run token' });
+      expect(verifyRunToken(42, now)).toEqual({ valid: false, error: 'Invalid run token' });
+    });
+
+    it('should neither issue nor accept tokens without the secret', () => {
+      const { token } = issueRunToken({ seed: 1, mode: 'classic' }, now);
+      delete process.env.RUN_TOKEN_SECRET;
+      try {
+        expect(() => issueRunToken({ seed: 1, mode: 'classic' }, now)).toThrow('RUN_TOKEN_SECRET is not set');
+        expect(verifyRunToken(token, now)).toEqual({ valid: false, error: 'Run submission is not configured', status: 503 });
+      } finally {
+        process.env.RUN_TOKEN_SECRET = 'test-run-token-secret';
+      }
+    });
+
+    it('should reject tokens outside their time window', () => {
+      const { token } = issueRunToken({ seed: 1, mode: 'classic' }, now);
+
+      expect(verifyRunToken(token, now + RUN_TOKEN_MAX_AGE_MS + 1)).toEqual({ valid: false, error: 'Run token expired' });
+      expect(verifyRunToken(token, now - 60000)).toEqual({ valid: false, error: 'Run token not valid yet' });
+    });
+  });
+
+  describe('validateRunElapsed', () => {
+    const { payload } = issueRunToken({ seed: 1, mode: 'classic' }, now);
+
+    it('should accept runs that fit in the time since the token was issued', () => {
+      expect(validateRunElapsed(payload, 20000, now + 21000).valid).toBe(true);
+    });
+
+    it('should reject runs longer than the server saw pass', () => {
+      expect(validateRunElapsed(payload, 20000, now + 5000)).toEqual({
+        valid: false,
+        error: 'Run took longer than the time since its token was issued'
+      });
+    });
+  });
+});
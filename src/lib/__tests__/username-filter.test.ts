@@ -0,0 +1,83 @@
+// Username filter tests
+
+import { containsBlockedWord, isReservedName } from '../username-filter';
+
+describe('Username Filter', () => {
+  describe('containsBlockedWord', () => {
+    it('should catch blocked words anywhere in a name', () => {
+      expect(containsBlockedWord('fuck')).toBe(true);
+      expect(containsBlockedWord('BigShitEnergy')).toBe(true);
+    });
+
+    it('should undo leetspeak, separators and repeated letters', () => {
+      expect(containsBlockedWord('sh1t')).toBe(true);
+      expect(containsBlockedWord('5HIT')).toBe(true);
+      expect(containsBlockedWord('f.u.c.k')).toBe(true);
+      expect(containsBlockedWord('f u c k')).toBe(true);
+      expect(containsBlockedWord('FUUUUCK')).toBe(true);
+      expect(containsBlockedWord('aaassss')).toBe(true);
+      expect(containsBlockedWord('b1tch')).toBe(true);
+      expect(containsBlockedWord('wh0re')).toBe(true);
+    });
+
+    it('should only catch short words as whole words', () => {
+      expect(containsBlockedWord('ass')).toBe(true);
+      expect(containsBlockedWord('big ass')).toBe(true);
+      expect(containsBlockedWord('a.s.s')).toBe(true);
+      expect(containsBlockedWord('Cassandra')).toBe(false);
+      expect(containsBlockedWord('Dickens')).toBe(false);
+      expect(containsBlockedWord('Grapes')).toBe(false);
+      expect(containsBlockedWord('Classic Player')).toBe(false);
+      expect(containsBlockedWord('Fast As Lightning')).toBe(false);
+    });
+
+    it('should not match blocked words across word boundaries', () => {
+      expect(containsBlockedWord('Push It')).toBe(false);
+      expect(containsBlockedWord('Wash It Off')).toBe(false);
+      expect(containsBlockedWord('Push-It')).toBe(false);
+    });
+
+    it('should let ordinary names through', () => {
+      for (const name of ['john_doe', 'Player123', 'Test User!', 'xX_Sniper_Xx', 'Wow!', 'Al']) {
+        expect(containsBlockedWord(name)).toBe(false);
+      }
+    });
+
+    it('should add words from the environment', () => {
+      const original = process.env.USERNAME_BLOCKED_WORDS;
+      process.env.USERNAME_BLOCKED_WORDS = 'badword, worse';
+      try {
+        expect(containsBlockedWord('b4dw0rd99')).toBe(true);
+        expect(containsBlockedWord('WORSE')).toBe(true);
+      } finally {
+        if (original === undefined) delete process.env.USERNAME_BLOCKED_WORDS;
+        else process.env.USERNAME_BLOCKED_WORDS = original;
+      }
+      expect(containsBlockedWord('badword')).toBe(false);
+    });
+  });
+
+  describe('isReservedName', () => {
+    it('should reserve the AI benchmark model names', () => {
+      expect(isReservedName('Claude')).toBe(true);
+      expect(isReservedName('ChatGPT-4')).toBe(true);
+      expect(isReservedName('ChatGPT-3.5')).toBe(true);
+      expect(isReservedName('Average Human')).toBe(true);
+    });
+
+    it('should see through spacing, case, leetspeak and versions', () => {
+      expect(isReservedName('c1aude')).toBe(true);
+      expect(isReservedName('CLAUDE!')).toBe(true);
+      expect(isReservedName('chat gpt')).toBe(true);
+      expect(isReservedName('GPT 4o')).toBe(true);
+      expect(isReservedName('Gemini_2')).toBe(true);
+    });
+
+    it('should allow names that only contain a model name', () => {
+      expect(isReservedName('Claudette')).toBe(false);
+      expect(isReservedName('Kai')).toBe(false);
+      expect(isReservedName('Al')).toBe(false);
+      expect(isReservedName('claude fan club')).toBe(false);
+    });
+  });
+});
@@ -2,13 +2,28 @@
 
 import {
   validateUsername,
+  validateSeed,
+  validateContainerSize,
+  validateDevicePixelRatio,
+  validateDailyChallenge,
+  validateMode,
+  validateInputSource,
   validateGameStats,
   validateGameConsistency,
+  validateClientStats,
+  validateCourse,
   validateClickLog,
+  validateTrackingSample,
+  validateTrackingCoverage,
   validateBadges,
+  validateAIModel,
+  validateAIModelEntry,
+  toAIModelSlug,
   hashIP,
   sanitizeUserAgent
 } from '../validation';
+import { BADGES } from '@/utils/scoring';
+import { RunState } from '../../../public/js/models.js';
 
 describe('Validation Utilities', () => {
   describe('validateUsername', () => {
@@ -36,6 +51,118 @@ describe('Validation Utilities', () => {
         error: 'Username must be a string' 
       });
     });
+
+    it('should reject offensive and reserved names with an error code', () => {
+      expect(validateUsername('sh1t-head')).toEqual({ 
+        valid: false, 
+        error: 'Username is not allowed',
+        code: 'username_inappropriate'
+      });
+      
+      expect(validateUsername('ChatGPT-4')).toEqual({ 
+        valid: false, 
+        error: 'Username is reserved for AI benchmarks',
+        code: 'username_reserved'
+      });
+    });
+  });
+
+  describe('validateSeed', () => {
+    it('should accept unsigned 32-bit integers', () => {
+      expect(validateSeed(0)).toEqual({ valid: true });
+      expect(validateSeed(4294967295)).toEqual({ valid: true });
+    });
+
+    it('should reject non-integer or out-of-range seeds', () => {
+      expect(validateSeed(1.5)).toEqual({ valid: false, error: 'Seed must be an integer' });
+      expect(validateSeed('42')).toEqual({ valid: false, error: 'Seed must be an integer' });
+      expect(validateSeed(-1)).toEqual({ valid: false, error: 'Seed out of range' });
+      expect(validateSeed(4294967296)).toEqual({ valid: false, error: 'Seed out of range' });
+    });
+  });
+
+  describe('validateContainerSize', () => {
+    it('should accept realistic game area sizes', () => {
+      expect(validateContainerSize(600)).toEqual({ valid: true });
+    });
+
+    it('should reject missing or unrealistic sizes', () => {
+      expect(validateContainerSize(undefined)).toEqual({ valid: false, error: 'Container size must be an integer' });
+      expect(validateContainerSize(10)).toEqual({ valid: false, error: 'Invalid container size' });
+    });
+  });
+
+  describe('validateDevicePixelRatio', () => {
+    it('should accept fractional ratios and older clients that send none', () => {
+      expect(validateDevicePixelRatio(1.25)).toEqual({ valid: true });
+      expect(validateDevicePixelRatio(undefined)).toEqual({ valid: true });
+    });
+
+    it('should reject non-numbers and unrealistic ratios', () => {
+      expect(validateDevicePixelRatio('2')).toEqual({ valid: false, error: 'Invalid device pixel ratio' });
+      expect(validateDevicePixelRatio(0)).toEqual({ valid: false, error: 'Invalid device pixel ratio' });
+      expect(validateDevicePixelRatio(Infinity)).toEqual({ valid: false, error: 'Invalid device pixel ratio' });
+    });
+  });
+
+  describe('validateDailyChallenge', () => {
+    const { dailySeed } = require('../../../public/js/random.js');
+    const now = new Date('2025-03-10T12:00:00Z');
+
+    it('should accept free play runs without a challenge date', () => {
+      expect(validateDailyChallenge(undefined, 42, now)).toEqual({ valid: true });
+      expect(validateDailyChallenge(null, 42, now)).toEqual({ valid: true });
+    });
+
+    it("should accept today's challenge with the matching seed", () => {
+      expect(validateDailyChallenge('2025-03-10', dailySeed('2025-03-10'), now)).toEqual({ valid: true });
+    });
+
+    it('should reject a seed that does not match the challenge', () => {
+      expect(validateDailyChallenge('2025-03-10', 42, now)).toEqual({
+        valid: false,
+        error: 'Seed does not match the daily challenge'
+      });
+    });
+
+    it("should only accept yesterday's challenge shortly after the rollover", () => {
+      const justAfterMidnight = new Date('2025-03-10T00:30:00Z');
+      expect(validateDailyChallenge('2025-03-09', dailySeed('2025-03-09'), justAfterMidnight)).toEqual({ valid: true });
+      expect(validateDailyChallenge('2025-03-09', dailySeed('2025-03-09'), now)).toEqual({
+        valid: false,
+        error: 'Daily challenge is no longer open'
+      });
+    });
+
+    it('should reject malformed dates', () => {
+      expect(validateDailyChallenge('10/03/2025', 42, now)).toEqual({ valid: false, error: 'Invalid challenge date' });
+    });
+  });
+
+  describe('validateMode', () => {
+    it('should accept registered modes and default to classic when omitted', () => {
+      expect(validateMode('classic')).toEqual({ valid: true });
+      expect(validateMode('time_attack')).toEqual({ valid: true });
+      expect(validateMode(undefined)).toEqual({ valid: true });
+    });
+
+    it('should reject unknown modes', () => {
+      expect(validateMode('god_mode')).toEqual({ valid: false, error: 'Unknown game mode: god_mode' });
+    });
+  });
+
+  describe('validateInputSource', () => {
+    it('should accept known input sources and default when omitted', () => {
+      expect(validateInputSource(undefined).valid).toBe(true);
+      expect(validateInputSource('pointer').valid).toBe(true);
+      expect(validateInputSource('agent').valid).toBe(true);
+    });
+
+    it('should reject unknown input sources', () => {
+      const result = validateInputSource('robot');
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Unknown input source: robot');
+    });
   });
 
   describe('validateGameStats', () => {
@@ -122,6 +249,148 @@ describe('Validation Utilities', () => {
         error: 'Invalid timestamp in click log'
       });
     });
+
+    it('should accept pointer paths and reject malformed ones', () => {
+      expect(validateClickLog({ ...validLog, p: [200, 50, 60, 600, 90, 95] })).toEqual({ valid: true });
+      expect(validateClickLog({ ...validLog, p: [200, 50] })).toEqual({
+        valid: false,
+        error: 'Invalid pointer path'
+      });
+      expect(validateClickLog({ ...validLog, p: [600, 50, 60, 200, 90, 95] })).toEqual({
+        valid: false,
+        error: 'Pointer path timestamps out of order'
+      });
+      expect(validateClickLog({ ...validLog, p: [200, 50, 60, 1500, 90, 95] })).toEqual({
+        valid: false,
+        error: 'Pointer path timestamps out of order'
+      });
+    });
+
+    it('should accept spawn and first-movement times in order', () => {
+      expect(validateClickLog({ ...validLog, ts: 400, tm: 650 })).toEqual({ valid: true });
+      expect(validateClickLog({ ...validLog, ts: 1200 })).toEqual({
+        valid: false,
+        error: 'Invalid target spawn time'
+      });
+      expect(validateClickLog({ ...validLog, ts: 400, tm: 300 })).toEqual({
+        valid: false,
+        error: 'Invalid first movement time'
+      });
+    });
+
+    it('should accept input latency and reject bad values', () => {
+      expect(validateClickLog({ ...validLog, t: 1000.4, l: 3.2 })).toEqual({ valid: true });
+      expect(validateClickLog({ ...validLog, l: -1 })).toEqual({
+        valid: false,
+        error: 'Invalid input latency'
+      });
+      expect(validateClickLog({ ...validLog, l: 5000 })).toEqual({
+        valid: false,
+        error: 'Invalid input latency'
+      });
+    });
+
+    it('should accept target ids and reject bad ones', () => {
+      expect(validateClickLog({ ...validLog, tid: 4 })).toEqual({ valid: true });
+      expect(validateClickLog({ ...validLog, tid: 0 })).toEqual({
+        valid: false,
+        error: 'Invalid target id'
+      });
+    });
+
+    it('should accept moving-target velocities and reject bad ones', () => {
+      expect(validateClickLog({ ...validLog, vx: 120, vy: -45.5 })).toEqual({ valid: true });
+      expect(validateClickLog({ ...validLog, vx: 'fast', vy: 0 })).toEqual({
+        valid: false,
+        error: 'Invalid target velocity: vx'
+      });
+      expect(validateClickLog({ ...validLog, vx: 0, vy: 99999 })).toEqual({
+        valid: false,
+        error: 'Invalid target velocity: vy'
+      });
+    });
+  });
+
+  describe('validateTrackingSample', () => {
+    const validSample = { type: 'track', t: 500, px: 310, py: 295, tx: 300, ty: 300, r: 30, d: 11.18, on: true };
+
+    it('should accept valid samples, including through validateClickLog', () => {
+      expect(validateTrackingSample(validSample)).toEqual({ valid: true });
+      expect(validateClickLog(validSample)).toEqual({ valid: true });
+    });
+
+    it('should reject missing fields', () => {
+      const { px, ...missingPointer } = validSample;
+      expect(validateClickLog(missingPointer)).toEqual({
+        valid: false,
+        error: 'Tracking sample missing or invalid field: px'
+      });
+    });
+
+    it('should reject a distance that does not match the positions', () => {
+      expect(validateTrackingSample({ ...validSample, px: 400, py: 300 })).toEqual({
+        valid: false,
+        error: 'Tracking sample distance does not match its coordinates'
+      });
+    });
+
+    it('should reject an on-target flag that contradicts the positions', () => {
+      expect(validateTrackingSample({ ...validSample, on: false })).toEqual({
+        valid: false,
+        error: 'Tracking sample on-target flag does not match distance'
+      });
+      expect(validateTrackingSample({ ...validSample, px: 400, py: 300, d: 100 })).toEqual({
+        valid: false,
+        error: 'Tracking sample on-target flag does not match distance'
+      });
+    });
+  });
+
+  describe('validateTrackingCoverage', () => {
+    const sample = (t: number) => ({ type: 'track' as const, t, px: 300, py: 300, tx: 300, ty: 300, r: 30, d: 0, on: true });
+    // One sample every 50ms from 50ms to the end of a 30s run
+    const samples = Array.from({ length: 600 }, (_, i) => sample((i + 1) * 50));
+
+    it('should accept samples every interval across the run', () => {
+      expect(validateTrackingCoverage(samples, 30000, 'tracking')).toEqual({ valid: true });
+    });
+
+    it('should ignore other modes', () => {
+      expect(validateTrackingCoverage([], 20000, 'classic')).toEqual({ valid: true });
+    });
+
+    it('should reject a run without samples, or one forged from a single sample', () => {
+      expect(validateTrackingCoverage([], 30000, 'tracking')).toEqual({
+        valid: false,
+        error: 'Tracking run has no tracking samples'
+      });
+      expect(validateTrackingCoverage([sample(29990)], 30000, 'tracking')).toEqual({
+        valid: false,
+        error: 'Gap in tracking samples'
+      });
+    });
+
+    it('should reject gaps and samples out of order or too close together', () => {
+      expect(validateTrackingCoverage([...samples.slice(0, 100), ...samples.slice(110)], 30000, 'tracking')).toEqual({
+        valid: false,
+        error: 'Gap in tracking samples'
+      });
+      expect(validateTrackingCoverage([samples[1], samples[0], ...samples.slice(2)], 30000, 'tracking')).toEqual({
+        valid: false,
+        error: 'Tracking samples out of order'
+      });
+      expect(validateTrackingCoverage([samples[0], sample(60), ...samples.slice(1)], 30000, 'tracking')).toEqual({
+        valid: false,
+        error: 'Tracking samples too close together'
+      });
+    });
+
+    it('should reject samples that stop before the run ends', () => {
+      expect(validateTrackingCoverage(samples.slice(0, 500), 30000, 'tracking')).toEqual({
+        valid: false,
+        error: 'Tracking samples do not cover the run'
+      });
+    });
   });
 
   describe('validateGameConsistency', () => {
@@ -163,6 +432,185 @@ describe('Validation Utilities', () => {
         error: 'Too many misses in click logs'
       });
     });
+
+    it('should allow misses up to the mode life count', () => {
+      const logsWithTwoMisses = [
+        ...validLogs,
+        { t: 3000, cx: 200, cy: 200, tx: 100, ty: 100, r: 16, d: 141.4, hit: false },
+        { t: 4000, cx: 300, cy: 300, tx: 100, ty: 100, r: 16, d: 282.8, hit: false }
+      ];
+
+      expect(validateGameConsistency(validStats, logsWithTwoMisses, 'lives')).toEqual({ valid: true });
+      expect(validateGameConsistency(validStats, logsWithTwoMisses, 'time_attack')).toEqual({ valid: true });
+    });
+
+    it('should reject more clicks than the mode has trials', () => {
+      const tooManyClicks = Array.from({ length: 37 }, (_, i) => (
+        { t: (i + 1) * 50, cx: 100, cy: 100, tx: 100, ty: 100, r: 20, d: 0, hit: false }
+      ));
+      const stats = { ...validStats, totalHits: 0, durationMs: 1850 };
+
+      expect(validateGameConsistency(stats, tooManyClicks, 'fitts')).toEqual({
+        valid: false,
+        error: 'Too many clicks in click logs'
+      });
+    });
+
+    it('should end decoy runs on the decoy click', () => {
+      const decoyClick = { t: 2500, cx: 300, cy: 300, tx: 150, ty: 150, r: 16, d: 212.1, hit: false, tid: 7 };
+      const afterDecoy = { t: 3000, cx: 150, cy: 150, tx: 150, ty: 150, r: 16, d: 0, hit: true, a: 1, tid: 5 };
+      const statsWithDecoy = { ...validStats, durationMs: 2500 };
+
+      expect(validateGameConsistency(statsWithDecoy, [...validLogs, decoyClick], 'decoys')).toEqual({ valid: true });
+      expect(validateGameConsistency(statsWithDecoy, [...validLogs, decoyClick], 'classic')).toEqual({
+        valid: false,
+        error: 'Decoy clicks are only possible in decoy modes'
+      });
+      expect(validateGameConsistency(
+        { ...validStats, totalHits: 3, avgAccuracy: 0.9, durationMs: 3000 },
+        [...validLogs, decoyClick, afterDecoy],
+        'decoys'
+      )).toEqual({
+        valid: false,
+        error: 'Run continued after clicking a decoy'
+      });
+    });
+
+    it('should only accept tracking samples in the tracking mode', () => {
+      const samples = [
+        { type: 'track' as const, t: 1000, px: 300, py: 300, tx: 300, ty: 300, r: 30, d: 0, on: true },
+        { type: 'track' as const, t: 2000, px: 300, py: 300, tx: 350, ty: 300, r: 30, d: 50, on: false }
+      ];
+      const trackingStats = { ...validStats, totalHits: 0, avgAccuracy: 0, bestAccuracy: 0, durationMs: 2000 };
+
+      expect(validateGameConsistency(trackingStats, samples, 'tracking')).toEqual({ valid: true });
+      expect(validateGameConsistency(trackingStats, samples, 'classic')).toEqual({
+        valid: false,
+        error: 'Tracking samples are only allowed in the tracking mode'
+      });
+    });
+
+    it('should reject runs longer than the mode time limit', () => {
+      const overtimeStats = { ...validStats, durationMs: 65000 };
+
+      expect(validateGameConsistency(overtimeStats, validLogs, 'time_attack')).toEqual({
+        valid: false,
+        error: 'Run exceeded the mode time limit'
+      });
+    });
+  });
+
+  describe('validateClientStats', () => {
+    const logs = [
+      { t: 1000, cx: 100, cy: 100, tx: 103, ty: 104, r: 20, d: 5, hit: true, a: 0.75 },
+      { t: 2000, cx: 150, cy: 150, tx: 150, ty: 150, r: 18, d: 0, hit: true, a: 1 }
+    ];
+    const computed = {
+      totalHits: 2,
+      misses: 0,
+      avgAccuracy: 0.875,
+      bestAccuracy: 1,
+      finalRadius: 18,
+      durationMs: 2000,
+      startR: 20,
+      clicks: [
+        { t: 1000, r: 20, tid: null, d: 5, hit: true, a: 0.75, w: 1, s: 0.75 },
+        { t: 2000, r: 18, tid: null, d: 0, hit: true, a: 1, w: 1.17, s: 1.17 }
+      ]
+    };
+    const stats = { totalHits: 2, avgAccuracy: 0.875, bestAccuracy: 1, finalRadius: 18, durationMs: 2050 };
+
+    it('should accept stats that match the recomputation', () => {
+      expect(validateClientStats(stats, logs, computed)).toEqual({ valid: true });
+      expect(validateClientStats({ ...stats, avgAccuracy: 0.88 }, logs, computed)).toEqual({ valid: true });
+    });
+
+    it('should reject clicks the coordinates disagree with', () => {
+      const claimedHit = [logs[0], { ...logs[1], cx: 300 }];
+      const missedComputed = {
+        ...computed,
+        clicks: [computed.clicks[0], { ...computed.clicks[1], d: 150, hit: false, a: null }]
+      };
+
+      expect(validateClientStats(stats, claimedHit, missedComputed)).toEqual({
+        valid: false,
+        error: 'Click log hit does not match its coordinates'
+      });
+      expect(validateClientStats(stats, [{ ...logs[0], d: 1 }, logs[1]], computed)).toEqual({
+        valid: false,
+        error: 'Click log distance does not match its coordinates'
+      });
+    });
+
+    it('should reject stats that drift from the recomputation', () => {
+      expect(validateClientStats({ ...stats, avgAccuracy: 0.92 }, logs, computed)).toEqual({
+        valid: false,
+        error: 'Average accuracy mismatch'
+      });
+      expect(validateClientStats({ ...stats, finalRadius: 12 }, logs, computed)).toEqual({
+        valid: false,
+        error: 'Final radius mismatch'
+      });
+      expect(validateClientStats({ ...stats, durationMs: 4000 }, logs, computed)).toEqual({
+        valid: false,
+        error: 'Duration mismatch between stats and logs'
+      });
+    });
+  });
+
+  describe('validateCourse', () => {
+    const run = { mode: 'classic', containerSize: 600, seed: 98765 };
+
+    // Play the seeded course like the game does, hitting each target dead center
+    function playCourse(hits: number) {
+      const runState = new RunState();
+      runState.startGame(run.containerSize, { seed: run.seed, mode: run.mode });
+      const mode = runState.getMode();
+      runState.setTarget(mode.nextTarget(runState));
+
+      const logs = [];
+      for (let i = 1; i <= hits; i++) {
+        const { x, y } = runState.target;
+        const log = { t: i * 800, cx: x, cy: y, tx: x, ty: y, r: runState.currentR, d: 0, hit: true, a: 1 };
+        logs.push(log);
+        runState.recordHit(log);
+        mode.onHit(runState);
+        runState.setTarget(mode.nextTarget(runState));
+      }
+      return logs;
+    }
+
+    it('should accept targets where the seeded course put them', () => {
+      expect(validateCourse(playCourse(5), run)).toEqual({ valid: true });
+    });
+
+    it('should reject targets from another course', () => {
+      expect(validateCourse(playCourse(5), { ...run, seed: 98766 })).toEqual({
+        valid: false,
+        error: 'Target positions do not match the course seed'
+      });
+    });
+
+    it('should reject targets of the wrong size', () => {
+      const logs = playCourse(3);
+      logs[2] = { ...logs[2], r: logs[2].r + 5 };
+
+      expect(validateCourse(logs, run)).toEqual({
+        valid: false,
+        error: 'Target radius does not match the course'
+      });
+    });
+
+    it('should reject clicks after the run ended', () => {
+      // Classic ends on the first miss
+      const [first, second, third] = playCourse(3);
+      const miss = { ...third, cx: third.tx + 2 * third.r, d: 2 * third.r, hit: false, a: undefined };
+
+      expect(validateCourse([first, second, miss, { ...third, t: 3000 }], run)).toEqual({
+        valid: false,
+        error: 'Run continued after it ended'
+      });
+    });
   });
 
   describe('validateBadges', () => {
@@ -171,6 +619,10 @@ describe('Validation Utilities', () => {
       expect(validateBadges([])).toEqual({ valid: true });
     });
 
+    it('should accept every defined badge', () => {
+      expect(validateBadges(BADGES.map(badge => badge.id))).toEqual({ valid: true });
+    });
+
     it('should reject invalid badges', () => {
       expect(validateBadges(['invalid_badge'])).toEqual({
         valid: false,
@@ -190,6 +642,69 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateAIModel', () => {
+    const model = { provider: 'Anthropic', name: 'Claude', version: '2025-01-01', harness: 'computer-use' };
+
+    it('should accept complete model metadata', () => {
+      expect(validateAIModel(model).valid).toBe(true);
+      expect(validateAIModel({ ...model, version: undefined, screenshot: { width: 1280, height: 800 } }).valid).toBe(true);
+    });
+
+    it('should require provider, name and harness', () => {
+      expect(validateAIModel(undefined).error).toBe('Missing model metadata');
+      expect(validateAIModel({ ...model, harness: '' }).error).toBe('Missing model harness');
+      expect(validateAIModel({ ...model, provider: undefined }).error).toBe('Missing model provider');
+    });
+
+    it('should reject malformed fields', () => {
+      expect(validateAIModel({ ...model, name: '<b>Claude</b>' }).error).toBe('Invalid model name');
+      expect(validateAIModel({ ...model, version: 'v'.repeat(51) }).error).toBe('Invalid model version');
+      expect(validateAIModel({ ...model, screenshot: { width: 1280.5, height: 800 } }).error).toBe('Invalid screenshot resolution');
+      expect(validateAIModel({ ...model, screenshot: { width: 20000, height: 800 } }).error).toBe('Invalid screenshot resolution');
+    });
+
+    it('should check registry slugs and names that have none', () => {
+      expect(validateAIModel({ ...model, slug: 'claude-3-5-sonnet' }).valid).toBe(true);
+      expect(validateAIModel({ ...model, slug: 'Claude 3.5' }).error).toBe('Invalid model slug');
+      expect(validateAIModel({ ...model, name: '...', version: undefined }).error).toBe('Model name must contain letters or digits');
+    });
+  });
+
+  describe('toAIModelSlug', () => {
+    it('should give every spelling of a model the same slug', () => {
+      expect(toAIModelSlug('ChatGPT-4')).toBe('chatgpt-4');
+      expect(toAIModelSlug('chatgpt 4')).toBe('chatgpt-4');
+      expect(toAIModelSlug(' ChatGPT_4 ', null)).toBe('chatgpt-4');
+      expect(toAIModelSlug('Claude 3.5 Sonnet', '2024-10-22')).toBe('claude-3-5-sonnet-2024-10-22');
+    });
+
+    it('should stay within 60 characters without a trailing dash', () => {
+      const slug = toAIModelSlug('a'.repeat(50), 'b'.repeat(9) + '-c');
+      expect(slug).toBe('a'.repeat(50) + '-' + 'b'.repeat(9));
+    });
+  });
+
+  describe('validateAIModelEntry', () => {
+    const entry = { slug: 'gpt-4o', display_name: 'GPT-4o', provider: 'OpenAI', release_date: '2024-05-13' };
+
+    it('should accept a complete entry', () => {
+      expect(validateAIModelEntry(entry).valid).toBe(true);
+      expect(validateAIModelEntry({ ...entry, provider: null, notes: 'Vision model' }).valid).toBe(true);
+    });
+
+    it('should reject malformed slugs, names and dates', () => {
+      expect(validateAIModelEntry({ ...entry, slug: 'gpt--4o' }).valid).toBe(false);
+      expect(validateAIModelEntry({ ...entry, display_name: '  ' }).valid).toBe(false);
+      expect(validateAIModelEntry({ ...entry, release_date: '2024-02-30' }).error).toBe('release_date must be a YYYY-MM-DD date');
+      expect(validateAIModelEntry({ ...entry, notes: 'n'.repeat(1001) }).valid).toBe(false);
+    });
+
+    it('should only check the fields given when partial', () => {
+      expect(validateAIModelEntry({ notes: null }, { partial: true }).valid).toBe(true);
+      expect(validateAIModelEntry({ slug: 'gpt-4' }, { partial: true }).error).toBe('slug cannot be changed');
+    });
+  });
+
   describe('hashIP', () => {
     it('should consistently hash IP addresses', () => {
       const ip = '192.168.1.1';
@@ -0,0 +1,35 @@
+// Admin authentication: admin routes need "Authorization: Bearer <ADMIN_SECRET>".
+// Without ADMIN_SECRET set they are switched off.
+
+import crypto from 'crypto';
+import { NextApiRequest } from 'next';
+import { getBearerToken } from '@/lib/edit-token';
+
+export interface AdminAuthResult {
+  valid: boolean;
+  error?: string;
+  status?: number;
+}
+
+function digest(value: string): Buffer {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+export function verifyAdmin(req: NextApiRequest): AdminAuthResult {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret) {
+    return { valid: false, error: 'Admin API is not configured', status: 503 };
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return { valid: false, error: 'Admin authentication required', status: 401 };
+  }
+
+  // Compare digests so the check takes the same time whatever the length
+  if (!crypto.timingSafeEqual(digest(token), digest(secret))) {
+    return { valid: false, error: 'Invalid admin credentials', status: 403 };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,67 @@
+// API keys for agent submissions (POST /api/ai-runs), sent as "Authorization: Bearer <key>".
+// Configured in AI_API_KEYS as comma-separated "<name>:<key>" pairs; the name is
+// stored with each run so it's clear whose harness submitted it.
+
+import crypto from 'crypto';
+import { NextApiRequest } from 'next';
+import { getBearerToken } from '@/lib/edit-token';
+import { logger } from '@/utils/logger';
+
+export interface ApiKeyResult {
+  valid: boolean;
+  error?: string;
+  status?: number;
+  keyName?: string;
+}
+
+// Configured keys by name. Malformed entries (no name, or no key) are skipped
+export function getApiKeys(): Array<{ name: string; key: string }> {
+  const keys: Array<{ name: string; key: string }> = [];
+
+  (process.env.AI_API_KEYS || '').split(',').forEach((entry, index) => {
+    if (entry.trim() === '') return;
+
+    const separator = entry.indexOf(':');
+    const name = separator > 0 ? entry.slice(0, separator).trim() : '';
+    const key = separator > 0 ? entry.slice(separator + 1).trim() : '';
+    if (name.length === 0 || name.length > 50 || key.length === 0) {
+      // Never log the entry itself: it may be a bare key
+      logger.warn(`⚠️ Ignoring malformed AI_API_KEYS entry #${index + 1} (expected "<name>:<key>")`);
+      return;
+    }
+    keys.push({ name, key });
+  });
+
+  return keys;
+}
+
+function digest(value: string): Buffer {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+export function verifyApiKey(req: NextApiRequest): ApiKeyResult {
+  const keys = getApiKeys();
+  if (keys.length === 0) {
+    return { valid: false, error: 'AI run submission is not configured', status: 503 };
+  }
+
+  const presented = getBearerToken(req);
+  if (!presented) {
+    return { valid: false, error: 'API key required', status: 401 };
+  }
+
+  // Check every key (in constant time each) so timing doesn't tell which one is close
+  const presentedDigest = digest(presented);
+  let keyName: string | undefined;
+  for (const { name, key } of keys) {
+    if (crypto.timingSafeEqual(presentedDigest, digest(key)) && keyName === undefined) {
+      keyName = name;
+    }
+  }
+
+  if (keyName === undefined) {
+    return { valid: false, error: 'Invalid API key', status: 403 };
+  }
+
+  return { valid: true, keyName };
+}
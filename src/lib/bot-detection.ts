@@ -0,0 +1,126 @@
+// Statistical bot detection: a suspicion score for a run from its click logs.
+// Runs scoring at or above the threshold are kept but left off the hall of fame
+// until someone reviews them.
+
+import { ClickLog, TrackingSample } from '@/types/database';
+import { pathMetrics } from '../../public/js/trajectory.js';
+import { isTrackingSample } from '../../public/js/tracking.js';
+
+// Runs with a suspicion score at or above this are held back for review
+export const DEFAULT_SUSPICION_THRESHOLD = 0.7;
+
+export function getSuspicionThreshold(): number {
+  const threshold = parseFloat(process.env.BOT_SUSPICION_THRESHOLD || '');
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_SUSPICION_THRESHOLD;
+}
+
+// Fewer samples than this say too little about a player to score a signal
+export const MIN_SIGNAL_SAMPLES = 5;
+
+// Each signal is 0 (looks human) to 1 (looks scripted), or null without enough data.
+// A signal's weight is how far it alone can push the score, so one odd trait is not
+// enough to cross the threshold but two or more together are
+const SIGNAL_WEIGHTS = {
+  timing: 0.6,       // inter-click intervals with almost no variation
+  offsets: 0.5,      // click offsets (relative to the radius) that barely spread
+  centering: 0.6,    // too many clicks on the exact center
+  straightness: 0.5  // pointer paths straighter than a hand moves
+};
+
+export type SuspicionSignal = keyof typeof SIGNAL_WEIGHTS;
+
+export interface SuspicionResult {
+  score: number;  // [0, 1], 3 decimals
+  signals: Record<SuspicionSignal, number | null>;
+}
+
+// 0 at or past `human`, 1 at or past `bot`, linear in between (works in either direction)
+function ramp(value: number, human: number, bot: number): number {
+  const t = (value - human) / (bot - human);
+  return Math.min(1, Math.max(0, t));
+}
+
+function meanAndSd(values: number[]): { mean: number; sd: number } {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+// People's click rhythm varies (coefficient of variation usually well above 0.25);
+// a script firing on a fixed delay stays near 0
+function timingSignal(clicks: ClickLog[]): number | null {
+  const intervals: number[] = [];
+  for (let i = 1; i < clicks.length; i++) {
+    intervals.push(clicks[i].t - clicks[i - 1].t);
+  }
+  if (intervals.length < MIN_SIGNAL_SAMPLES) return null;
+
+  const { mean, sd } = meanAndSd(intervals);
+  if (mean <= 0) return 1;
+  return ramp(sd / mean, 0.25, 0.05);
+}
+
+// Human endpoints scatter around the target, so offsets relative to the radius spread
+// (standard deviation around 0.2 or more); a script landing on a fixed offset does not
+function offsetSignal(hits: ClickLog[]): number | null {
+  if (hits.length < MIN_SIGNAL_SAMPLES) return null;
+
+  const { sd } = meanAndSd(hits.map(log => log.d / log.r));
+  return ramp(sd, 0.12, 0.03);
+}
+
+// Landing within 5% of the radius from the center is rare for a person (around 1-2%
+// of hits); a script aiming at the center coordinates does it every time
+function centeringSignal(hits: ClickLog[]): number | null {
+  if (hits.length < MIN_SIGNAL_SAMPLES) return null;
+
+  const centered = hits.filter(log => log.d <= log.r * 0.05).length;
+  return ramp(centered / hits.length, 0.1, 0.5);
+}
+
+// Hand movements curve a little (mean path efficiency around 0.8-0.95); a pointer
+// moved programmatically goes in a dead straight line. Only scored when paths were sent
+function straightnessSignal(clicks: ClickLog[]): number | null {
+  const efficiencies = clicks
+    .map(log => pathMetrics(log))
+    .filter(Boolean)
+    .map(metrics => metrics!.efficiency);
+  if (efficiencies.length < MIN_SIGNAL_SAMPLES) return null;
+
+  const mean = efficiencies.reduce((sum, e) => sum + e, 0) / efficiencies.length;
+  return ramp(mean, 0.97, 0.995);
+}
+
+// Suspicion score of a run: the signals combined as independent pieces of evidence,
+// 1 - product of (1 - weight * signal). Tracking samples are ignored
+export function calculateSuspicion(logs: Array<ClickLog | TrackingSample>): SuspicionResult {
+  const clicks = (logs.filter(log => !isTrackingSample(log)) as ClickLog[])
+    .slice()
+    .sort((a, b) => a.t - b.t);
+  const hits = clicks.filter(log => log.hit && log.r > 0);
+
+  const signals: Record<SuspicionSignal, number | null> = {
+    timing: timingSignal(clicks),
+    offsets: offsetSignal(hits),
+    centering: centeringSignal(hits),
+    straightness: straightnessSignal(clicks)
+  };
+
+  let innocence = 1;
+  for (const key of Object.keys(SIGNAL_WEIGHTS) as SuspicionSignal[]) {
+    const signal = signals[key];
+    if (signal !== null) {
+      innocence *= 1 - SIGNAL_WEIGHTS[key] * signal;
+      signals[key] = Math.round(signal * 1000) / 1000;
+    }
+  }
+
+  return {
+    score: Math.round((1 - innocence) * 1000) / 1000,
+    signals
+  };
+}
+
+export function isSuspicious(score: number | null | undefined, threshold: number = getSuspicionThreshold()): boolean {
+  return typeof score === 'number' && score >= threshold;
+}
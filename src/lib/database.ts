@@ -1,8 +1,35 @@
 // Database utility module for Vercel Postgres
 
-import { sql } from '@vercel/postgres';
-import { RunRecord, LeaderboardEntry, ClickLog } from '@/types/database';
+import { db, sql } from '@vercel/postgres';
+import { RunRecord, LeaderboardEntry, ClickLog, RunEvent, FlaggedRun, BlockedIP, AIRunScore, AIModel, AIComparison } from '@/types/database';
 import { logger } from '@/utils/logger';
+import { getSuspicionThreshold } from '@/lib/bot-detection';
+import { toAIModelSlug } from '@/lib/validation';
+import { DEFAULT_MODE, getMode } from '../../public/js/modes.js';
+import { INPUT_SOURCE_POINTER } from '../../public/js/models.js';
+
+// Columns a mode may rank its leaderboard by (interpolated into SQL, so whitelisted)
+const RANK_COLUMNS = ['performance_score', 'speed_score', 'total_hits', 'throughput'];
+
+// Leaderboard ordering column for a game mode
+function getRankColumn(mode: string): string {
+  const column = getMode(mode).scoring.rankBy;
+  return RANK_COLUMNS.includes(column) ? column : 'performance_score';
+}
+
+// Optional leaderboard orderings besides the mode's ranking column (fastest first)
+export const LEADERBOARD_SORTS: Record<string, string> = {
+  reaction_time: 'reaction_time_ms ASC NULLS LAST',
+  movement_time: 'movement_time_ms ASC NULLS LAST'
+};
+
+// ORDER BY clause for a mode's leaderboard, optionally re-sorted by a LEADERBOARD_SORTS key
+function getLeaderboardOrder(mode: string, sort?: string): string {
+  const primary = sort && LEADERBOARD_SORTS[sort] 
+    ? LEADERBOARD_SORTS[sort] 
+    : `${getRankColumn(mode)} DESC NULLS LAST`;
+  return `${primary}, performance_score DESC`;
+}
 
 // Connection helper - Vercel Postgres handles connection pooling automatically
 export async function query(text: string, params: any[] = []) {
@@ -25,6 +52,21 @@ export async function query(text: string, params: any[] = []) {
 // Initialize database schema
 export async function initializeDatabase() {
   try {
+    // AI model registry: the stable identity (slug) and display metadata AI runs refer to
+    await sql`
+      CREATE TABLE IF NOT EXISTS ai_models (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(60) UNIQUE NOT NULL,
+        display_name VARCHAR(50) NOT NULL,
+        provider VARCHAR(50),
+        version VARCHAR(50),
+        release_date DATE,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
     // Create runs table
     await sql`
       CREATE TABLE IF NOT EXISTS runs (
@@ -39,21 +81,137 @@ export async function initializeDatabase() {
         duration_ms INT NOT NULL,
         avg_time_per_hit_ms INT NOT NULL,
         click_logs JSONB NOT NULL,
+        seed BIGINT,
+        container_size INT,
+        device_pixel_ratio DECIMAL(4,2),
+        challenge_date DATE,
+        mode VARCHAR(20) NOT NULL DEFAULT 'classic',
+        throughput DECIMAL(5,2),
+        effective_width DECIMAL(6,1),
+        effective_id DECIMAL(4,2),
+        reaction_time_ms INT,
+        movement_time_ms INT,
+        suspicion_score DECIMAL(4,3),
+        reviewed_at TIMESTAMP,
+        edit_token_hash VARCHAR(64),
+        hidden BOOLEAN NOT NULL DEFAULT false,
         badges TEXT[] DEFAULT '{}',
         is_ai BOOLEAN DEFAULT false,
         ai_model VARCHAR(50),
+        ai_model_id INT REFERENCES ai_models(id),
+        ai_provider VARCHAR(50),
+        ai_model_version VARCHAR(50),
+        ai_harness VARCHAR(50),
+        screenshot_width INT,
+        screenshot_height INT,
+        api_key_name VARCHAR(50),
+        input_source VARCHAR(10) NOT NULL DEFAULT 'pointer',
         created_at TIMESTAMP DEFAULT NOW(),
         ip_hash VARCHAR(64),
         user_agent TEXT
       )
     `;
 
+    // Add columns introduced after the initial schema
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS seed BIGINT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS container_size INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS challenge_date DATE`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'classic'`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS throughput DECIMAL(5,2)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS effective_width DECIMAL(6,1)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS effective_id DECIMAL(4,2)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS reaction_time_ms INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS movement_time_ms INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS suspicion_score DECIMAL(4,3)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS edit_token_hash VARCHAR(64)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT false`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_model_version VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_harness VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS screenshot_width INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS screenshot_height INT`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS api_key_name VARCHAR(50)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS input_source VARCHAR(10) NOT NULL DEFAULT 'pointer'`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS ai_model_id INT REFERENCES ai_models(id)`;
+    await sql`ALTER TABLE runs ADD COLUMN IF NOT EXISTS device_pixel_ratio DECIMAL(4,2)`;
+
+    // Register AI runs submitted before the registry under the slug of their model name and
+    // version (the SQL twin of toAIModelSlug in src/lib/validation.ts), then link them
+    await sql`
+      INSERT INTO ai_models (slug, display_name, provider, version)
+      SELECT DISTINCT ON (slug) slug, ai_model, ai_provider, ai_model_version
+      FROM (
+        SELECT
+          rtrim(left(trim(both '-' from regexp_replace(lower(concat_ws(' ', ai_model, ai_model_version)), '[^a-z0-9]+', '-', 'g')), 60), '-') AS slug,
+          ai_model, ai_provider, ai_model_version, created_at
+        FROM runs
+        WHERE is_ai = true AND ai_model IS NOT NULL AND ai_model_id IS NULL
+      ) AS unlinked
+      WHERE slug <> ''
+      ORDER BY slug, created_at DESC
+      ON CONFLICT (slug) DO NOTHING
+    `;
+    await sql`
+      UPDATE runs SET ai_model_id = ai_models.id
+      FROM ai_models
+      WHERE runs.is_ai = true AND runs.ai_model_id IS NULL
+        AND ai_models.slug = rtrim(left(trim(both '-' from regexp_replace(lower(concat_ws(' ', runs.ai_model, runs.ai_model_version)), '[^a-z0-9]+', '-', 'g')), 60), '-')
+    `;
+
+    // Run tokens that have been used for a submission (each one is single use)
+    await sql`
+      CREATE TABLE IF NOT EXISTS used_run_tokens (
+        id VARCHAR(32) PRIMARY KEY,
+        used_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    // Audit trail of renames, moderation actions and deletions (kept after the run is deleted)
+    await sql`
+      CREATE TABLE IF NOT EXISTS run_events (
+        id SERIAL PRIMARY KEY,
+        run_id INT NOT NULL,
+        event_type VARCHAR(30) NOT NULL,
+        actor_type VARCHAR(10) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        ip_hash VARCHAR(64),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    // IP hashes whose submissions are refused
+    await sql`
+      CREATE TABLE IF NOT EXISTS blocked_ips (
+        ip_hash VARCHAR(64) PRIMARY KEY,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    // Requests counted by the rate limiter (sliding window per bucket and IP hash)
+    await sql`
+      CREATE TABLE IF NOT EXISTS rate_limit_hits (
+        id SERIAL PRIMARY KEY,
+        bucket VARCHAR(40) NOT NULL,
+        ip_hash VARCHAR(64) NOT NULL,
+        hit_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
     // Create indexes for performance
     await sql`CREATE INDEX IF NOT EXISTS idx_speed_score ON runs(speed_score DESC)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_performance_score ON runs(performance_score DESC)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_created_at ON runs(created_at DESC)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_username ON runs(username)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_is_ai ON runs(is_ai)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_challenge_date ON runs(challenge_date)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_mode ON runs(mode)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_rate_limit_hits ON rate_limit_hits(bucket, ip_hash, hit_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_run_events_run_id ON run_events(run_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_run_events_created_at ON run_events(created_at DESC)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_ai_model_id ON runs(ai_model_id)`;
 
     logger.log('Database initialized successfully');
   } catch (error) {
@@ -62,6 +220,369 @@ export async function initializeDatabase() {
   }
 }
 
+// Mark a run token as used. Returns false if it already was
+export async function consumeRunToken(tokenId: string): Promise<boolean> {
+  try {
+    const result = await sql`
+      INSERT INTO used_run_tokens (id) VALUES (${tokenId})
+      ON CONFLICT (id) DO NOTHING
+      RETURNING id
+    `;
+    
+    return result.rows.length === 1;
+  } catch (error) {
+    logger.error('Error consuming run token:', error);
+    throw error;
+  }
+}
+
+// Count a request against a rate limit bucket if the IP hash has fewer than `limit`
+// counted in the last `windowMs`. Returns how many were counted before this one and,
+// when the limit is reached, the ms until the oldest of them leaves the window.
+// Check and insert run in one transaction holding an advisory lock on the bucket and
+// IP hash, so concurrent requests queue up instead of all seeing the same count
+export async function recordRateLimitHit(
+  bucket: string, 
+  ipHash: string, 
+  limit: number, 
+  windowMs: number
+): Promise<{ count: number; retryAfterMs: number }> {
+  const client = await db.connect();
+  try {
+    const windowSeconds = windowMs / 1000;
+    
+    await client.sql`BEGIN`;
+    await client.sql`SELECT pg_advisory_xact_lock(hashtext(${`rate_limit:${bucket}:${ipHash}`}))`;
+    
+    // Drop hits that have left the window (for every IP, so the table stays small)
+    await client.sql`
+      DELETE FROM rate_limit_hits 
+      WHERE bucket = ${bucket} AND hit_at <= NOW() - make_interval(secs => ${windowSeconds})
+    `;
+    
+    const result = await client.sql`
+      SELECT 
+        COUNT(*) as count,
+        EXTRACT(EPOCH FROM (MIN(hit_at) + make_interval(secs => ${windowSeconds}) - NOW())) * 1000 as retry_after_ms
+      FROM rate_limit_hits 
+      WHERE bucket = ${bucket} AND ip_hash = ${ipHash}
+    `;
+    const count = parseInt(result.rows[0].count);
+    
+    if (count >= limit) {
+      await client.sql`COMMIT`;
+      return { count, retryAfterMs: Math.max(0, parseFloat(result.rows[0].retry_after_ms)) };
+    }
+    
+    await client.sql`INSERT INTO rate_limit_hits (bucket, ip_hash) VALUES (${bucket}, ${ipHash})`;
+    await client.sql`COMMIT`;
+    return { count, retryAfterMs: 0 };
+  } catch (error) {
+    await client.sql`ROLLBACK`.catch(() => undefined);
+    logger.error('Error recording rate limit hit:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Kinds of run_events rows
+export const RUN_EVENT_TYPES = [
+  'username_changed',
+  'run_deleted',
+  'run_hidden',
+  'run_unhidden',
+  'run_approved',
+  'username_reset'
+];
+
+// Append an entry to a run's audit trail
+export async function recordRunEvent(event: Omit<RunEvent, 'id' | 'created_at'>): Promise<void> {
+  try {
+    await sql`
+      INSERT INTO run_events (run_id, event_type, actor_type, old_value, new_value, ip_hash)
+      VALUES (
+        ${event.run_id},
+        ${event.event_type},
+        ${event.actor_type},
+        ${event.old_value ?? null},
+        ${event.new_value ?? null},
+        ${event.ip_hash || null}
+      )
+    `;
+  } catch (error) {
+    logger.error('Error recording run event:', error);
+    throw error;
+  }
+}
+
+// Audit trail entries, newest first, optionally for one run / event type / before an id (paging)
+export async function getRunEvents(
+  { runId, eventType, before, limit = 100 }: { runId?: number; eventType?: string; before?: number; limit?: number } = {}
+): Promise<RunEvent[]> {
+  try {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    
+    if (runId !== undefined) {
+      params.push(runId);
+      conditions.push(`run_id = $${params.length}`);
+    }
+    if (eventType !== undefined) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+    if (before !== undefined) {
+      params.push(before);
+      conditions.push(`id < $${params.length}`);
+    }
+    params.push(limit);
+    
+    const result = await sql.query(
+      `SELECT id, run_id, event_type, actor_type, old_value, new_value, ip_hash, created_at
+       FROM run_events
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    
+    return result.rows as RunEvent[];
+  } catch (error) {
+    logger.error('Error getting run events:', error);
+    throw error;
+  }
+}
+
+// Runs the bot detection flagged, most suspicious first. Only those still waiting
+// for review unless includeReviewed is set
+export async function getFlaggedRuns(
+  { includeReviewed = false, limit = 100 }: { includeReviewed?: boolean; limit?: number } = {}
+): Promise<FlaggedRun[]> {
+  try {
+    const result = await sql.query(
+      `SELECT id, username, mode, speed_score, performance_score, total_hits, 
+        suspicion_score, hidden, reviewed_at, input_source, ip_hash, created_at
+      FROM runs 
+      WHERE suspicion_score >= $1 ${includeReviewed ? '' : 'AND reviewed_at IS NULL'}
+      ORDER BY suspicion_score DESC, created_at DESC 
+      LIMIT $2`,
+      [getSuspicionThreshold(), limit]
+    );
+    
+    return result.rows.map(row => ({
+      ...row,
+      speed_score: parseFloat(row.speed_score),
+      performance_score: parseFloat(row.performance_score),
+      suspicion_score: parseFloat(row.suspicion_score)
+    })) as FlaggedRun[];
+  } catch (error) {
+    logger.error('Error getting flagged runs:', error);
+    throw error;
+  }
+}
+
+// Moderation state of one run, or null if it doesn't exist
+export async function getRunForModeration(runId: number): Promise<{ 
+  id: number; username: string | null; hidden: boolean; reviewed_at: Date | null 
+} | null> {
+  try {
+    const result = await sql`
+      SELECT id, username, hidden, reviewed_at 
+      FROM runs 
+      WHERE id = ${runId}
+    `;
+    
+    return result.rows.length > 0 ? result.rows[0] as any : null;
+  } catch (error) {
+    logger.error('Error getting run for moderation:', error);
+    throw error;
+  }
+}
+
+// Hide or unhide a run. Either way a moderator has now looked at it
+export async function setRunHidden(runId: number, hidden: boolean): Promise<void> {
+  try {
+    await sql`
+      UPDATE runs 
+      SET hidden = ${hidden}, reviewed_at = COALESCE(reviewed_at, NOW()) 
+      WHERE id = ${runId}
+    `;
+  } catch (error) {
+    logger.error('Error setting run hidden:', error);
+    throw error;
+  }
+}
+
+// Clear a flagged run for the hall of fame
+export async function markRunReviewed(runId: number): Promise<void> {
+  try {
+    await sql`UPDATE runs SET reviewed_at = NOW() WHERE id = ${runId}`;
+  } catch (error) {
+    logger.error('Error marking run reviewed:', error);
+    throw error;
+  }
+}
+
+// Put a run back to anonymous
+export async function resetRunUsername(runId: number): Promise<void> {
+  try {
+    await sql`UPDATE runs SET username = NULL WHERE id = ${runId}`;
+  } catch (error) {
+    logger.error('Error resetting username:', error);
+    throw error;
+  }
+}
+
+export async function isIPBlocked(ipHash: string): Promise<boolean> {
+  try {
+    const result = await sql`SELECT 1 FROM blocked_ips WHERE ip_hash = ${ipHash}`;
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error('Error checking blocked IP:', error);
+    throw error;
+  }
+}
+
+export async function getBlockedIPs(): Promise<BlockedIP[]> {
+  try {
+    const result = await sql`SELECT ip_hash, reason, created_at FROM blocked_ips ORDER BY created_at DESC`;
+    return result.rows as BlockedIP[];
+  } catch (error) {
+    logger.error('Error getting blocked IPs:', error);
+    throw error;
+  }
+}
+
+// Block an IP hash (updating the reason if it already is)
+export async function blockIP(ipHash: string, reason: string | null): Promise<void> {
+  try {
+    await sql`
+      INSERT INTO blocked_ips (ip_hash, reason) VALUES (${ipHash}, ${reason})
+      ON CONFLICT (ip_hash) DO UPDATE SET reason = EXCLUDED.reason
+    `;
+  } catch (error) {
+    logger.error('Error blocking IP:', error);
+    throw error;
+  }
+}
+
+// Unblock an IP hash. Returns false if it wasn't blocked
+export async function unblockIP(ipHash: string): Promise<boolean> {
+  try {
+    const result = await sql`DELETE FROM blocked_ips WHERE ip_hash = ${ipHash} RETURNING ip_hash`;
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error('Error unblocking IP:', error);
+    throw error;
+  }
+}
+
+// Registry columns, with the release date as 'YYYY-MM-DD' (the table is aliased m)
+const AI_MODEL_COLUMNS = `m.id, m.slug, m.display_name, m.provider, m.version,
+  to_char(m.release_date, 'YYYY-MM-DD') AS release_date, m.notes, m.created_at, m.updated_at`;
+
+// Registry fields an admin may set (interpolated into SQL, so whitelisted)
+const AI_MODEL_FIELDS = ['display_name', 'provider', 'version', 'release_date', 'notes'] as const;
+export type AIModelFields = Partial<Pick<AIModel, typeof AI_MODEL_FIELDS[number]>>;
+
+// Every registered model with the number of AI runs referring to it
+export async function getAIModels(): Promise<AIModel[]> {
+  try {
+    const result = await sql.query(
+      `SELECT ${AI_MODEL_COLUMNS}, COUNT(r.id)::int AS runs
+       FROM ai_models m LEFT JOIN runs r ON r.ai_model_id = m.id
+       GROUP BY m.id
+       ORDER BY m.display_name, m.slug`
+    );
+    return result.rows as AIModel[];
+  } catch (error) {
+    logger.error('Error getting AI models:', error);
+    throw error;
+  }
+}
+
+export async function getAIModel(slug: string): Promise<AIModel | null> {
+  try {
+    const result = await sql.query(
+      `SELECT ${AI_MODEL_COLUMNS}, COUNT(r.id)::int AS runs
+       FROM ai_models m LEFT JOIN runs r ON r.ai_model_id = m.id
+       WHERE m.slug = $1
+       GROUP BY m.id`,
+      [slug]
+    );
+    return (result.rows[0] as AIModel) || null;
+  } catch (error) {
+    logger.error('Error getting AI model:', error);
+    throw error;
+  }
+}
+
+// Register a model. Returns null if the slug is taken
+export async function createAIModel(slug: string, fields: AIModelFields & { display_name: string }): Promise<AIModel | null> {
+  try {
+    const result = await sql.query(
+      `INSERT INTO ai_models AS m (slug, display_name, provider, version, release_date, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (slug) DO NOTHING
+       RETURNING ${AI_MODEL_COLUMNS}`,
+      [slug, fields.display_name, fields.provider ?? null, fields.version ?? null, fields.release_date ?? null, fields.notes ?? null]
+    );
+    return (result.rows[0] as AIModel) || null;
+  } catch (error) {
+    logger.error('Error creating AI model:', error);
+    throw error;
+  }
+}
+
+// Update the given fields of a model. Returns null if there is no such slug
+export async function updateAIModel(slug: string, fields: AIModelFields): Promise<AIModel | null> {
+  try {
+    const columns = AI_MODEL_FIELDS.filter(field => fields[field] !== undefined);
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+    const result = await sql.query(
+      `UPDATE ai_models AS m SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+       WHERE m.slug = $1
+       RETURNING ${AI_MODEL_COLUMNS}`,
+      [slug, ...columns.map(column => fields[column])]
+    );
+    return (result.rows[0] as AIModel) || null;
+  } catch (error) {
+    logger.error('Error updating AI model:', error);
+    throw error;
+  }
+}
+
+// Delete a model no run refers to. Returns false if there is no such slug
+export async function deleteAIModel(slug: string): Promise<boolean> {
+  try {
+    const result = await sql`DELETE FROM ai_models WHERE slug = ${slug} RETURNING id`;
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error('Error deleting AI model:', error);
+    throw error;
+  }
+}
+
+// Registry entry for a submitted model's name and version, registered on first use
+// so every spelling of the same model ("ChatGPT-4", "chatgpt 4") shares one entry
+export async function findOrCreateAIModel(model: { name: string; provider?: string | null; version?: string | null }): Promise<AIModel> {
+  try {
+    // The no-op update makes RETURNING give back the existing row on conflict
+    const result = await sql.query(
+      `INSERT INTO ai_models AS m (slug, display_name, provider, version)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+       RETURNING ${AI_MODEL_COLUMNS}`,
+      [toAIModelSlug(model.name, model.version), model.name, model.provider || null, model.version || null]
+    );
+    return result.rows[0] as AIModel;
+  } catch (error) {
+    logger.error('Error registering AI model:', error);
+    throw error;
+  }
+}
+
 // Insert a new run record
 export async function insertRun(run: Omit<RunRecord, 'id' | 'created_at'>): Promise<number> {
   try {
@@ -74,8 +595,11 @@ export async function insertRun(run: Omit<RunRecord, 'id' | 'created_at'>): Prom
       INSERT INTO runs (
         username, speed_score, performance_score, total_hits, 
         avg_accuracy, best_accuracy, final_radius, duration_ms, 
-        avg_time_per_hit_ms, click_logs, badges, is_ai, ai_model, 
-        ip_hash, user_agent
+        avg_time_per_hit_ms, click_logs, seed, container_size, device_pixel_ratio, challenge_date, 
+        mode, throughput, effective_width, effective_id, 
+        reaction_time_ms, movement_time_ms, suspicion_score, edit_token_hash, 
+        badges, is_ai, ai_model, ai_model_id, ai_provider, ai_model_version, ai_harness, 
+        screenshot_width, screenshot_height, api_key_name, input_source, ip_hash, user_agent
       ) VALUES (
         ${run.username || null},
         ${run.speed_score},
@@ -87,9 +611,29 @@ export async function insertRun(run: Omit<RunRecord, 'id' | 'created_at'>): Prom
         ${run.duration_ms},
         ${run.avg_time_per_hit_ms},
         ${JSON.stringify(run.click_logs)},
+        ${run.seed ?? null},
+        ${run.container_size ?? null},
+        ${run.device_pixel_ratio ?? null},
+        ${run.challenge_date || null},
+        ${run.mode || DEFAULT_MODE},
+        ${run.throughput ?? null},
+        ${run.effective_width ?? null},
+        ${run.effective_id ?? null},
+        ${run.reaction_time_ms ?? null},
+        ${run.movement_time_ms ?? null},
+        ${run.suspicion_score ?? null},
+        ${run.edit_token_hash || null},
         ${badgesArray},
         ${run.is_ai},
         ${run.ai_model || null},
+        ${run.ai_model_id ?? null},
+        ${run.ai_provider || null},
+        ${run.ai_model_version || null},
+        ${run.ai_harness || null},
+        ${run.screenshot_width ?? null},
+        ${run.screenshot_height ?? null},
+        ${run.api_key_name || null},
+        ${run.input_source || INPUT_SOURCE_POINTER},
         ${run.ip_hash || null},
         ${run.user_agent || null}
       ) RETURNING id
@@ -102,12 +646,16 @@ export async function insertRun(run: Omit<RunRecord, 'id' | 'created_at'>): Prom
   }
 }
 
-// Get hall of fame (top 10 all-time by performance score)
-export async function getHallOfFame(): Promise<LeaderboardEntry[]> {
+// Get hall of fame for a game mode (all-time, ordered by the mode's ranking column unless sort is given).
+// Hidden runs never show; runs the bot detection flagged stay off it until they have been reviewed.
+// The human rankings here and below only count runs played with a real pointer: runs
+// driven through the agent API (input_source 'agent') are kept off them
+export async function getHallOfFame(mode: string = DEFAULT_MODE, sort?: string): Promise<LeaderboardEntry[]> {
   try {
-    const result = await sql`
-      SELECT 
-        ROW_NUMBER() OVER (ORDER BY performance_score DESC) as rank,
+    const order = getLeaderboardOrder(mode, sort);
+    const result = await sql.query(
+      `SELECT 
+        ROW_NUMBER() OVER (ORDER BY ${order}) as rank,
         username,
         speed_score,
         performance_score,
@@ -116,12 +664,18 @@ export async function getHallOfFame(): Promise<LeaderboardEntry[]> {
         created_at,
         badges,
         is_ai,
-        ai_model
+        ai_model,
+        mode,
+        throughput,
+        reaction_time_ms,
+        movement_time_ms
       FROM runs 
-      WHERE is_ai = false
-      ORDER BY performance_score DESC 
-      LIMIT 1000
-    `;
+      WHERE is_ai = false AND input_source = 'pointer' AND hidden = false AND mode = $1
+        AND (suspicion_score IS NULL OR suspicion_score < $2 OR reviewed_at IS NOT NULL)
+      ORDER BY ${order} 
+      LIMIT 1000`,
+      [mode, getSuspicionThreshold()]
+    );
 
     return result.rows.map(row => ({
       rank: row.rank,
@@ -133,7 +687,11 @@ export async function getHallOfFame(): Promise<LeaderboardEntry[]> {
       created_at: row.created_at,
       badges: row.badges || [],
       is_ai: row.is_ai,
-      ai_model: row.ai_model
+      ai_model: row.ai_model,
+      mode: row.mode,
+      throughput: row.throughput === null ? null : parseFloat(row.throughput),
+      reaction_time_ms: row.reaction_time_ms,
+      movement_time_ms: row.movement_time_ms
     }));
   } catch (error) {
     logger.error('Error getting hall of fame:', error);
@@ -141,12 +699,13 @@ export async function getHallOfFame(): Promise<LeaderboardEntry[]> {
   }
 }
 
-// Get today's best (last 24 hours)
-export async function getTodaysBest(): Promise<LeaderboardEntry[]> {
+// Get today's best for a game mode (last 24 hours)
+export async function getTodaysBest(mode: string = DEFAULT_MODE, sort?: string): Promise<LeaderboardEntry[]> {
   try {
-    const result = await sql`
-      SELECT 
-        ROW_NUMBER() OVER (ORDER BY performance_score DESC) as rank,
+    const order = getLeaderboardOrder(mode, sort);
+    const result = await sql.query(
+      `SELECT 
+        ROW_NUMBER() OVER (ORDER BY ${order}) as rank,
         username,
         speed_score,
         performance_score,
@@ -155,13 +714,21 @@ export async function getTodaysBest(): Promise<LeaderboardEntry[]> {
         created_at,
         badges,
         is_ai,
-        ai_model
+        ai_model,
+        mode,
+        throughput,
+        reaction_time_ms,
+        movement_time_ms
       FROM runs 
       WHERE is_ai = false 
+        AND input_source = 'pointer'
+        AND hidden = false
+        AND mode = $1
         AND created_at >= NOW() - INTERVAL '24 hours'
-      ORDER BY performance_score DESC 
-      LIMIT 1000
-    `;
+      ORDER BY ${order} 
+      LIMIT 1000`,
+      [mode]
+    );
 
     return result.rows.map(row => ({
       rank: row.rank,
@@ -173,7 +740,11 @@ export async function getTodaysBest(): Promise<LeaderboardEntry[]> {
       created_at: row.created_at,
       badges: row.badges || [],
       is_ai: row.is_ai,
-      ai_model: row.ai_model
+      ai_model: row.ai_model,
+      mode: row.mode,
+      throughput: row.throughput === null ? null : parseFloat(row.throughput),
+      reaction_time_ms: row.reaction_time_ms,
+      movement_time_ms: row.movement_time_ms
     }));
   } catch (error) {
     logger.error('Error getting today\'s best:', error);
@@ -181,8 +752,8 @@ export async function getTodaysBest(): Promise<LeaderboardEntry[]> {
   }
 }
 
-// Get AI benchmarks
-export async function getAIBenchmarks(): Promise<LeaderboardEntry[]> {
+// Get the leaderboard for one daily challenge (all players faced the same course)
+export async function getDailyLeaderboard(challengeDate: string): Promise<LeaderboardEntry[]> {
   try {
     const result = await sql`
       SELECT 
@@ -197,13 +768,17 @@ export async function getAIBenchmarks(): Promise<LeaderboardEntry[]> {
         is_ai,
         ai_model
       FROM runs 
-      WHERE is_ai = true
-      ORDER BY performance_score DESC
+      WHERE is_ai = false 
+        AND input_source = 'pointer'
+        AND hidden = false
+        AND challenge_date = ${challengeDate}
+      ORDER BY performance_score DESC 
+      LIMIT 1000
     `;
 
     return result.rows.map(row => ({
       rank: row.rank,
-      username: row.username || row.ai_model || 'AI',
+      username: row.username || 'Anonymous',
       speed_score: parseFloat(row.speed_score),
       performance_score: parseFloat(row.performance_score),
       total_hits: row.total_hits,
@@ -213,30 +788,141 @@ export async function getAIBenchmarks(): Promise<LeaderboardEntry[]> {
       is_ai: row.is_ai,
       ai_model: row.ai_model
     }));
+  } catch (error) {
+    logger.error('Error getting daily leaderboard:', error);
+    throw error;
+  }
+}
+
+// Get current rank for a score within one daily challenge
+export async function getDailyRank(score: number, challengeDate: string): Promise<number> {
+  try {
+    const result = await sql`
+      SELECT COUNT(*) + 1 as rank 
+      FROM runs 
+      WHERE is_ai = false 
+        AND input_source = 'pointer'
+        AND hidden = false
+        AND challenge_date = ${challengeDate}
+        AND performance_score > ${score}
+    `;
+    
+    return parseInt(result.rows[0].rank);
+  } catch (error) {
+    logger.error('Error calculating daily rank:', error);
+    throw error;
+  }
+}
+
+// Get AI benchmarks for a game mode. Runs linked to the model registry show its display metadata and slug
+export async function getAIBenchmarks(mode: string = DEFAULT_MODE): Promise<LeaderboardEntry[]> {
+  try {
+    const result = await sql`
+      SELECT 
+        ROW_NUMBER() OVER (ORDER BY r.performance_score DESC) as rank,
+        r.username,
+        r.speed_score,
+        r.performance_score,
+        r.total_hits,
+        r.avg_accuracy,
+        r.created_at,
+        r.badges,
+        r.is_ai,
+        COALESCE(m.display_name, r.ai_model) AS ai_model,
+        m.slug AS ai_model_slug,
+        COALESCE(m.provider, r.ai_provider) AS ai_provider,
+        COALESCE(m.version, r.ai_model_version) AS ai_model_version,
+        to_char(m.release_date, 'YYYY-MM-DD') AS ai_model_release_date,
+        r.ai_harness,
+        r.mode
+      FROM runs r
+      LEFT JOIN ai_models m ON m.id = r.ai_model_id
+      WHERE r.is_ai = true AND r.hidden = false AND r.mode = ${mode}
+      ORDER BY r.performance_score DESC
+    `;
+
+    return result.rows.map(row => ({
+      rank: row.rank,
+      username: row.username || row.ai_model || 'AI',
+      speed_score: parseFloat(row.speed_score),
+      performance_score: parseFloat(row.performance_score),
+      total_hits: row.total_hits,
+      avg_accuracy: parseFloat(row.avg_accuracy),
+      created_at: row.created_at,
+      badges: row.badges || [],
+      is_ai: row.is_ai,
+      ai_model: row.ai_model,
+      ai_model_slug: row.ai_model_slug,
+      ai_provider: row.ai_provider,
+      ai_model_version: row.ai_model_version,
+      ai_model_release_date: row.ai_model_release_date,
+      ai_harness: row.ai_harness,
+      mode: row.mode
+    }));
   } catch (error) {
     logger.error('Error getting AI benchmarks:', error);
     throw error;
   }
 }
 
-// Get scatter plot data (sample of recent runs)
-export async function getScatterData(limit: number = 100): Promise<Array<{
+// Scores of every AI run in a game mode, for per-model statistics (see benchmark-stats.js)
+export async function getAIRunScores(mode: string = DEFAULT_MODE): Promise<AIRunScore[]> {
+  try {
+    const result = await sql`
+      SELECT 
+        m.slug AS ai_model_slug,
+        COALESCE(m.provider, r.ai_provider) AS ai_provider,
+        COALESCE(m.display_name, r.ai_model) AS ai_model,
+        COALESCE(m.version, r.ai_model_version) AS ai_model_version,
+        to_char(m.release_date, 'YYYY-MM-DD') AS ai_model_release_date,
+        r.ai_harness,
+        r.speed_score,
+        r.performance_score,
+        r.total_hits
+      FROM runs r
+      LEFT JOIN ai_models m ON m.id = r.ai_model_id
+      WHERE r.is_ai = true AND r.hidden = false AND r.mode = ${mode}
+    `;
+
+    return result.rows.map(row => ({
+      ai_model_slug: row.ai_model_slug,
+      ai_provider: row.ai_provider,
+      ai_model: row.ai_model,
+      ai_model_version: row.ai_model_version,
+      ai_model_release_date: row.ai_model_release_date,
+      ai_harness: row.ai_harness,
+      speed_score: parseFloat(row.speed_score),
+      performance_score: parseFloat(row.performance_score),
+      total_hits: row.total_hits
+    }));
+  } catch (error) {
+    logger.error('Error getting AI run scores:', error);
+    throw error;
+  }
+}
+
+// Get scatter plot data (sample of recent runs in a game mode)
+export async function getScatterData(limit: number = 100, mode: string = DEFAULT_MODE): Promise<Array<{
   x: number;
   y: number;
   type: 'human' | 'ai';
   model?: string;
+  model_slug?: string | null;
   username?: string;
 }>> {
   try {
     const result = await sql`
       SELECT 
-        speed_score,
-        performance_score,
-        is_ai,
-        ai_model,
-        username
-      FROM runs 
-      ORDER BY created_at DESC 
+        r.speed_score,
+        r.performance_score,
+        r.is_ai,
+        COALESCE(m.display_name, r.ai_model) AS ai_model,
+        m.slug AS ai_model_slug,
+        r.username
+      FROM runs r
+      LEFT JOIN ai_models m ON m.id = r.ai_model_id
+      WHERE r.mode = ${mode} AND r.hidden = false AND (r.is_ai = true OR r.input_source = 'pointer')
+      ORDER BY r.created_at DESC 
       LIMIT ${limit}
     `;
 
@@ -245,6 +931,7 @@ export async function getScatterData(limit: number = 100): Promise<Array<{
       y: parseFloat(row.performance_score),
       type: row.is_ai ? 'ai' : 'human',
       model: row.ai_model,
+      model_slug: row.ai_model_slug,
       username: row.username // Keep null as null, don't convert to 'Anonymous'
     }));
   } catch (error) {
@@ -254,15 +941,15 @@ export async function getScatterData(limit: number = 100): Promise<Array<{
 }
 
 // Calculate percentile for a given score
-export async function calculatePercentile(score: number, metric: 'speed' | 'performance'): Promise<number> {
+export async function calculatePercentile(score: number, metric: 'speed' | 'performance', mode: string = DEFAULT_MODE): Promise<number> {
   try {
     const field = metric === 'speed' ? 'speed_score' : 'performance_score';
     
-    // Get total count of human players
+    // Get total count of human players in this mode
     const totalResult = await sql`
       SELECT COUNT(*) as count 
       FROM runs 
-      WHERE is_ai = false
+      WHERE is_ai = false AND input_source = 'pointer' AND hidden = false AND mode = ${mode}
     `;
     
     const totalCount = parseInt(totalResult.rows[0].count);
@@ -273,8 +960,8 @@ export async function calculatePercentile(score: number, metric: 'speed' | 'perf
     const lowerResult = await sql.query(
       `SELECT COUNT(*) as lower_count 
        FROM runs 
-       WHERE is_ai = false AND ${field} < $1`,
-      [score]
+       WHERE is_ai = false AND input_source = 'pointer' AND hidden = false AND mode = $2 AND ${field} < $1`,
+      [score, mode]
     );
     
     const lowerCount = parseInt(lowerResult.rows[0].lower_count);
@@ -287,15 +974,15 @@ export async function calculatePercentile(score: number, metric: 'speed' | 'perf
 }
 
 // Get current rank for a score
-export async function getCurrentRank(score: number, metric: 'speed' | 'performance'): Promise<number> {
+export async function getCurrentRank(score: number, metric: 'speed' | 'performance', mode: string = DEFAULT_MODE): Promise<number> {
   try {
     const field = metric === 'speed' ? 'speed_score' : 'performance_score';
     
     const result = await sql.query(
       `SELECT COUNT(*) + 1 as rank 
        FROM runs 
-       WHERE is_ai = false AND ${field} > $1`,
-      [score]
+       WHERE is_ai = false AND input_source = 'pointer' AND hidden = false AND mode = $2 AND ${field} > $1`,
+      [score, mode]
     );
     
     return parseInt(result.rows[0].rank);
@@ -305,20 +992,27 @@ export async function getCurrentRank(score: number, metric: 'speed' | 'performan
   }
 }
 
-// Get AI comparison deltas
-export async function getAIComparisons(speedScore: number, performanceScore: number): Promise<Record<string, { speed: number, performance: number }>> {
+// Get AI comparison deltas for a game mode, keyed by registry slug
+export async function getAIComparisons(
+  speedScore: number,
+  performanceScore: number,
+  mode: string = DEFAULT_MODE
+): Promise<Record<string, AIComparison>> {
   try {
+    // One comparison per registered model, against its mean over its runs in the mode
     const result = await sql`
-      SELECT ai_model, speed_score, performance_score 
-      FROM runs 
-      WHERE is_ai = true AND ai_model IS NOT NULL
+      SELECT m.slug, m.display_name, AVG(r.speed_score) as speed_score, AVG(r.performance_score) as performance_score 
+      FROM runs r
+      JOIN ai_models m ON m.id = r.ai_model_id
+      WHERE r.is_ai = true AND r.hidden = false AND r.mode = ${mode}
+      GROUP BY m.id, m.slug, m.display_name
     `;
 
-    const comparisons: Record<string, { speed: number, performance: number }> = {};
+    const comparisons: Record<string, AIComparison> = {};
     
     for (const ai of result.rows) {
-      const modelKey = ai.ai_model.toLowerCase().replace(/[^a-z0-9]/g, '_');
-      comparisons[modelKey] = {
+      comparisons[ai.slug] = {
+        display_name: ai.display_name,
         speed: Math.round(speedScore - parseFloat(ai.speed_score)),
         performance: Math.round(performanceScore - parseFloat(ai.performance_score))
       };
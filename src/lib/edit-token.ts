@@ -0,0 +1,48 @@
+// Per-run edit tokens: returned once by POST /api/runs, stored only as a hash, and
+// required (as "Authorization: Bearer <token>") to rename or delete the run
+
+import crypto from 'crypto';
+import { NextApiRequest } from 'next';
+
+export interface EditTokenResult {
+  valid: boolean;
+  error?: string;
+  status?: number;
+}
+
+export function hashEditToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A fresh random token and the hash to store with the run
+export function generateEditToken(): { token: string; hash: string } {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashEditToken(token) };
+}
+
+// Token from an "Authorization: Bearer <token>" header, if any
+export function getBearerToken(req: NextApiRequest): string | null {
+  const header = req.headers.authorization;
+  const match = typeof header === 'string' ? /^Bearer\s+(\S+)$/i.exec(header.trim()) : null;
+  return match ? match[1] : null;
+}
+
+// Check a presented token against the hash stored with the run
+export function verifyEditToken(token: string | null, storedHash: string | null | undefined): EditTokenResult {
+  if (!token) {
+    return { valid: false, error: 'Edit token required', status: 401 };
+  }
+
+  // Runs stored before edit tokens existed can't be edited
+  if (!storedHash) {
+    return { valid: false, error: 'Run cannot be edited', status: 403 };
+  }
+
+  const expected = Buffer.from(storedHash);
+  const actual = Buffer.from(hashEditToken(token));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid edit token', status: 403 };
+  }
+
+  return { valid: true };
+}
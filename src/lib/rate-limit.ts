@@ -0,0 +1,129 @@
+// Sliding-window rate limiting per client IP hash.
+// Hits are kept in the database (shared by every serverless instance) or, for
+// local development, in memory. Pick with RATE_LIMIT_STORE=database|memory; the
+// default is the database when POSTGRES_URL is set.
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { recordRateLimitHit } from '@/lib/database';
+import { getClientIPHash } from '@/lib/validation';
+import { logger } from '@/utils/logger';
+
+export interface RateLimitRule {
+  limit: number;     // requests allowed...
+  windowMs: number;  // ...in any window this long
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  remaining: number;     // requests left in the current window
+  retryAfterMs: number;  // 0 when allowed
+}
+
+// Limits per bucket, each overridable with an env var holding "<limit>/<window seconds>"
+export const RATE_LIMITS: Record<string, { rule: RateLimitRule; env: string }> = {
+  runs: { rule: { limit: 10, windowMs: 60 * 1000 }, env: 'RATE_LIMIT_RUNS' },
+  username: { rule: { limit: 10, windowMs: 10 * 60 * 1000 }, env: 'RATE_LIMIT_USERNAME' }
+};
+
+export type RateLimitBucket = keyof typeof RATE_LIMITS;
+
+// Parse "<limit>/<window seconds>", e.g. "10/60". Returns null if malformed
+export function parseRateLimit(value: string | undefined): RateLimitRule | null {
+  const match = /^\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(value || '');
+  if (!match) return null;
+
+  const limit = parseInt(match[1]);
+  const windowMs = parseFloat(match[2]) * 1000;
+  return limit > 0 && windowMs > 0 ? { limit, windowMs } : null;
+}
+
+export function getRateLimitRule(bucket: RateLimitBucket): RateLimitRule {
+  const { rule, env } = RATE_LIMITS[bucket];
+  const configured = process.env[env];
+  if (configured === undefined) return rule;
+
+  const parsed = parseRateLimit(configured);
+  if (!parsed) {
+    logger.warn(`⚠️ Ignoring malformed ${env}="${configured}", using ${rule.limit}/${rule.windowMs / 1000}`);
+  }
+  return parsed || rule;
+}
+
+// Storage for counted hits. `hit` counts a request unless the limit is already reached
+export interface RateLimitStore {
+  hit(bucket: string, ipHash: string, rule: RateLimitRule): Promise<RateLimitResult>;
+}
+
+// Per-process store: fine for `next dev`, but every serverless instance has its own
+export function createMemoryStore(now: () => number = Date.now): RateLimitStore {
+  const hits = new Map<string, number[]>();
+
+  return {
+    async hit(bucket, ipHash, { limit, windowMs }) {
+      const key = `${bucket}:${ipHash}`;
+      const time = now();
+      const recent = (hits.get(key) || []).filter(t => t > time - windowMs);
+
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - time };
+      }
+
+      recent.push(time);
+      hits.set(key, recent);
+      return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+    }
+  };
+}
+
+export const databaseStore: RateLimitStore = {
+  async hit(bucket, ipHash, { limit, windowMs }) {
+    const { count, retryAfterMs } = await recordRateLimitHit(bucket, ipHash, limit, windowMs);
+    return count >= limit
+      ? { allowed: false, remaining: 0, retryAfterMs }
+      : { allowed: true, remaining: limit - count - 1, retryAfterMs: 0 };
+  }
+};
+
+const memoryStore = createMemoryStore();
+
+export function getRateLimitStore(): RateLimitStore {
+  const configured = process.env.RATE_LIMIT_STORE;
+  if (configured === 'memory') return memoryStore;
+  if (configured === 'database') return databaseStore;
+  return process.env.POSTGRES_URL ? databaseStore : memoryStore;
+}
+
+// Count a request against its bucket. When the client is over the limit this sends
+// the 429 (with Retry-After in whole seconds) and returns false; the handler should
+// then return without doing anything else. If the store fails the request is let through.
+export async function enforceRateLimit(
+  req: NextApiRequest,
+  res: NextApiResponse,
+  bucket: RateLimitBucket,
+  store: RateLimitStore = getRateLimitStore()
+): Promise<boolean> {
+  const rule = getRateLimitRule(bucket);
+  const ipHash = getClientIPHash(req);
+
+  let result: RateLimitResult;
+  try {
+    result = await store.hit(bucket, ipHash, rule);
+  } catch (error) {
+    logger.error('💥 Rate limit check failed, allowing request:', error);
+    return true;
+  }
+
+  res.setHeader('X-RateLimit-Limit', String(rule.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) {
+    const retryAfterSeconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    logger.log(`🚦 Rate limited ${bucket} for ${ipHash}, retry in ${retryAfterSeconds}s`);
+    res.setHeader('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ error: 'Too many requests', retry_after: retryAfterSeconds });
+    return false;
+  }
+
+  return true;
+}
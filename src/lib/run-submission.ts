@@ -0,0 +1,257 @@
+// Validation and scoring shared by every way a run is submitted (POST /api/runs
+// for players, POST /api/ai-runs for agents): both go through exactly the same checks
+
+import {
+  validateSeed,
+  validateContainerSize,
+  validateDevicePixelRatio,
+  validateDailyChallenge,
+  validateMode,
+  validateInputSource,
+  validateGameStats,
+  validateGameConsistency,
+  validateClientStats,
+  validateTrackingCoverage,
+  validateCourse,
+  validateClickLog,
+  validateBadges
+} from '@/lib/validation';
+import {
+  calculateSpeedScore,
+  calculatePerformanceScore,
+  calculateRunStats,
+  calculateFittsStats,
+  calculateTrackingStats,
+  calculateTrajectoryStats,
+  calculateReactionStats,
+  determineBadges,
+  getAverageTimePerHit
+} from '@/utils/scoring';
+import { verifyRunToken, validateRunElapsed, RunTokenPayload } from '@/lib/run-token';
+import { logger } from '@/utils/logger';
+import {
+  ClickLog,
+  FittsMetrics,
+  ReactionMetrics,
+  RunRecord,
+  RunStats,
+  TrackingMetrics,
+  TrackingSample,
+  TrajectoryMetrics
+} from '@/types/database';
+import { DEFAULT_MODE, getMode } from '../../public/js/modes.js';
+import { INPUT_SOURCE_POINTER } from '../../public/js/models.js';
+
+// A submitted run that passed every check, with everything the server computed for it
+export interface ScoredRun {
+  mode: string;
+  runToken: RunTokenPayload;  // consume it before storing the run
+  computed: RunStats;
+  speedScore: number;
+  performanceScore: number;
+  fitts: FittsMetrics | null;
+  tracking: TrackingMetrics | null;
+  movement: TrajectoryMetrics | null;
+  timing: ReactionMetrics | null;
+  badges: string[];
+  // Columns for insertRun; the caller adds who submitted it
+  record: Omit<RunRecord, 'id' | 'created_at' | 'is_ai'>;
+}
+
+export type RunSubmissionResult =
+  | { valid: true; run: ScoredRun }
+  | { valid: false; status: number; error: string };
+
+function reject(status: number, error: string | undefined): RunSubmissionResult {
+  return { valid: false, status, error: error || 'Invalid run' };
+}
+
+// Validate a submitted run (course, stats, click logs, run token) and score it from
+// the click coordinates. The request body's run fields are read; anything about who
+// submitted it (username, AI model) is up to the caller
+export function scoreRunSubmission(body: any): RunSubmissionResult {
+  const {
+    seed, container_size, device_pixel_ratio, challenge_date, mode, input_source, stats, click_logs, badges, run_token
+  } = body || {};
+
+  // Validate input structure
+  if (!stats || !click_logs) {
+    logger.log('❌ Validation failed: Missing required fields');
+    return reject(400, 'Missing required fields: stats, click_logs');
+  }
+
+  // Validate course seed and game area size
+  const seedValidation = validateSeed(seed);
+  if (!seedValidation.valid) {
+    return reject(400, seedValidation.error);
+  }
+
+  const containerSizeValidation = validateContainerSize(container_size);
+  if (!containerSizeValidation.valid) {
+    return reject(400, containerSizeValidation.error);
+  }
+  const dprValidation = validateDevicePixelRatio(device_pixel_ratio);
+  if (!dprValidation.valid) {
+    return reject(400, dprValidation.error);
+  }
+
+  // Validate game mode (defaults to classic when omitted)
+  const modeValidation = validateMode(mode);
+  if (!modeValidation.valid) {
+    return reject(400, modeValidation.error);
+  }
+  const runMode = mode || DEFAULT_MODE;
+
+  // Runs driven through the page's agent API say so
+  const inputSourceValidation = validateInputSource(input_source);
+  if (!inputSourceValidation.valid) {
+    return reject(400, inputSourceValidation.error);
+  }
+
+  // Daily challenge runs must use that day's shared seed
+  const dailyValidation = validateDailyChallenge(challenge_date, seed);
+  if (!dailyValidation.valid) {
+    return reject(400, dailyValidation.error);
+  }
+
+  // Validate game statistics
+  const statsValidation = validateGameStats(stats);
+  if (!statsValidation.valid) {
+    return reject(400, statsValidation.error);
+  }
+
+  // Validate click logs
+  if (!Array.isArray(click_logs)) {
+    return reject(400, 'click_logs must be an array');
+  }
+
+  for (const log of click_logs) {
+    const logValidation = validateClickLog(log);
+    if (!logValidation.valid) {
+      return reject(400, `Invalid click log: ${logValidation.error}`);
+    }
+  }
+  const runLogs = click_logs as Array<ClickLog | TrackingSample>;
+
+  // Cross-validate consistency between stats and logs
+  const consistencyValidation = validateGameConsistency(stats, runLogs, runMode);
+  if (!consistencyValidation.valid) {
+    return reject(400, consistencyValidation.error);
+  }
+
+  // Recompute the run from the click coordinates; the client's stats are only a cross-check
+  const computed = calculateRunStats(runLogs, { mode: runMode, containerSize: container_size, seed });
+  const clientStatsValidation = validateClientStats(stats, runLogs, computed);
+  if (!clientStatsValidation.valid) {
+    logger.log('❌ Client stats do not match recomputed stats:', clientStatsValidation.error);
+    return reject(400, clientStatsValidation.error);
+  }
+
+  // Tracking runs must be sampled across their whole duration
+  const coverageValidation = validateTrackingCoverage(runLogs, computed.durationMs, runMode);
+  if (!coverageValidation.valid) {
+    return reject(400, coverageValidation.error);
+  }
+
+  // The run must come with a token from POST /api/runs/start for this course,
+  // presented within its time window
+  const tokenValidation = verifyRunToken(run_token);
+  if (!tokenValidation.valid) {
+    logger.log('❌ Run token rejected:', tokenValidation.error);
+    return reject(tokenValidation.status || 401, tokenValidation.error);
+  }
+  const runToken = tokenValidation.payload!;
+
+  if (runToken.seed !== seed || runToken.mode !== runMode || runToken.challengeDate !== (challenge_date || null)) {
+    return reject(401, 'Run does not match its run token');
+  }
+
+  const elapsedValidation = validateRunElapsed(runToken, computed.durationMs);
+  if (!elapsedValidation.valid) {
+    logger.log('❌ Run token rejected:', elapsedValidation.error);
+    return reject(401, elapsedValidation.error);
+  }
+
+  // Targets must be where the seeded course put them
+  const courseValidation = validateCourse(runLogs, { mode: runMode, containerSize: container_size, seed });
+  if (!courseValidation.valid) {
+    return reject(400, courseValidation.error);
+  }
+
+  // Validate badges if provided (older clients send them; the server awards its own below)
+  if (badges) {
+    const badgesValidation = validateBadges(badges);
+    if (!badgesValidation.valid) {
+      return reject(400, badgesValidation.error);
+    }
+  }
+
+  // Calculate enhanced scores
+  const gameMode = getMode(runMode);
+  const speedScore = calculateSpeedScore(computed.durationMs, computed.totalHits);
+
+  // The tracking task is scored by time on target instead of click accuracy
+  const tracking = gameMode.tracksPointer ? calculateTrackingStats(runLogs) : null;
+  const performanceScore = gameMode.tracksPointer
+    ? (tracking?.score ?? 0)
+    : calculatePerformanceScore(computed.avgAccuracy, computed.totalHits, gameMode.scoring.fullScoreHits);
+  const avgTimePerHit = getAverageTimePerHit(computed.durationMs, computed.totalHits);
+
+  // Block-based modes (Fitts) get throughput computed from the click logs
+  const fitts = gameMode.trialsPerBlock ? calculateFittsStats(runLogs as ClickLog[], gameMode.trialsPerBlock) : null;
+
+  // Movement analysis from the pointer paths between clicks (when the client sent them)
+  const movement = calculateTrajectoryStats(runLogs);
+
+  // Reaction / movement time split (stored as medians for leaderboard sorting)
+  const timing = calculateReactionStats(runLogs);
+
+  // Badges are awarded from the recomputed stats; any the client sent are ignored
+  const earnedBadges = determineBadges({
+    totalHits: computed.totalHits,
+    avgAccuracy: computed.avgAccuracy,
+    bestAccuracy: computed.bestAccuracy,
+    speedScore,
+    performanceScore,
+    clickLogs: computed.clicks
+  });
+
+  return {
+    valid: true,
+    run: {
+      mode: runMode,
+      runToken,
+      computed,
+      speedScore,
+      performanceScore,
+      fitts,
+      tracking,
+      movement,
+      timing,
+      badges: earnedBadges,
+      record: {
+        speed_score: speedScore,
+        performance_score: performanceScore,
+        total_hits: computed.totalHits,
+        avg_accuracy: computed.avgAccuracy,
+        best_accuracy: computed.bestAccuracy,
+        final_radius: computed.finalRadius,
+        duration_ms: computed.durationMs,
+        avg_time_per_hit_ms: avgTimePerHit,
+        click_logs: runLogs,
+        seed: seed,
+        container_size: container_size,
+        device_pixel_ratio: device_pixel_ratio == null ? null : Math.round(device_pixel_ratio * 100) / 100,
+        challenge_date: challenge_date || null,
+        mode: runMode,
+        input_source: input_source || INPUT_SOURCE_POINTER,
+        throughput: fitts?.throughput ?? null,
+        effective_width: fitts?.effectiveWidth ?? null,
+        effective_id: fitts?.effectiveId ?? null,
+        reaction_time_ms: timing?.reactionTime.median ?? null,
+        movement_time_ms: timing?.movementTime.median ?? null,
+        badges: earnedBadges
+      }
+    }
+  };
+}
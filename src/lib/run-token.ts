@@ -0,0 +1,112 @@
+// Signed run tokens: issued by POST /api/runs/start, required by POST /api/runs.
+// Signed with RUN_TOKEN_SECRET; without it no tokens are issued or accepted, since a
+// default secret would be public and anyone could sign their own tokens.
+
+import crypto from 'crypto';
+
+// A run has to be submitted within this long of its token being issued
+export const RUN_TOKEN_MAX_AGE_MS = 15 * 60 * 1000;
+
+// Allowance for the client's clock running slightly ahead of the server's
+export const RUN_TOKEN_CLOCK_SLACK_MS = 1000;
+
+export interface RunTokenPayload {
+  id: string;                    // unique per token, recorded when the token is used
+  seed: number;                  // course seed the run has to use
+  mode: string;                  // game mode the run has to be played in
+  challengeDate: string | null;  // 'YYYY-MM-DD' for daily challenge runs
+  issuedAt: number;              // server time (epoch ms)
+}
+
+export interface RunTokenResult {
+  valid: boolean;
+  error?: string;
+  status?: number;
+  payload?: RunTokenPayload;
+}
+
+export const RUN_TOKENS_NOT_CONFIGURED = 'Run submission is not configured';
+
+export function isRunTokenConfigured(): boolean {
+  return Boolean(process.env.RUN_TOKEN_SECRET);
+}
+
+function getSecret(): string {
+  const secret = process.env.RUN_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('RUN_TOKEN_SECRET is not set');
+  }
+  return secret;
+}
+
+function sign(data: string): string {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 of the first part)
+export function issueRunToken(
+  { seed, mode, challengeDate = null }: { seed: number; mode: string; challengeDate?: string | null },
+  now: number = Date.now()
+): { token: string; payload: RunTokenPayload } {
+  const payload: RunTokenPayload = {
+    id: crypto.randomBytes(12).toString('hex'),
+    seed,
+    mode,
+    challengeDate,
+    issuedAt: now
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${data}.${sign(data)}`, payload };
+}
+
+// Check a token's signature and age. Whether it was already used is up to the caller
+export function verifyRunToken(token: any, now: number = Date.now()): RunTokenResult {
+  if (!isRunTokenConfigured()) {
+    return { valid: false, error: RUN_TOKENS_NOT_CONFIGURED, status: 503 };
+  }
+
+  if (token === undefined || token === null || token === '') {
+    return { valid: false, error: 'Run token required' };
+  }
+
+  if (typeof token !== 'string' || token.length > 512) {
+    return { valid: false, error: 'Invalid run token' };
+  }
+
+  const [data, signature, ...rest] = token.split('.');
+  if (!data || !signature || rest.length > 0) {
+    return { valid: false, error: 'Invalid run token' };
+  }
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid run token' };
+  }
+
+  let payload: RunTokenPayload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, error: 'Invalid run token' };
+  }
+
+  if (now - payload.issuedAt > RUN_TOKEN_MAX_AGE_MS) {
+    return { valid: false, error: 'Run token expired' };
+  }
+
+  if (payload.issuedAt - now > RUN_TOKEN_CLOCK_SLACK_MS) {
+    return { valid: false, error: 'Run token not valid yet' };
+  }
+
+  return { valid: true, payload };
+}
+
+// The run can't have lasted longer than the server saw pass since the token was issued
+export function validateRunElapsed(payload: RunTokenPayload, durationMs: number, now: number = Date.now()): RunTokenResult {
+  if (durationMs > now - payload.issuedAt + RUN_TOKEN_CLOCK_SLACK_MS) {
+    return { valid: false, error: 'Run took longer than the time since its token was issued' };
+  }
+
+  return { valid: true, payload };
+}
@@ -0,0 +1,95 @@
+// Username content filtering: blocked words (with leetspeak undone) and names
+// reserved for the AI benchmark rows
+
+// Error codes sent with a rejection so the UI can explain it
+export const USERNAME_INAPPROPRIATE = 'username_inappropriate';
+export const USERNAME_RESERVED = 'username_reserved';
+
+// Caught anywhere in a name. Extended with USERNAME_BLOCKED_WORDS (comma-separated)
+export const DEFAULT_BLOCKED_WORDS = [
+  'asshole', 'bastard', 'bitch', 'bollocks', 'cunt', 'dyke', 'faggot', 'fuck',
+  'kike', 'nigga', 'nigger', 'porn', 'pussy', 'retard', 'shit', 'slut', 'tranny',
+  'twat', 'whore'
+];
+
+// Only caught as a whole word, as they turn up inside harmless names ("Cassandra",
+// "Dickens", "Grapes", "Swanky"). Extended with USERNAME_BLOCKED_WHOLE_WORDS
+export const DEFAULT_BLOCKED_WHOLE_WORDS = [
+  'ass', 'cock', 'dick', 'fag', 'nazi', 'piss', 'rape', 'spic', 'tits', 'wank'
+];
+
+// AI model names, as in the benchmark rows' ai_model (a version suffix such as
+// "4" or "3.5" is also covered). Humans can't submit under these
+export const RESERVED_NAMES = [
+  'ai', 'anthropic', 'averagehuman', 'bard', 'chatgpt', 'claude', 'copilot',
+  'gemini', 'gpt', 'llama', 'mistral', 'openai'
+];
+
+// Leetspeak substitutions. '1', '|' and '!' (before a letter, so "Wow!" stays
+// a word) can stand for either 'i' or 'l', so names are checked both ways
+const LEET_MAP: Record<string, string> = {
+  '0': 'o', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '+': 't'
+};
+const AMBIGUOUS_I = /[1|]|!(?=[a-z])/g;
+
+// Lowercase with leetspeak undone. Separators (spaces, - _ .) are kept so words can
+// still be told apart
+function normalize(text: string, ambiguousAs: 'i' | 'l'): string {
+  return text
+    .toLowerCase()
+    .replace(AMBIGUOUS_I, ambiguousAs)
+    .replace(/[0-9@$+]/g, c => LEET_MAP[c] ?? c);
+}
+
+// Pattern for a blocked word whose letters may be repeated for effect ("fuuuck"):
+// a run of n letters matches n or more, so "ass" still needs two s's
+function wordPattern(word: string): string {
+  return word.replace(/([a-z])\1*/g, run => `${run[0]}{${run.length},}`);
+}
+
+// Default list plus the comma-separated words in an env var, normalized like names
+function getWordList(defaults: string[], envVar: string): string[] {
+  const extra = (process.env[envVar] || '')
+    .split(',')
+    .map(word => word.trim())
+    .filter(Boolean);
+
+  return [...defaults, ...extra]
+    .map(word => normalize(word, 'i').replace(/[^a-z]/g, ''))
+    .filter(Boolean);
+}
+
+// True if the name contains a blocked word, even spelled "Sh1t", "f.u.c.k" or "FUUUCK"
+export function containsBlockedWord(username: string): boolean {
+  const blocked = getWordList(DEFAULT_BLOCKED_WORDS, 'USERNAME_BLOCKED_WORDS')
+    .map(word => new RegExp(wordPattern(word)));
+  const blockedWhole = getWordList(DEFAULT_BLOCKED_WHOLE_WORDS, 'USERNAME_BLOCKED_WHOLE_WORDS')
+    .map(word => new RegExp(`^${wordPattern(word)}$`));
+
+  return (['i', 'l'] as const).some(ambiguousAs => {
+    const words = normalize(username, ambiguousAs).split(/[^a-z]+/).filter(Boolean);
+    // A word spelled out one letter at a time ("f.u.c.k") is also checked joined up.
+    // Other words are checked one by one, so "Push It" doesn't read as "pushit"
+    const spelledOut = words.length > 1 && words.every(word => word.length === 1);
+    const candidates = spelledOut ? [...words, words.join('')] : words;
+
+    return candidates.some(word =>
+      blocked.some(pattern => pattern.test(word)) ||
+      blockedWhole.some(pattern => pattern.test(word))
+    );
+  });
+}
+
+// True if the name is an AI model's name, e.g. "Claude", "ChatGPT-4" or "GPT 3.5"
+export function isReservedName(username: string): boolean {
+  return (['i', 'l'] as const).some(ambiguousAs => {
+    // Letters and digits only, checked with and without a trailing version ("4", "35", "4o")
+    const compact = username.toLowerCase().replace(AMBIGUOUS_I, ambiguousAs).replace(/[^a-z0-9]/g, '');
+    const unversioned = compact.replace(/[0-9]+[a-z]?$/, '');
+
+    return [compact, unversioned]
+      .map(name => name.replace(/[0-9]/g, c => LEET_MAP[c] ?? c))
+      .some(name => RESERVED_NAMES.includes(name));
+  });
+}
@@ -1,11 +1,27 @@
 // Input validation and game logic validation utilities
 
 import crypto from 'crypto';
-import { ClickLog } from '@/types/database';
+import type { NextApiRequest } from 'next';
+import { ClickLog, CourseTarget, RunStats, TrackingSample } from '@/types/database';
+import { dailySeed, utcDateKey } from '../../public/js/random.js';
+import { DEFAULT_MODE, TRACKING_SAMPLE_MS, getMode, isValidMode } from '../../public/js/modes.js';
+import { isTrackingSample } from '../../public/js/tracking.js';
+import { MAX_PATH_POINTS, PATH_STRIDE } from '../../public/js/trajectory.js';
+import { replayCourse } from '../../public/js/course.js';
+import { calculateDistance } from '../../public/js/game-logic.js';
+import { INPUT_SOURCES } from '../../public/js/models.js';
+import { BADGES } from '@/utils/scoring';
+import {
+  containsBlockedWord,
+  isReservedName,
+  USERNAME_INAPPROPRIATE,
+  USERNAME_RESERVED
+} from '@/lib/username-filter';
 
 export interface ValidationResult {
   valid: boolean;
   error?: string;
+  code?: string;  // machine-readable reason, for rejections the UI explains
 }
 
 // Validate username
@@ -25,6 +41,197 @@ export function validateUsername(username?: string): ValidationResult {
     return { valid: false, error: 'Username contains invalid characters' };
   }
   
+  if (containsBlockedWord(username)) {
+    return { valid: false, error: 'Username is not allowed', code: USERNAME_INAPPROPRIATE };
+  }
+  
+  if (isReservedName(username)) {
+    return { valid: false, error: 'Username is reserved for AI benchmarks', code: USERNAME_RESERVED };
+  }
+  
+  return { valid: true };
+}
+
+// Validate course seed (unsigned 32-bit integer)
+export function validateSeed(seed: any): ValidationResult {
+  if (typeof seed !== 'number' || !Number.isInteger(seed)) {
+    return { valid: false, error: 'Seed must be an integer' };
+  }
+  
+  if (seed < 0 || seed > 0xFFFFFFFF) {
+    return { valid: false, error: 'Seed out of range' };
+  }
+  
+  return { valid: true };
+}
+
+// Validate game area size (needed to regenerate target positions from the seed)
+export function validateContainerSize(size: any): ValidationResult {
+  if (typeof size !== 'number' || !Number.isInteger(size)) {
+    return { valid: false, error: 'Container size must be an integer' };
+  }
+  
+  if (size < 50 || size > 1000) {
+    return { valid: false, error: 'Invalid container size' };
+  }
+  
+  return { valid: true };
+}
+
+// Screen pixels per game area pixel the run was played at (window.devicePixelRatio,
+// which browser zoom scales too, or the scale factor of a headless benchmark run).
+// Optional: older clients don't send it
+export function validateDevicePixelRatio(ratio: any): ValidationResult {
+  if (ratio === undefined || ratio === null) return { valid: true };
+  
+  if (typeof ratio !== 'number' || !Number.isFinite(ratio) || ratio < 0.1 || ratio > 20) {
+    return { valid: false, error: 'Invalid device pixel ratio' };
+  }
+  
+  return { valid: true };
+}
+
+// Validate daily challenge date and seed (free play runs have no challenge date)
+export function validateDailyChallenge(challengeDate: any, seed: number, now: Date = new Date()): ValidationResult {
+  if (challengeDate === undefined || challengeDate === null) return { valid: true };
+  
+  if (typeof challengeDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(challengeDate)) {
+    return { valid: false, error: 'Invalid challenge date' };
+  }
+  
+  // Accept today's challenge, plus yesterday's during the first hour after 00:00 UTC
+  // so runs started just before the rollover can still be submitted
+  const today = utcDateKey(now);
+  const msSinceRollover = now.getTime() - Date.parse(today);
+  const yesterday = utcDateKey(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  const isCurrent = challengeDate === today || (challengeDate === yesterday && msSinceRollover < 60 * 60 * 1000);
+  
+  if (!isCurrent) {
+    return { valid: false, error: 'Daily challenge is no longer open' };
+  }
+  
+  if (seed !== dailySeed(challengeDate)) {
+    return { valid: false, error: 'Seed does not match the daily challenge' };
+  }
+  
+  return { valid: true };
+}
+
+// Validate game mode id (optional - older clients only play classic)
+export function validateMode(mode: any): ValidationResult {
+  if (mode === undefined || mode === null) return { valid: true };
+  
+  if (!isValidMode(mode)) {
+    return { valid: false, error: `Unknown game mode: ${mode}` };
+  }
+  
+  return { valid: true };
+}
+
+// How the run was played (defaults to 'pointer' when omitted)
+export function validateInputSource(inputSource: any): ValidationResult {
+  if (inputSource === undefined || inputSource === null) return { valid: true };
+  
+  if (!INPUT_SOURCES.includes(inputSource)) {
+    return { valid: false, error: `Unknown input source: ${inputSource}` };
+  }
+  
+  return { valid: true };
+}
+
+// Registry slugs: lowercase words joined by single dashes ('claude-3-5-sonnet')
+export const AI_MODEL_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const AI_MODEL_SLUG_MAX_LENGTH = 60;
+
+// Registry slug of a model name and version, so "ChatGPT-4" and "chatgpt 4" are the
+// same model. Must match the backfill expression in initializeDatabase
+export function toAIModelSlug(name: string, version?: string | null): string {
+  return [name, version].filter(Boolean).join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, AI_MODEL_SLUG_MAX_LENGTH)
+    .replace(/-+$/, '');
+}
+
+// Validate an AI model registry entry. With partial, only the fields present are checked
+// (PATCH); the slug itself can't change once runs refer to it, so it is create-only
+export function validateAIModelEntry(entry: any, { partial = false }: { partial?: boolean } = {}): ValidationResult {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { valid: false, error: 'Missing model entry' };
+  }
+  
+  if (partial) {
+    if (entry.slug !== undefined) return { valid: false, error: 'slug cannot be changed' };
+  } else {
+    if (typeof entry.slug !== 'string' || entry.slug.length > AI_MODEL_SLUG_MAX_LENGTH || !AI_MODEL_SLUG_PATTERN.test(entry.slug)) {
+      return { valid: false, error: `slug must be lowercase letters and digits joined by dashes, at most ${AI_MODEL_SLUG_MAX_LENGTH} characters` };
+    }
+  }
+  
+  if (!partial || entry.display_name !== undefined) {
+    if (typeof entry.display_name !== 'string' || !entry.display_name.trim() || entry.display_name.length > 50) {
+      return { valid: false, error: 'display_name must be a non-empty string of at most 50 characters' };
+    }
+  }
+  
+  // Optional fields: null clears them
+  for (const [field, maxLength] of [['provider', 50], ['version', 50], ['notes', 1000]] as Array<[string, number]>) {
+    const value = entry[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string' || value.length > maxLength) {
+      return { valid: false, error: `${field} must be a string of at most ${maxLength} characters` };
+    }
+  }
+  
+  const releaseDate = entry.release_date;
+  if (releaseDate !== undefined && releaseDate !== null) {
+    // Date.parse rolls 2024-02-30 over into March, so the round trip must give the same date back
+    const time = typeof releaseDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(releaseDate) ? Date.parse(releaseDate) : NaN;
+    if (isNaN(time) || utcDateKey(new Date(time)) !== releaseDate) {
+      return { valid: false, error: 'release_date must be a YYYY-MM-DD date' };
+    }
+  }
+  
+  return { valid: true };
+}
+
+// Model metadata sent with AI runs: { provider, name, version?, harness, slug?, screenshot?: { width, height } }
+export function validateAIModel(model: any): ValidationResult {
+  if (!model || typeof model !== 'object' || Array.isArray(model)) {
+    return { valid: false, error: 'Missing model metadata' };
+  }
+  
+  // Short identifiers, stored in VARCHAR(50) columns
+  const fields: Array<[string, boolean]> = [['provider', true], ['name', true], ['version', false], ['harness', true]];
+  for (const [field, required] of fields) {
+    const value = model[field];
+    if (value === undefined || value === null || value === '') {
+      if (required) return { valid: false, error: `Missing model ${field}` };
+      continue;
+    }
+    if (typeof value !== 'string' || value.length > 50 || !/^[a-zA-Z0-9 ._\-\/:+]+$/.test(value)) {
+      return { valid: false, error: `Invalid model ${field}` };
+    }
+  }
+  
+  // Registry entry to file the run under (optional: derived from name and version otherwise)
+  if (model.slug !== undefined && model.slug !== null) {
+    if (typeof model.slug !== 'string' || model.slug.length > AI_MODEL_SLUG_MAX_LENGTH || !AI_MODEL_SLUG_PATTERN.test(model.slug)) {
+      return { valid: false, error: 'Invalid model slug' };
+    }
+  } else if (!toAIModelSlug(model.name, model.version)) {
+    return { valid: false, error: 'Model name must contain letters or digits' };
+  }
+  
+  // Resolution of the screenshots the agent saw (optional: not every harness uses them)
+  if (model.screenshot !== undefined && model.screenshot !== null) {
+    const { width, height } = model.screenshot;
+    if (![width, height].every(v => Number.isInteger(v) && v > 0 && v <= 10000)) {
+      return { valid: false, error: 'Invalid screenshot resolution' };
+    }
+  }
+  
   return { valid: true };
 }
 
@@ -34,6 +241,11 @@ export function validateClickLog(log: any): ValidationResult {
     return { valid: false, error: 'Click log must be an object' };
   }
   
+  // Tracking runs log pointer samples alongside clicks
+  if (isTrackingSample(log)) {
+    return validateTrackingSample(log);
+  }
+  
   const requiredFields = ['t', 'cx', 'cy', 'tx', 'ty', 'r', 'd', 'hit'];
   
   for (const field of requiredFields) {
@@ -63,6 +275,158 @@ export function validateClickLog(log: any): ValidationResult {
     return { valid: false, error: 'Invalid distance' };
   }
   
+  // Target id is optional (older clients don't send it)
+  if (log.tid !== undefined && log.tid !== null && (!Number.isInteger(log.tid) || log.tid < 1)) {
+    return { valid: false, error: 'Invalid target id' };
+  }
+  
+  // Pointer path is optional
+  if (log.p !== undefined && log.p !== null) {
+    const pathValidation = validatePointerPath(log.p, log.t);
+    if (!pathValidation.valid) return pathValidation;
+  }
+  
+  // Target spawn and first-movement times are optional; spawn <= first movement <= click
+  if (log.ts !== undefined && log.ts !== null) {
+    if (typeof log.ts !== 'number' || log.ts < 0 || log.ts > log.t) {
+      return { valid: false, error: 'Invalid target spawn time' };
+    }
+  }
+  
+  if (log.tm !== undefined && log.tm !== null) {
+    const spawn = typeof log.ts === 'number' ? log.ts : 0;
+    if (typeof log.tm !== 'number' || log.tm < spawn || log.tm > log.t) {
+      return { valid: false, error: 'Invalid first movement time' };
+    }
+  }
+  
+  // Input-to-handler latency is optional; anything over a second isn't a real measurement
+  if (log.l !== undefined && log.l !== null) {
+    if (typeof log.l !== 'number' || log.l < 0 || log.l > 1000) {
+      return { valid: false, error: 'Invalid input latency' };
+    }
+  }
+  
+  // Target velocity is only logged for moving targets
+  for (const field of ['vx', 'vy']) {
+    if (log[field] === undefined || log[field] === null) continue;
+    if (typeof log[field] !== 'number' || Math.abs(log[field]) > 5000) {
+      return { valid: false, error: `Invalid target velocity: ${field}` };
+    }
+  }
+  
+  return { valid: true };
+}
+
+// Validate a click log's pointer path: [t, x, y, ...] with t rising up to the click time
+export function validatePointerPath(path: any, clickT: number): ValidationResult {
+  if (!Array.isArray(path) || path.length % PATH_STRIDE !== 0 || path.length > MAX_PATH_POINTS * PATH_STRIDE) {
+    return { valid: false, error: 'Invalid pointer path' };
+  }
+  
+  let previousT = 0;
+  for (let i = 0; i < path.length; i += PATH_STRIDE) {
+    const [t, x, y] = path.slice(i, i + PATH_STRIDE);
+    if (![t, x, y].every(value => typeof value === 'number' && Number.isFinite(value))) {
+      return { valid: false, error: 'Invalid pointer path' };
+    }
+    if (t < previousT || t > clickT) {
+      return { valid: false, error: 'Pointer path timestamps out of order' };
+    }
+    if (x < -1000 || x > 2000 || y < -1000 || y > 2000) {
+      return { valid: false, error: 'Invalid pointer path coordinates' };
+    }
+    previousT = t;
+  }
+  
+  return { valid: true };
+}
+
+// Validate tracking sample structure
+export function validateTrackingSample(sample: any): ValidationResult {
+  const requiredFields = ['t', 'px', 'py', 'tx', 'ty', 'r', 'd'];
+  
+  for (const field of requiredFields) {
+    if (typeof sample[field] !== 'number') {
+      return { valid: false, error: `Tracking sample missing or invalid field: ${field}` };
+    }
+  }
+  
+  if (typeof sample.on !== 'boolean') {
+    return { valid: false, error: 'Tracking sample missing or invalid field: on' };
+  }
+  
+  // Validate ranges
+  if (sample.t < 0 || sample.t > 600000) {
+    return { valid: false, error: 'Invalid timestamp in tracking sample' };
+  }
+  
+  // The pointer can leave the game area, so allow a margin around it
+  if (sample.px < -1000 || sample.px > 2000 || sample.py < -1000 || sample.py > 2000) {
+    return { valid: false, error: 'Invalid pointer coordinates' };
+  }
+  
+  if (sample.tx < 0 || sample.tx > 1000 || sample.ty < 0 || sample.ty > 1000) {
+    return { valid: false, error: 'Invalid target coordinates' };
+  }
+  
+  if (sample.r <= 0 || sample.r > 200) {
+    return { valid: false, error: 'Invalid target radius' };
+  }
+  
+  // Distance and on-target flag are recomputed from the positions, not taken on trust
+  const distance = calculateDistance(sample.px, sample.py, sample.tx, sample.ty);
+  if (Math.abs(sample.d - distance) > 0.01) {
+    return { valid: false, error: 'Tracking sample distance does not match its coordinates' };
+  }
+  
+  if (sample.on !== (distance <= sample.r)) {
+    return { valid: false, error: 'Tracking sample on-target flag does not match distance' };
+  }
+  
+  return { valid: true };
+}
+
+// Longest allowed wait for a tracking sample; a few missed intervals absorb dropped frames
+const TRACKING_MAX_GAP_MS = TRACKING_SAMPLE_MS * 5;
+
+// Tracking runs must be sampled every TRACKING_SAMPLE_MS from the start of the run
+// to its end: each sample scores the time since the previous one, so gaps or a late
+// start would let a few samples stand for the whole run
+export function validateTrackingCoverage(
+  runLogs: Array<ClickLog | TrackingSample>,
+  durationMs: number,
+  modeId: string = DEFAULT_MODE
+): ValidationResult {
+  if (!getMode(modeId).tracksPointer) {
+    return { valid: true };
+  }
+  
+  const samples = runLogs.filter(isTrackingSample);
+  if (samples.length === 0) {
+    return { valid: false, error: 'Tracking run has no tracking samples' };
+  }
+  
+  let previousT = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const { t } = samples[i];
+    if (i > 0 && t <= previousT) {
+      return { valid: false, error: 'Tracking samples out of order' };
+    }
+    // Sample times are unrounded, so allow 1ms for rounding by other clients
+    if (i > 0 && t - previousT < TRACKING_SAMPLE_MS - 1) {
+      return { valid: false, error: 'Tracking samples too close together' };
+    }
+    if (t - previousT > TRACKING_MAX_GAP_MS) {
+      return { valid: false, error: 'Gap in tracking samples' };
+    }
+    previousT = t;
+  }
+  
+  if (durationMs - previousT > TRACKING_MAX_GAP_MS) {
+    return { valid: false, error: 'Tracking samples do not cover the run' };
+  }
+  
   return { valid: true };
 }
 
@@ -114,11 +478,24 @@ export function validateGameStats(stats: any): ValidationResult {
 }
 
 // Cross-validate game stats with click logs for consistency
-export function validateGameConsistency(stats: any, clickLogs: ClickLog[]): ValidationResult {
-  if (!Array.isArray(clickLogs)) {
+export function validateGameConsistency(
+  stats: any,
+  runLogs: Array<ClickLog | TrackingSample>,
+  modeId: string = DEFAULT_MODE
+): ValidationResult {
+  if (!Array.isArray(runLogs)) {
     return { valid: false, error: 'Click logs must be an array' };
   }
   
+  const mode = getMode(modeId);
+  
+  // Pointer samples only belong to tracking runs, and don't count as clicks
+  const samples = runLogs.filter(isTrackingSample);
+  if (samples.length > 0 && !mode.tracksPointer) {
+    return { valid: false, error: 'Tracking samples are only allowed in the tracking mode' };
+  }
+  const clickLogs = runLogs.filter((log): log is ClickLog => !isTrackingSample(log));
+  
   // Count hits and misses from logs
   const hitLogs = clickLogs.filter(log => log.hit);
   const missLogs = clickLogs.filter(log => !log.hit);
@@ -128,14 +505,36 @@ export function validateGameConsistency(stats: any, clickLogs: ClickLog[]): Vali
     return { valid: false, error: 'Hit count mismatch between stats and logs' };
   }
   
-  // There should be exactly one miss (or zero if they reached minimum radius)
-  if (missLogs.length > 1) {
+  // Misses can't exceed the mode's lives (one in classic, or zero if they reached minimum radius)
+  if (mode.lives !== null && missLogs.length > mode.lives) {
     return { valid: false, error: 'Too many misses in click logs' };
   }
   
+  // A click that missed but has a target id landed on a decoy: only decoy modes
+  // have them, and the run ends there
+  const decoyIndex = clickLogs.findIndex(log => !log.hit && log.tid !== undefined && log.tid !== null);
+  if (decoyIndex !== -1) {
+    if (!mode.decoys) {
+      return { valid: false, error: 'Decoy clicks are only possible in decoy modes' };
+    }
+    if (decoyIndex !== clickLogs.length - 1) {
+      return { valid: false, error: 'Run continued after clicking a decoy' };
+    }
+  }
+  
+  // Modes with a fixed number of trials can't have extra clicks
+  if (mode.maxClicks !== null && clickLogs.length > mode.maxClicks) {
+    return { valid: false, error: 'Too many clicks in click logs' };
+  }
+  
+  // Time-limited modes can't run over the clock (1s tolerance)
+  if (mode.timeLimitMs !== null && stats.durationMs > mode.timeLimitMs + 1000) {
+    return { valid: false, error: 'Run exceeded the mode time limit' };
+  }
+  
   // Duration should roughly match the last click timestamp
-  if (clickLogs.length > 0) {
-    const maxTimestamp = Math.max(...clickLogs.map(log => log.t));
+  if (runLogs.length > 0) {
+    const maxTimestamp = Math.max(...runLogs.map(log => log.t));
     const timeDiff = Math.abs(maxTimestamp - stats.durationMs);
     
     // Allow some tolerance for timing differences
@@ -144,13 +543,91 @@ export function validateGameConsistency(stats: any, clickLogs: ClickLog[]): Vali
     }
   }
   
-  // Validate accuracy calculation
-  if (hitLogs.length > 0) {
-    const calculatedAvgAccuracy = hitLogs.reduce((sum, log) => sum + (log.a || 0), 0) / hitLogs.length;
-    const accuracyDiff = Math.abs(calculatedAvgAccuracy - stats.avgAccuracy);
+  return { valid: true };
+}
+
+// Cross-check what the client reported against the server's recomputation from
+// the click coordinates (calculateRunStats). The server only stores its own numbers;
+// the tolerances just absorb rounding by clients
+export function validateClientStats(
+  stats: any,
+  runLogs: Array<ClickLog | TrackingSample>,
+  computed: RunStats
+): ValidationResult {
+  const clickLogs = runLogs.filter((log): log is ClickLog => !isTrackingSample(log));
+  
+  for (let i = 0; i < clickLogs.length; i++) {
+    const log = clickLogs[i];
+    const click = computed.clicks[i];
     
-    if (accuracyDiff > 0.05) { // More than 5% difference
-      return { valid: false, error: 'Average accuracy mismatch' };
+    if (log.hit !== click.hit) {
+      return { valid: false, error: 'Click log hit does not match its coordinates' };
+    }
+    if (Math.abs(log.d - click.d) > 0.01) {
+      return { valid: false, error: 'Click log distance does not match its coordinates' };
+    }
+    if (click.hit && typeof log.a === 'number' && Math.abs(log.a - (click.a as number)) > 0.01) {
+      return { valid: false, error: 'Click log accuracy does not match its coordinates' };
+    }
+  }
+  
+  if (stats.totalHits !== computed.totalHits) {
+    return { valid: false, error: 'Hit count mismatch between stats and logs' };
+  }
+  
+  if (Math.abs(stats.avgAccuracy - computed.avgAccuracy) > 0.01) {
+    return { valid: false, error: 'Average accuracy mismatch' };
+  }
+  
+  if (Math.abs(stats.bestAccuracy - computed.bestAccuracy) > 0.01) {
+    return { valid: false, error: 'Best accuracy mismatch' };
+  }
+  
+  if (Math.abs(stats.finalRadius - computed.finalRadius) > 0.5) {
+    return { valid: false, error: 'Final radius mismatch' };
+  }
+  
+  // The client stops its clock a moment after the last click is handled
+  if (Math.abs(stats.durationMs - computed.durationMs) > 1000) {
+    return { valid: false, error: 'Duration mismatch between stats and logs' };
+  }
+  
+  return { valid: true };
+}
+
+// Target positions and sizes must be the ones the seeded course produces, replayed
+// with the game's own mode logic. Moving targets are checked by position when the
+// client logged their spawn time, otherwise by speed only. Hit flags must already
+// be verified (validateClientStats), since they decide how the course continues
+export function validateCourse(
+  runLogs: Array<ClickLog | TrackingSample>,
+  run: { mode: string; containerSize: number; seed: number }
+): ValidationResult {
+  const expected: Array<CourseTarget | null> = replayCourse(runLogs, run);
+  
+  for (let i = 0; i < runLogs.length; i++) {
+    const log = runLogs[i];
+    const target = expected[i];
+    
+    if (!target) {
+      return { valid: false, error: 'Run continued after it ended' };
+    }
+    
+    if (Math.abs(log.r - target.r) > 0.01) {
+      return { valid: false, error: 'Target radius does not match the course' };
+    }
+    
+    if (target.spawnKnown || target.vx === null) {
+      if (Math.abs(log.tx - target.x) > 0.5 || Math.abs(log.ty - target.y) > 0.5) {
+        return { valid: false, error: 'Target positions do not match the course seed' };
+      }
+    } else {
+      const click = log as ClickLog;
+      if (typeof click.vx !== 'number' || typeof click.vy !== 'number' ||
+          Math.abs(Math.abs(click.vx) - Math.abs(target.vx)) > 0.01 ||
+          Math.abs(Math.abs(click.vy) - Math.abs(target.vy as number)) > 0.01) {
+        return { valid: false, error: 'Target speed does not match the course seed' };
+      }
     }
   }
   
@@ -165,6 +642,12 @@ export function hashIP(ip: string): string {
     .substring(0, 16); // First 16 chars for storage efficiency
 }
 
+// IP hash of the client that sent a request
+export function getClientIPHash(req: NextApiRequest): string {
+  const clientIP = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+  return hashIP(Array.isArray(clientIP) ? clientIP[0] : clientIP);
+}
+
 // Sanitize user agent string
 export function sanitizeUserAgent(userAgent?: string): string {
   if (!userAgent || typeof userAgent !== 'string') return 'unknown';
@@ -182,10 +665,7 @@ export function validateBadges(badges: any): ValidationResult {
     return { valid: false, error: 'Badges must be an array' };
   }
   
-  const validBadges = [
-    'sharpshooter', 'circus_shot', 'speed_demon', 'perfectionist',
-    'marathon_runner', 'consistency', 'bullseye_master', 'steady_hands'
-  ];
+  const validBadges = BADGES.map(badge => badge.id);
   
   for (const badge of badges) {
     if (typeof badge !== 'string' || !validBadges.includes(badge)) {
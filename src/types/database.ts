@@ -11,10 +11,32 @@ export interface RunRecord {
   final_radius: number;
   duration_ms: number;
   avg_time_per_hit_ms: number;
-  click_logs: ClickLog[];
+  click_logs: Array<ClickLog | TrackingSample>; // tracking runs log pointer samples
+  seed?: number;           // course seed used to place targets
+  container_size?: number; // game area side length in px
+  device_pixel_ratio?: number | null; // screen pixels per game area pixel
+  challenge_date?: string; // 'YYYY-MM-DD' for daily challenge runs
+  mode?: string;           // game mode id (defaults to 'classic')
+  input_source?: string;   // 'pointer', or 'agent' when driven through window.ClickAccuracy
+  throughput?: number | null;      // Fitts throughput in bits/s (Fitts mode only)
+  effective_width?: number | null; // Fitts effective target width in px
+  effective_id?: number | null;    // Fitts effective index of difficulty in bits
+  reaction_time_ms?: number | null; // median target spawn -> first movement
+  movement_time_ms?: number | null; // median first movement -> click
+  suspicion_score?: number | null;  // bot detection score [0, 1]
+  reviewed_at?: Date | null;        // set once a flagged run has been reviewed
+  edit_token_hash?: string | null;  // SHA-256 of the run's edit token
+  hidden?: boolean;                 // hidden by a moderator: left out of every leaderboard and ranking
   badges: string[];
   is_ai: boolean;
   ai_model?: string;
+  ai_model_id?: number | null;       // AI runs: entry in the ai_models registry
+  ai_provider?: string | null;       // AI runs: who makes the model
+  ai_model_version?: string | null;  // AI runs: model version / snapshot
+  ai_harness?: string | null;        // AI runs: agent harness that played
+  screenshot_width?: number | null;  // AI runs: resolution of the screenshots the agent saw
+  screenshot_height?: number | null;
+  api_key_name?: string | null;      // AI runs: API key used to submit
   created_at?: Date;
   ip_hash?: string;
   user_agent?: string;
@@ -32,6 +54,60 @@ export interface ClickLog {
   a?: number;          // unweighted accuracy [0,1]
   w?: number;          // weight
   s?: number;          // weighted score a*w
+  vx?: number;         // target x velocity at click time in px/s (moving targets)
+  vy?: number;         // target y velocity at click time in px/s (moving targets)
+  tid?: number | null; // id of the clicked target or decoy (null for empty space)
+  p?: number[] | null; // pointer path since the previous click, flat [t, x, y, ...]
+  ts?: number | null;  // ms since run start when the target appeared
+  tm?: number | null;  // ms since run start of the first pointer movement after that
+  l?: number | null;   // ms between the input event and the click handler running
+}
+
+// Pointer sample from the tracking task, logged alongside clicks
+export interface TrackingSample {
+  type: 'track';
+  t: number;           // ms since run start
+  px: number;          // pointer x coordinate
+  py: number;          // pointer y coordinate
+  tx: number;          // target center x
+  ty: number;          // target center y
+  r: number;           // target radius
+  d: number;           // distance from center
+  on: boolean;         // pointer inside the target (d <= r)
+}
+
+// Click rescored by the server from its coordinates
+export interface ScoredClick {
+  t: number;
+  r: number;
+  tid: number | null;
+  d: number;
+  hit: boolean;
+  a: number | null;
+  w: number | null;
+  s: number | null;
+}
+
+// Where the seeded course had the target at a log's time (see replayCourse)
+export interface CourseTarget {
+  x: number;
+  y: number;
+  vx: number | null;
+  vy: number | null;
+  r: number;
+  spawnKnown: boolean;
+}
+
+// Run statistics recomputed from the click logs (see calculateRunStats)
+export interface RunStats {
+  totalHits: number;
+  misses: number;
+  avgAccuracy: number;
+  bestAccuracy: number;
+  finalRadius: number;
+  durationMs: number;
+  startR: number;
+  clicks: ScoredClick[];
 }
 
 export interface GameStats {
@@ -57,6 +133,15 @@ export interface LeaderboardEntry {
   badges: string[];
   is_ai: boolean;
   ai_model?: string;
+  ai_model_slug?: string | null;
+  ai_provider?: string | null;
+  ai_model_version?: string | null;
+  ai_model_release_date?: string | null;
+  ai_harness?: string | null;
+  mode?: string;
+  throughput?: number | null;
+  reaction_time_ms?: number | null;
+  movement_time_ms?: number | null;
 }
 
 export interface LeaderboardData {
@@ -68,15 +153,150 @@ export interface LeaderboardData {
     y: number;
     type: 'human' | 'ai' | 'current';
     model?: string;
+    model_slug?: string | null;
     username?: string;
   }>;
 }
 
+// An entry of the AI model registry: the stable identity runs refer to
+export interface AIModel {
+  id: number;
+  slug: string;                  // e.g. 'gpt-4o-2024-08-06', the key used across the API
+  display_name: string;
+  provider: string | null;
+  version: string | null;
+  release_date: string | null;   // 'YYYY-MM-DD'
+  notes: string | null;
+  runs?: number;                 // AI runs referring to it (admin listing)
+  created_at?: Date;
+  updated_at?: Date;
+}
+
+// One AI run's scores, grouped per model for the benchmark statistics
+export interface AIRunScore {
+  ai_model_slug: string | null;     // null for runs not linked to the registry
+  ai_provider: string | null;
+  ai_model: string | null;
+  ai_model_version: string | null;
+  ai_model_release_date: string | null;
+  ai_harness: string | null;
+  speed_score: number;
+  performance_score: number;
+  total_hits: number;
+}
+
+// Summary of one metric over a model's runs (see benchmark-stats.js)
+export interface SampleSummary {
+  n: number;
+  mean: number;
+  median: number;
+  sd: number | null;                 // null for a single run
+  ci95: [number, number] | null;     // bootstrap 95% interval of the mean
+}
+
+export interface AIModelStats {
+  ai_model_slug: string | null;
+  ai_model: string;
+  ai_provider: string | null;
+  ai_model_version: string | null;
+  ai_model_release_date: string | null;
+  harnesses: string[];
+  runs: number;
+  speed_score: SampleSummary;
+  performance_score: SampleSummary;
+  total_hits: SampleSummary;
+}
+
+export interface FittsMetrics {
+  throughput: number;      // bits/s, mean of per-block throughputs
+  effectiveWidth: number;  // px, 4.133 x SD of endpoint deviation
+  effectiveId: number;     // bits, log2(Ae / We + 1)
+  movementTimeMs: number;  // mean time between clicks
+  errorRate: number;       // misses / clicks
+  blocks: number;          // blocks with enough trials to score
+}
+
+export interface TrackingMetrics {
+  timeOnTarget: number;  // fraction of tracked time with the pointer inside the target
+  meanDistance: number;  // px, mean pointer distance from the center
+  score: number;         // 0-100, time on target in %
+  samples: number;
+}
+
+export interface TrajectoryMetrics {
+  pathLength: number;      // px, total over all clicks with a path
+  meanPathLength: number;  // px per click
+  pathEfficiency: number;  // [0, 1], straight-line distance / path length, averaged over clicks
+  overshoots: number;      // times the pointer went past the far edge of the target
+  paths: number;           // clicks with a usable path
+}
+
+export interface TimeDistribution {
+  mean: number;    // ms
+  median: number;
+  sd: number;
+  p25: number;
+  p75: number;
+  min: number;
+  max: number;
+  count: number;
+}
+
+export interface ReactionMetrics {
+  reactionTime: TimeDistribution;  // target appears -> first pointer movement
+  movementTime: TimeDistribution;  // first pointer movement -> click
+}
+
+export interface DailyChallenge {
+  date: string;       // 'YYYY-MM-DD' (UTC)
+  seed: number;       // shared course seed for the day
+  starts_at: string;  // ISO timestamp, 00:00 UTC
+  ends_at: string;    // ISO timestamp, next 00:00 UTC
+}
+
+// Audit trail entry for a run (see RUN_EVENT_TYPES in src/lib/database.ts)
+export interface RunEvent {
+  id?: number;
+  run_id: number;
+  event_type: string;                     // 'username_changed', 'run_deleted', ...
+  actor_type: 'owner' | 'admin' | 'system';
+  old_value?: string | null;
+  new_value?: string | null;
+  ip_hash?: string | null;                // who made the change (owner actions)
+  created_at?: Date;
+}
+
+// Run as listed in the admin review queue
+export interface FlaggedRun {
+  id: number;
+  username: string | null;
+  mode: string;
+  speed_score: number;
+  performance_score: number;
+  total_hits: number;
+  suspicion_score: number;
+  hidden: boolean;
+  reviewed_at: Date | null;
+  input_source: string;                   // 'agent' for runs driven through window.ClickAccuracy
+  ip_hash: string | null;
+  created_at: Date;
+}
+
+export interface BlockedIP {
+  ip_hash: string;
+  reason: string | null;
+  created_at?: Date;
+}
+
+// A run's score minus an AI model's mean in the same mode
+export interface AIComparison {
+  display_name: string;
+  speed: number;
+  performance: number;
+}
+
 export interface SubmissionResult {
   rank: number;
   percentile: number;
-  vs_ai: Record<string, {
-    speed: number;
-    performance: number;
-  }>;
+  vs_ai: Record<string, AIComparison>;    // keyed by AI model registry slug
 }
\ No newline at end of file
@@ -3,13 +3,18 @@
 import {
   calculateSpeedScore,
   calculatePerformanceScore,
+  calculateFittsStats,
+  calculateTrackingStats,
+  calculateTrajectoryStats,
+  calculateReactionStats,
+  calculateRunStats,
   determineBadges,
   calculateGameStatistics,
   getAverageTimePerHit,
   formatScore,
   BADGES
 } from '../scoring';
-import { GameStats, ClickLog } from '@/types/database';
+import { GameStats, ClickLog, TrackingSample } from '@/types/database';
 
 describe('Scoring Utilities', () => {
   describe('calculateSpeedScore', () => {
@@ -68,6 +73,11 @@ describe('Scoring Utilities', () => {
       expect(score10).toBe(40.0);
       expect(score20).toBe(80.0);
     });
+
+    it('should use the mode hit target for the full multiplier', () => {
+      expect(calculatePerformanceScore(0.8, 30, 60)).toBe(40.0); // 0.8 * (30/60) * 100
+      expect(calculatePerformanceScore(0.8, 60, 60)).toBe(80.0);
+    });
   });
 
   describe('determineBadges', () => {
@@ -131,6 +141,19 @@ describe('Scoring Utilities', () => {
       const badges = determineBadges(stats);
       expect(badges).toContain('bullseye_master');
     });
+    it('should judge rescored clicks, where misses have no accuracy', () => {
+      const hit = { hit: true, a: 1 };
+      const badges = determineBadges({
+        totalHits: 6,
+        avgAccuracy: 1,
+        bestAccuracy: 1,
+        speedScore: 50,
+        performanceScore: 30,
+        clickLogs: [hit, hit, hit, hit, hit, hit, { hit: false, a: null }]
+      });
+
+      expect(badges).toEqual(['sharpshooter', 'circus_shot', 'consistency', 'bullseye_master']);
+    });
   });
 
   describe('calculateGameStatistics', () => {
@@ -158,6 +181,182 @@ describe('Scoring Utilities', () => {
     });
   });
 
+  describe('calculateRunStats', () => {
+    // Classic on a 600px area starts at r = 60
+    const run = { mode: 'classic', containerSize: 600, seed: 42 };
+    const click = (t: number, cx: number, r: number, extra = {}): ClickLog => ({
+      t, cx, cy: 300, tx: 300, ty: 300, r, d: 0, hit: true, ...extra
+    });
+
+    it('should rescore every click from its coordinates', () => {
+      const stats = calculateRunStats([
+        click(1000, 300, 60),    // bullseye
+        click(2000, 330, 57),    // d 30 -> 1 - 30/57
+        click(2600, 400, 54)     // d 100 -> miss
+      ], run);
+
+      expect(stats.startR).toBe(60);
+      expect(stats.totalHits).toBe(2);
+      expect(stats.misses).toBe(1);
+      expect(stats.bestAccuracy).toBe(1);
+      expect(stats.avgAccuracy).toBeCloseTo((1 + (1 - 30 / 57)) / 2, 10);
+      expect(stats.finalRadius).toBe(57);
+      expect(stats.durationMs).toBe(2600);
+      expect(stats.clicks[1].d).toBe(30);
+      expect(stats.clicks[1].w).toBeCloseTo(Math.pow(60 / 57, 1.5), 10);
+      expect(stats.clicks[2]).toMatchObject({ hit: false, a: null });
+    });
+
+    it('should ignore the hit flags and distances the client sent', () => {
+      const stats = calculateRunStats([click(1000, 500, 60, { d: 0, hit: true, a: 1 })], run);
+
+      expect(stats.totalHits).toBe(0);
+      expect(stats.finalRadius).toBe(60);
+    });
+
+    it('should run time-limited modes for the full time unless the lives ran out', () => {
+      const logs = [click(1000, 300, 30), click(2000, 300, 30)];
+
+      expect(calculateRunStats(logs, { ...run, mode: 'time_attack' }).durationMs).toBe(60000);
+      expect(calculateRunStats(logs, run).durationMs).toBe(2000);
+    });
+  });
+
+  describe('calculateFittsStats', () => {
+    // Tapping back and forth between two targets 400px apart, 500ms per movement
+    const tap = (t: number, cx: number, tx: number, hit = true): ClickLog => ({
+      t, cx, cy: 300, tx, ty: 300, r: 12, d: Math.abs(cx - tx), hit, a: hit ? 0.9 : undefined
+    });
+    const logs: ClickLog[] = [
+      tap(0, 100, 100),
+      tap(500, 505, 500),
+      tap(1000, 95, 100),
+      tap(1500, 510, 500),
+      tap(2000, 100, 100)
+    ];
+
+    it('should compute effective width, effective ID and throughput', () => {
+      const fitts = calculateFittsStats(logs, 5);
+
+      // Endpoint deviations along the axis are [5, 5, 10, 0] -> SD 4.08, We = 4.133 * SD
+      expect(fitts?.effectiveWidth).toBe(16.9);
+      // Ae = 410 -> IDe = log2(410 / 16.87 + 1)
+      expect(fitts?.effectiveId).toBe(4.66);
+      expect(fitts?.movementTimeMs).toBe(500);
+      expect(fitts?.throughput).toBe(9.32);
+      expect(fitts?.blocks).toBe(1);
+    });
+
+    it('should count misses in the error rate', () => {
+      const withMiss = [...logs.slice(0, 4), tap(2000, 140, 100, false)];
+      expect(calculateFittsStats(withMiss, 5)?.errorRate).toBe(0.2);
+    });
+
+    it('should return null without enough trials', () => {
+      expect(calculateFittsStats(logs.slice(0, 2), 5)).toBeNull();
+    });
+  });
+
+  describe('calculateTrackingStats', () => {
+    const sample = (t: number, d: number): TrackingSample => ({
+      type: 'track', t, px: 300 + d, py: 300, tx: 300, ty: 300, r: 30, d, on: d <= 30
+    });
+
+    it('should weight time on target by the time each sample covers', () => {
+      // On target for 0-1500ms, off for 1500-2000ms
+      const stats = calculateTrackingStats([sample(1000, 0), sample(1500, 20), sample(2000, 40)]);
+
+      expect(stats?.timeOnTarget).toBe(0.75);
+      expect(stats?.score).toBe(75);
+      expect(stats?.meanDistance).toBe(20);
+      expect(stats?.samples).toBe(3);
+    });
+
+    it('should ignore click logs and return null without samples', () => {
+      const click: ClickLog = { t: 500, cx: 100, cy: 100, tx: 100, ty: 100, r: 20, d: 0, hit: true, a: 1 };
+      expect(calculateTrackingStats([click])).toBeNull();
+      expect(calculateTrackingStats([click, sample(1000, 0)])?.timeOnTarget).toBe(1);
+    });
+
+    it('should measure distance from the pointer and target positions, not the logged d', () => {
+      const forged = { ...sample(1000, 100), d: 0, on: true };
+      const stats = calculateTrackingStats([forged]);
+
+      expect(stats?.timeOnTarget).toBe(0);
+      expect(stats?.meanDistance).toBe(100);
+    });
+  });
+
+  describe('calculateTrajectoryStats', () => {
+    // Moving right from (100, 100) to a target at (300, 100)
+    const click = (p: number[]): ClickLog => ({
+      t: 1000, cx: 300, cy: 100, tx: 300, ty: 100, r: 10, d: 0, hit: true, a: 1, p
+    });
+
+    it('should score a straight path as fully efficient', () => {
+      const stats = calculateTrajectoryStats([click([0, 100, 100, 500, 200, 100])]);
+
+      expect(stats?.pathLength).toBe(200);
+      expect(stats?.pathEfficiency).toBe(1);
+      expect(stats?.overshoots).toBe(0);
+    });
+
+    it('should count overshoots past the far edge of the target', () => {
+      // Goes to x=330 (past 300 + 10) and comes back: 260px travelled for 200px of progress
+      const stats = calculateTrajectoryStats([
+        click([0, 100, 100, 500, 200, 100]),
+        click([0, 100, 100, 500, 200, 100, 800, 330, 100])
+      ]);
+
+      expect(stats?.pathLength).toBe(460);
+      expect(stats?.meanPathLength).toBe(230);
+      expect(stats?.pathEfficiency).toBe(0.885);
+      expect(stats?.overshoots).toBe(1);
+      expect(stats?.paths).toBe(2);
+    });
+
+    it('should return null when no click has a path', () => {
+      const { p, ...withoutPath } = click([]);
+      expect(calculateTrajectoryStats([withoutPath])).toBeNull();
+    });
+  });
+
+  describe('calculateReactionStats', () => {
+    const click = (t: number, ts: number, tm: number | null, hit = true): ClickLog => ({
+      t, cx: 100, cy: 100, tx: 100, ty: 100, r: 20, d: 0, hit, a: hit ? 1 : undefined, ts, tm
+    });
+
+    it('should split each target into reaction and movement time', () => {
+      const stats = calculateReactionStats([
+        click(700, 0, 200),       // RT 200, MT 500
+        click(1500, 700, 1000),   // RT 300, MT 500
+        click(2500, 1500, 1900)   // RT 400, MT 600
+      ]);
+
+      expect(stats?.reactionTime.median).toBe(300);
+      expect(stats?.reactionTime.mean).toBe(300);
+      expect(stats?.reactionTime.sd).toBe(100);
+      expect(stats?.movementTime.median).toBe(500);
+      expect(stats?.movementTime.p75).toBe(550);
+      expect(stats?.reactionTime.count).toBe(3);
+    });
+
+    it('should only use the first click on each target and skip clicks without movement', () => {
+      const stats = calculateReactionStats([
+        click(700, 0, 200, false),  // miss - the retry below is on the same target
+        click(1200, 0, 200),
+        click(2000, 1200, null)     // no pointer movement recorded
+      ]);
+
+      expect(stats?.reactionTime.count).toBe(1);
+      expect(stats?.movementTime.median).toBe(500);
+    });
+
+    it('should return null without timing data', () => {
+      expect(calculateReactionStats([{ t: 500, cx: 1, cy: 1, tx: 1, ty: 1, r: 5, d: 0, hit: true }])).toBeNull();
+    });
+  });
+
   describe('getAverageTimePerHit', () => {
     it('should calculate average time correctly', () => {
       expect(getAverageTimePerHit(10000, 5)).toBe(2000); // 2000ms per hit
@@ -1,6 +1,31 @@
 // Score calculation utilities for Click Accuracy Game
 
-import { GameStats, ClickLog } from '@/types/database';
+import { 
+  GameStats, 
+  ClickLog, 
+  FittsMetrics, 
+  TrackingSample, 
+  TrackingMetrics, 
+  TrajectoryMetrics,
+  ReactionMetrics,
+  RunStats,
+  AIRunScore,
+  AIModelStats
+} from '@/types/database';
+import { calculateFittsMetrics } from '../../public/js/fitts.js';
+import { calculateTrackingMetrics, isTrackingSample } from '../../public/js/tracking.js';
+import { calculateTrajectoryMetrics } from '../../public/js/trajectory.js';
+import { calculateReactionMetrics } from '../../public/js/reaction.js';
+import { 
+  calculateRunStats as calculateRunStatsFromLogs, 
+  speedScore, 
+  performanceScore 
+} from '../../public/js/scoring.js';
+import { BADGES as BADGE_DEFINITIONS } from '../../public/js/badges.js';
+import { aggregateModelRuns } from '../../public/js/benchmark-stats.js';
+
+// The functions below are typed wrappers around the shared game modules in public/js
+// (see README, Shared Game Logic): the game and the API compute every score with the same code
 
 /**
  * Calculate Speed Score (0-100) based on average time per click
@@ -9,120 +34,99 @@ import { GameStats, ClickLog } from '@/types/database';
  * Exponential decay for natural feel (not linear)
  */
 export function calculateSpeedScore(totalDurationMs: number, totalHits: number): number {
-  if (totalHits === 0) return 0;
-  
-  // Average time per hit in seconds
-  const avgTimePerHit = totalDurationMs / totalHits / 1000;
-
-  // Perfect speed gets 100
-  if (avgTimePerHit <= 0.1) return 100;
-  
-  // Exponential decay: score = 100 * e^(-t/3.5)  
-  // This gives roughly: 0.1s=97%, 1s=75%, 2s=57%, 3s=42%, 5s=24%
-  const score = 100 * Math.exp(-avgTimePerHit / 3.5);
-  
-  return Math.max(0, Math.round(score * 10) / 10); // Round to 1 decimal, min 0
+  return speedScore(totalDurationMs, totalHits);
 }
 
 /**
  * Calculate Performance Score (0-100) based on accuracy and consistency
  * Combines average accuracy with hit volume multiplier
- * Caps distance multiplier at 20 hits for fairness
+ * Caps distance multiplier at fullScoreHits (20 in classic, set per game mode)
  */
-export function calculatePerformanceScore(averageAccuracy: number, totalHits: number): number {
-  if (totalHits === 0) return 0;
-  
-  // Simple modular approach - easy to update later
-  const distanceMultiplier = Math.min(1.0, totalHits / 20); // caps at 20 hits
-  const score = averageAccuracy * distanceMultiplier * 100;
-  
-  return Math.round(score * 10) / 10; // Round to 1 decimal
+export function calculatePerformanceScore(averageAccuracy: number, totalHits: number, fullScoreHits: number = 20): number {
+  return performanceScore(averageAccuracy, totalHits, fullScoreHits);
+}
+
+/**
+ * Recompute run statistics from the raw click coordinates
+ * Every click is rescored (distance, hit, accuracy, weight) and hits, average and
+ * best accuracy, final radius and duration are derived from that; the client's
+ * stats are only a cross-check
+ */
+export function calculateRunStats(
+  logs: Array<ClickLog | TrackingSample>,
+  run: { mode: string; containerSize: number; seed: number }
+): RunStats {
+  return calculateRunStatsFromLogs(logs, run);
+}
+
+/**
+ * Calculate Fitts's law metrics (ISO 9241-9) from click logs
+ * Logs are split into blocks of trialsPerBlock clicks at one amplitude/width
+ */
+export function calculateFittsStats(clickLogs: ClickLog[], trialsPerBlock: number): FittsMetrics | null {
+  return calculateFittsMetrics(clickLogs, trialsPerBlock);
+}
+
+/**
+ * Calculate tracking task scores from pointer samples
+ * Score (0-100) is the percentage of time the pointer stayed inside the target;
+ * click logs in the list are ignored
+ */
+export function calculateTrackingStats(logs: Array<ClickLog | TrackingSample>): TrackingMetrics | null {
+  return calculateTrackingMetrics(logs);
+}
+
+/**
+ * Calculate movement metrics from the pointer paths recorded between clicks
+ * Path length, path efficiency (straight line / actual path) and overshoot count;
+ * clicks without a path are skipped
+ */
+export function calculateTrajectoryStats(logs: Array<ClickLog | TrackingSample>): TrajectoryMetrics | null {
+  return calculateTrajectoryMetrics(logs.filter(log => !isTrackingSample(log)));
+}
+
+/**
+ * Split the time to each target into reaction time and movement time
+ * Reaction: target appears -> first pointer movement; movement: first movement -> click.
+ * Uses the first click on each target; clicks without movement data are skipped
+ */
+export function calculateReactionStats(logs: Array<ClickLog | TrackingSample>): ReactionMetrics | null {
+  // Both distributions are non-null whenever the result is
+  return calculateReactionMetrics(logs.filter(log => !isTrackingSample(log))) as ReactionMetrics | null;
+}
+
+/**
+ * Aggregate AI runs per model (provider, name, version)
+ * Mean, median, SD and bootstrap 95% CI of speed score, performance score and hits,
+ * best mean performance first
+ */
+export function calculateAIModelStats(runs: AIRunScore[]): AIModelStats[] {
+  return aggregateModelRuns(runs) as AIModelStats[];
 }
 
 /**
  * Badge definitions and criteria
  */
+// What badge criteria look at: a run's stats, scores and (rescored) click logs
+export type BadgeStats = Pick<GameStats, 'totalHits' | 'avgAccuracy' | 'bestAccuracy' | 'speedScore' | 'performanceScore'> & {
+  clickLogs: Array<{ hit: boolean; a?: number | null }>;
+};
+
 export interface Badge {
   id: string;
   name: string;
   description: string;
   icon: string;
-  criteria: (stats: GameStats) => boolean;
+  criteria: (stats: BadgeStats) => boolean;
 }
 
-export const BADGES: Badge[] = [
-  {
-    id: 'sharpshooter',
-    name: 'Sharpshooter',
-    description: 'Average accuracy > 90%',
-    icon: '🎯',
-    criteria: (stats) => stats.avgAccuracy > 0.9
-  },
-  {
-    id: 'circus_shot',
-    name: 'Circus Shot', 
-    description: 'Single hit with 99%+ accuracy',
-    icon: '🎪',
-    criteria: (stats) => stats.bestAccuracy >= 0.99
-  },
-  {
-    id: 'speed_demon',
-    name: 'Speed Demon',
-    description: 'Speed score > 85',
-    icon: '⚡',
-    criteria: (stats) => stats.speedScore > 85
-  },
-  {
-    id: 'perfectionist',
-    name: 'Perfectionist',
-    description: 'Performance score > 90',
-    icon: '👑',
-    criteria: (stats) => stats.performanceScore > 90
-  },
-  {
-    id: 'marathon_runner',
-    name: 'Marathon Runner',
-    description: 'Complete 25+ hits in one run',
-    icon: '🏃',
-    criteria: (stats) => stats.totalHits >= 25
-  },
-  {
-    id: 'consistency',
-    name: 'Consistency King',
-    description: 'All hits within 80% accuracy',
-    icon: '🔄',
-    criteria: (stats) => {
-      const hitLogs = stats.clickLogs.filter(log => log.hit);
-      return hitLogs.length > 5 && hitLogs.every(log => log.a !== undefined && log.a >= 0.8);
-    }
-  },
-  {
-    id: 'bullseye_master',
-    name: 'Bullseye Master',
-    description: '5+ perfect bullseye hits (100% accuracy)',
-    icon: '🏹',
-    criteria: (stats) => {
-      const perfectHits = stats.clickLogs.filter(log => log.hit && log.a === 1.0);
-      return perfectHits.length >= 5;
-    }
-  },
-  {
-    id: 'steady_hands',
-    name: 'Steady Hands',
-    description: 'Complete 15+ hits with no misses',
-    icon: '🤝',
-    criteria: (stats) => {
-      const hits = stats.clickLogs.filter(log => log.hit).length;
-      const misses = stats.clickLogs.filter(log => !log.hit).length;
-      return hits >= 15 && misses === 0;
-    }
-  }
-];
+// Defined in public/js/badges.js so the game and leaderboard can show them too
+export const BADGES: Badge[] = BADGE_DEFINITIONS;
 
 /**
  * Determine which badges a player has earned
  */
-export function determineBadges(stats: GameStats): string[] {
+export function determineBadges(stats: BadgeStats): string[] {
   return BADGES
     .filter(badge => badge.criteria(stats))
     .map(badge => badge.id);